@@ -0,0 +1,50 @@
+// Javari Scraper - Image Mirroring Endpoint
+// =========================================
+// GET /api/images              - Mirror queued images (see lib/images.js),
+//                                oldest first, until the time budget is spent
+// GET /api/images?limit=200    - At most `limit` images (default 50)
+// GET /api/images?budget=60000 - Time budget in ms (default
+//                                IMAGE_TIME_BUDGET_MS, 240000)
+//
+// Requires the scrape scope (see lib/auth.js). Schedule it after the scrapes
+// that queue images; images still pending are picked up by the next call.
+
+import { authenticate, forbidden, hasScope, sendAuthError } from '../lib/auth.js';
+import { IMAGE_CONFIG, processImages } from '../lib/images.js';
+import { isSupabaseConfigured } from '../lib/supabase.js';
+
+const DEFAULT_BUDGET_MS = parseInt(process.env.IMAGE_TIME_BUDGET_MS) || 240000;
+
+export default async function handler(req, res) {
+  const auth = authenticate(req);
+  if (!auth.ok) return sendAuthError(res, auth);
+
+  if (!hasScope(auth.scope, 'scrape')) {
+    return sendAuthError(res, forbidden(auth, 'scrape', 'Mirroring images requires the scrape scope'));
+  }
+
+  if (!isSupabaseConfigured() || !IMAGE_CONFIG.store) {
+    return res.status(503).json({
+      error: 'Image mirroring unavailable',
+      message: !IMAGE_CONFIG.store ? 'IMAGE_STORE not configured' : 'SUPABASE_SERVICE_KEY not configured',
+    });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 1000);
+  const budget = parseInt(req.query.budget) || DEFAULT_BUDGET_MS;
+  const startTime = Date.now();
+
+  try {
+    const stats = await processImages({ limit, deadline: startTime + budget });
+    console.log(`[Images] Mirrored ${stats.stored}/${stats.processed} (${stats.duplicates} duplicates, ${stats.failed} failed)`);
+    return res.status(200).json({
+      success: true,
+      store: IMAGE_CONFIG.store,
+      ...stats,
+      duration_ms: Date.now() - startTime,
+    });
+  } catch (error) {
+    console.error('[Images] Error mirroring images:', error.message);
+    return res.status(500).json({ error: 'Failed to mirror images', message: error.message });
+  }
+}
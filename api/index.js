@@ -1,12 +1,17 @@
+import { VERSION } from "../lib/version.js";
+
 export default function handler(req, res) {
   res.status(200).json({
     service: "Javari Scraper",
-    version: "1.0.0",
+    version: VERSION,
     status: "operational",
     description: "Universal data scraper for Javari ecosystem",
     endpoints: {
       status: "/api/status",
-      scrape: "/api/scrape?type={spirits|cards|books}&source={all|pokemon|scryfall|openlibrary}"
+      scrape: "/api/scrape?type={spirits|cards|books|editions}&source={all|pokemon|scryfall|openlibrary}",
+      runs: "/api/runs?type={spirits|cards|books}&source={source}&status={completed|partial|failed}",
+      prices: "/api/prices?external_id={id}&source={source}&price_key={usd|usd_foil|eur|eur_foil|tix}",
+      images: "/api/images?limit={n}"
     },
     scheduledJobs: [
       { path: "/api/scrape?type=spirits&source=all", schedule: "Daily 3 AM UTC" },
@@ -0,0 +1,44 @@
+// Javari Scraper - Price History Endpoint
+// =======================================
+// GET /api/prices?external_id=abc123  - Price series of one product, oldest
+//                                       first, one per source + price key
+// GET /api/prices?external_id=abc123&source=scryfall&price_key=usd
+//                                     - Filter: source, price_key, table,
+//                                       since, until, limit
+//
+// Requires at least the dry_run scope (see lib/auth.js).
+
+import { authenticate, sendAuthError } from '../lib/auth.js';
+import { getPriceSeries } from '../lib/prices.js';
+import { isSupabaseConfigured } from '../lib/supabase.js';
+
+export default async function handler(req, res) {
+  const auth = authenticate(req);
+  if (!auth.ok) return sendAuthError(res, auth);
+
+  if (!isSupabaseConfigured()) {
+    return res.status(503).json({
+      error: 'Price history unavailable',
+      message: 'SUPABASE_SERVICE_KEY not configured',
+    });
+  }
+
+  const { external_id: externalId, signature, scope, expires, ...filters } = req.query;
+
+  if (!externalId) {
+    return res.status(400).json({ error: 'external_id is required' });
+  }
+
+  try {
+    const series = await getPriceSeries(externalId, filters);
+    return res.status(200).json({
+      external_id: externalId,
+      series,
+      count: Object.values(series).reduce((sum, { points }) => sum + points.length, 0),
+      filters,
+    });
+  } catch (error) {
+    console.error('[Prices] Error reading price history:', error.message);
+    return res.status(500).json({ error: 'Failed to read price history', message: error.message });
+  }
+}
@@ -0,0 +1,45 @@
+// Javari Scraper - Run History Endpoint
+// =====================================
+// GET /api/runs                       - List recent runs (newest first)
+// GET /api/runs?type=spirits&source=brewery&zero=true
+//                                     - Filter: type, source, status, since,
+//                                       until, zero, limit, offset
+// GET /api/runs?id=123                - One run's full detail
+//
+// Requires at least the dry_run scope (see lib/auth.js).
+
+import { authenticate, sendAuthError } from '../lib/auth.js';
+import { getRun, listRuns } from '../lib/runs.js';
+import { isSupabaseConfigured } from '../lib/supabase.js';
+
+export default async function handler(req, res) {
+  const auth = authenticate(req);
+  if (!auth.ok) return sendAuthError(res, auth);
+
+  if (!isSupabaseConfigured()) {
+    return res.status(503).json({
+      error: 'Run history unavailable',
+      message: 'SUPABASE_SERVICE_KEY not configured',
+    });
+  }
+
+  const { id, signature, scope, expires, ...filters } = req.query;
+
+  try {
+    if (id) {
+      const run = await getRun(id);
+      if (!run) return res.status(404).json({ error: 'Run not found', id });
+      return res.status(200).json(run);
+    }
+
+    const runs = await listRuns(filters);
+    return res.status(200).json({
+      runs,
+      count: runs.length,
+      filters,
+    });
+  } catch (error) {
+    console.error('[Runs] Error reading runs:', error.message);
+    return res.status(500).json({ error: 'Failed to read runs', message: error.message });
+  }
+}
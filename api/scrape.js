@@ -11,771 +11,417 @@
 // Author: Javari AI for CR AudioViz AI LLC
 // Created: 2026-01-02
 // Updated: 2026-01-02 - Added TTB COLA Registry (500K+ US alcohol labels)
+//
+// Requires SCRAPER_SECRET auth - see lib/auth.js for bearer tokens, signed
+// queries and scopes.
+
+import { authenticate, forbidden, hasScope, sendAuthError } from '../lib/auth.js';
+import { createRequestMetrics, withDeadline, withRequestMetrics } from '../lib/http.js';
+import { imageWrite } from '../lib/images.js';
+import { runPipeline } from '../lib/pipeline.js';
+import { priceWrite } from '../lib/prices.js';
+import { createSpiritResolver } from '../lib/resolve.js';
+import { DEFAULT_SINK, SINKS, createSink, storeRelated } from '../lib/sinks/index.js';
+import { finishRun, runErrors, runStatus, startRun } from '../lib/runs.js';
+import { BOOK_SCHEMA, CARD_SCHEMA, EDITION_SCHEMA, SPIRIT_SCHEMA, quarantineRows, validateRow } from '../lib/schema.js';
+import { createStateStore, highWaterKey, sinkStore, stateKey } from '../lib/state.js';
+import { SUPABASE_CONFIG } from '../lib/supabase.js';
+import { classify } from '../lib/taxonomy.js';
+import { parseAbv, parseVolume } from '../lib/units.js';
+import { emitEvent } from '../lib/webhooks.js';
+import { scrapeCocktailDB } from '../lib/sources/cocktaildb.js';
+import { loadSourceDefinitions } from '../lib/sources/declarative.js';
+import { GUTENBERG_DEFAULT_LIMIT, scrapeGutenberg } from '../lib/sources/gutenberg.js';
+import { scrapeOpenFoodFacts } from '../lib/sources/openfoodfacts.js';
+import { scrapeOpenLibrary, scrapeOpenLibraryEditions } from '../lib/sources/openlibrary.js';
+import { scrapePokemonTCG } from '../lib/sources/pokemon.js';
+import { scrapeScryfall } from '../lib/sources/scryfall.js';
+import { scrapeTTBCOLA } from '../lib/sources/ttb.js';
+import { scrapeUntappd } from '../lib/sources/untappd.js';
 
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
 const CONFIG = {
-  supabase: {
-    url: process.env.SUPABASE_URL || 'https://kteobfyferrukqeolofj.supabase.co',
-    serviceKey: process.env.SUPABASE_SERVICE_KEY,
-  },
+  supabase: SUPABASE_CONFIG,
   untappd: {
     clientId: process.env.UNTAPPD_CLIENT_ID,
     clientSecret: process.env.UNTAPPD_CLIENT_SECRET,
   },
-  scraperSecret: process.env.SCRAPER_SECRET,
+  corsOrigin: process.env.SCRAPER_CORS_ORIGIN || '*',
+  // Scraping stops at this budget so there is time left to upload and
+  // checkpoint before the function is killed (see maxDuration in vercel.json)
+  timeBudgetMs: parseInt(process.env.SCRAPE_TIME_BUDGET_MS) || 240000,
+  // Pages buffered between scraping and uploading
+  queueDepth: parseInt(process.env.SCRAPE_QUEUE_DEPTH) || 2,
 };
 
-// =============================================================================
-// UTILITY FUNCTIONS
-// =============================================================================
-
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-async function fetchWithRetry(url, options = {}, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await fetch(url, { ...options, timeout: 30000 });
-      if (response.ok) return response;
-      if (response.status === 429) {
-        await delay(5000 * (i + 1));
-        continue;
-      }
-      throw new Error(`HTTP ${response.status}`);
-    } catch (error) {
-      if (i === retries - 1) throw error;
-      await delay(1000 * (i + 1));
-    }
-  }
-}
-
 // =============================================================================
 // SCRAPER REGISTRY
 // =============================================================================
 
-const SCRAPERS = {
+// Every type upserts on its natural key, conflictKey. external_id is taken
+// from each record's external_ids[idField] (or record[idField]) for its source.
+// Types with a createResolver merge rows into canonical products first (see
+// lib/resolve.js), so they upsert on canonical_id instead.
+//
+// A type's `related` derives rows for other tables from each stored page
+// (card sets, price snapshots, images to mirror); they go to the same sink.
+//
+// recordSource is the `source` value the rows carry, when it differs from the
+// registry key. Sources with `incremental` accept a `since` high-water mark
+// for mode=incremental runs. api/status.js reads this registry too.
+//
+// Plain paged JSON APIs (Open Brewery DB, PunkAPI) aren't listed here: they
+// are defined by files in lib/sources/definitions and added below (see
+// lib/sources/declarative.js).
+
+export const SCRAPERS = {
   spirits: {
     table: 'bv_spirits',
+    conflictKey: ['canonical_id'],
     sources: {
       ttb_cola: {
         name: 'TTB COLA Registry',
         fn: scrapeTTBCOLA,
+        idField: 'ttb_id',
         schedule: 'daily',
         estimated: 500000, // 500K+ approved US alcohol labels
+        defaultLimit: 5000,
         description: 'US Government alcohol label database (public domain)',
+        adminOnly: true,
+        incremental: true,
       },
       openfoodfacts: {
         name: 'Open Food Facts',
         fn: scrapeOpenFoodFacts,
+        idField: 'off_id',
         schedule: 'daily',
+        incremental: true,
         estimated: 20000,
-      },
-      brewery: {
-        name: 'Open Brewery DB',
-        fn: scrapeOpenBreweryDB,
-        schedule: 'weekly',
-        estimated: 9000,
-      },
-      punkapi: {
-        name: 'PunkAPI (BrewDog)',
-        fn: scrapePunkAPI,
-        schedule: 'weekly',
-        estimated: 300,
+        defaultLimit: 20000,
       },
       cocktaildb: {
         name: 'TheCocktailDB',
         fn: scrapeCocktailDB,
+        idField: 'cocktaildb_id',
         schedule: 'weekly',
         estimated: 600,
       },
       untappd: {
         name: 'Untappd',
         fn: scrapeUntappd,
+        idField: 'untappd_id',
         schedule: 'daily',
         estimated: 1000,
+        defaultLimit: 2500,
         requiresAuth: true,
       },
     },
     transform: transformSpirit,
+    schema: SPIRIT_SCHEMA,
+    createResolver: createSpiritResolver,
+    related: relatedSpiritRows,
   },
   
   cards: {
     table: 'cards',
+    conflictKey: ['source', 'external_id'],
     sources: {
       pokemon: {
         name: 'Pokemon TCG API',
         fn: scrapePokemonTCG,
+        idField: 'pokemon_id',
+        recordSource: 'pokemontcg',
         schedule: 'weekly',
+        incremental: true,
         estimated: 15000,
+        defaultLimit: 15000,
       },
       scryfall: {
         name: 'Scryfall (MTG)',
         fn: scrapeScryfall,
+        idField: 'scryfall_id',
         schedule: 'weekly',
+        incremental: true,
         estimated: 80000,
+        defaultLimit: 80000,
       },
     },
     transform: transformCard,
+    schema: CARD_SCHEMA,
+    related: relatedCardRows,
   },
   
   books: {
     table: 'books',
+    conflictKey: ['source', 'external_id'],
     sources: {
       openlibrary: {
         name: 'Open Library',
         fn: scrapeOpenLibrary,
+        idField: 'ol_key',
         schedule: 'weekly',
         estimated: 50000,
+        defaultLimit: 50000,
       },
       gutenberg: {
         name: 'Project Gutenberg',
         fn: scrapeGutenberg,
+        idField: 'gutenberg_id',
         schedule: 'monthly',
+        incremental: true,
         estimated: 70000,
+        defaultLimit: GUTENBERG_DEFAULT_LIMIT,
       },
     },
     transform: transformBook,
+    schema: BOOK_SCHEMA,
+    related: relatedBookRows,
   },
-};
-
-// =============================================================================
-// TTB COLA REGISTRY SCRAPER (NEW - 500K+ products)
-// =============================================================================
-
-async function scrapeTTBCOLA(options = {}) {
-  const results = [];
-  const limit = options.limit || 5000; // Default batch size
-  
-  // TTB uses a web form, we'll scrape by iterating through TTB IDs
-  // TTB ID format: YYXXXXXXXX (2-digit year + 8 digit sequence)
-  // Recent years: 24, 25, 26 for 2024, 2025, 2026
   
-  console.log(`[TTB] Starting COLA scrape (limit: ${limit})`);
-  
-  // Strategy: Iterate through recent TTB IDs
-  const currentYear = new Date().getFullYear() % 100; // e.g., 26 for 2026
-  const years = [currentYear, currentYear - 1, currentYear - 2]; // Last 3 years
-  
-  let totalScraped = 0;
-  
-  for (const year of years) {
-    if (totalScraped >= limit) break;
-    
-    const yearPrefix = String(year).padStart(2, '0');
-    console.log(`[TTB] Scraping year 20${yearPrefix}...`);
-    
-    // Each year has ~50,000-100,000 COLAs
-    // We'll sample from the sequence
-    const baseId = parseInt(`${yearPrefix}00000001`);
-    const step = 100; // Sample every 100th ID
-    
-    for (let seq = 0; seq < 100000 && totalScraped < limit; seq += step) {
-      const ttbId = String(baseId + seq).padStart(10, '0');
-      
-      try {
-        const record = await fetchTTBColaDetails(ttbId);
-        if (record && record.brand_name) {
-          results.push(record);
-          totalScraped++;
-          
-          if (totalScraped % 100 === 0) {
-            console.log(`[TTB] Scraped ${totalScraped} records...`);
-          }
-        }
-        
-        // Rate limiting - be respectful to government servers
-        await delay(200);
-        
-      } catch (error) {
-        // Skip invalid IDs
-        continue;
-      }
-    }
-  }
-  
-  console.log(`[TTB] Total scraped: ${results.length}`);
-  return results;
-}
-
-async function fetchTTBColaDetails(ttbId) {
-  const url = `https://www.ttbonline.gov/colasonline/publicSearchColasBasic.do?action=publicDisplaySearchBasic&ttbid=${ttbId}`;
-  
-  try {
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'JavariSpirits/1.0 (CR AudioViz AI LLC - spirits database)',
-        'Accept': 'text/html',
+  editions: {
+    table: 'book_editions',
+    conflictKey: ['source', 'external_id'],
+    sources: {
+      openlibrary: {
+        name: 'Open Library (editions dump)',
+        fn: scrapeOpenLibraryEditions,
+        idField: 'edition_key',
+        schedule: 'monthly',
+        estimated: 40000000,
+        defaultLimit: 100000,
       },
-    });
-    
-    if (!response.ok) return null;
-    
-    const html = await response.text();
-    
-    // Check if valid COLA found
-    if (html.includes('No records found') || html.includes('Invalid TTB ID')) {
-      return null;
-    }
-    
-    // Extract fields from HTML
-    const extract = (pattern) => {
-      const match = html.match(pattern);
-      return match ? match[1].trim() : null;
-    };
-    
-    // TTB page structure has labeled table cells
-    const brandName = extract(/Brand Name[^<]*<\/td>\s*<td[^>]*>([^<]+)/i);
-    const fancifulName = extract(/Fanciful Name[^<]*<\/td>\s*<td[^>]*>([^<]+)/i);
-    const classType = extract(/Class(?:\/| and )Type[^<]*<\/td>\s*<td[^>]*>([^<]+)/i);
-    const origin = extract(/Origin[^<]*<\/td>\s*<td[^>]*>([^<]+)/i);
-    const alcoholContent = extract(/Alcohol Content[^<]*<\/td>\s*<td[^>]*>([\d.]+)/i);
-    const dateApproved = extract(/Date (?:Approved|Completed)[^<]*<\/td>\s*<td[^>]*>([^<]+)/i);
-    const permitNumber = extract(/(?:Basic |)Permit[^<]*<\/td>\s*<td[^>]*>([^<]+)/i);
-    
-    // Determine category
-    let category = 'spirits';
-    if (classType) {
-      const lc = classType.toLowerCase();
-      if (lc.includes('wine')) category = 'wine';
-      else if (lc.includes('beer') || lc.includes('malt') || lc.includes('ale') || lc.includes('lager')) category = 'beer';
-    }
-    
-    return {
-      ttb_id: ttbId,
-      brand_name: brandName || fancifulName,
-      fanciful_name: fancifulName,
-      class_type: classType,
-      origin: origin,
-      alcohol_content: alcoholContent,
-      permit_number: permitNumber,
-      date_approved: dateApproved,
-      category: category,
-      source: 'ttb_cola',
-    };
-    
-  } catch (error) {
-    return null;
-  }
-}
-
-// =============================================================================
-// OPEN FOOD FACTS SCRAPER
-// =============================================================================
-
-async function scrapeOpenFoodFacts(options = {}) {
-  const results = [];
-  const categories = [
-    'en:alcoholic-beverages',
-    'en:wines',
-    'en:beers', 
-    'en:spirits',
-    'en:whiskeys',
-    'en:vodkas',
-    'en:rums',
-    'en:tequilas',
-    'en:gins',
-    'en:brandies',
-    'en:liqueurs',
-  ];
-  
-  const limit = options.limit || 20000;
-  let total = 0;
-  
-  for (const category of categories) {
-    if (total >= limit) break;
-    
-    let page = 1;
-    const pageSize = 100;
-    
-    while (total < limit) {
-      try {
-        const url = `https://world.openfoodfacts.org/category/${category}.json?page=${page}&page_size=${pageSize}`;
-        const response = await fetchWithRetry(url);
-        const data = await response.json();
-        
-        if (!data.products || data.products.length === 0) break;
-        
-        for (const product of data.products) {
-          if (total >= limit) break;
-          
-          results.push({
-            name: product.product_name || product.product_name_en,
-            brand: product.brands,
-            category: mapOFFCategory(product.categories_tags),
-            description: product.generic_name,
-            image_url: product.image_url,
-            barcode: product.code,
-            origin: product.origins,
-            alcohol_content: parseFloat(product.alcohol_100g) || null,
-            source: 'openfoodfacts',
-            external_ids: { off_id: product.code },
-          });
-          total++;
-        }
-        
-        page++;
-        await delay(300);
-        
-      } catch (error) {
-        console.error(`[OFF] Error on ${category} page ${page}:`, error.message);
-        break;
-      }
-    }
-  }
-  
-  return results;
-}
+    },
+    transform: transformEdition,
+    schema: EDITION_SCHEMA,
+    related: relatedEditionRows,
+  },
+};
 
-function mapOFFCategory(tags) {
-  if (!tags || !Array.isArray(tags)) return 'spirits';
-  const tagStr = tags.join(',').toLowerCase();
-  
-  if (tagStr.includes('whiskey') || tagStr.includes('whisky') || tagStr.includes('bourbon')) return 'bourbon';
-  if (tagStr.includes('vodka')) return 'vodka';
-  if (tagStr.includes('rum')) return 'rum';
-  if (tagStr.includes('tequila') || tagStr.includes('mezcal')) return 'tequila';
-  if (tagStr.includes('gin')) return 'gin';
-  if (tagStr.includes('brandy') || tagStr.includes('cognac')) return 'brandy';
-  if (tagStr.includes('wine')) return 'wine';
-  if (tagStr.includes('beer') || tagStr.includes('ale') || tagStr.includes('lager')) return 'beer';
-  if (tagStr.includes('liqueur')) return 'other';
-  return 'spirits';
+for (const { type, key, source } of loadSourceDefinitions()) {
+  if (!SCRAPERS[type]) throw new Error(`Source definition ${key}: unknown type ${type}`);
+  if (SCRAPERS[type].sources[key]) throw new Error(`Source definition ${key}: ${type} already has a ${key} source`);
+  SCRAPERS[type].sources[key] = source;
 }
 
 // =============================================================================
-// OPEN BREWERY DB SCRAPER
+// TRANSFORM FUNCTIONS
 // =============================================================================
 
-async function scrapeOpenBreweryDB(options = {}) {
-  const results = [];
-  const limit = options.limit || 9000;
-  let page = 1;
-  const perPage = 200;
-  
-  while (results.length < limit) {
-    try {
-      const url = `https://api.openbrewerydb.org/v1/breweries?page=${page}&per_page=${perPage}`;
-      const response = await fetchWithRetry(url);
-      const breweries = await response.json();
-      
-      if (!breweries || breweries.length === 0) break;
-      
-      for (const brewery of breweries) {
-        results.push({
-          name: brewery.name,
-          brand: brewery.name,
-          category: 'beer',
-          subcategory: brewery.brewery_type,
-          country: brewery.country || 'United States',
-          region: brewery.state,
-          description: `${brewery.brewery_type} brewery in ${brewery.city}, ${brewery.state}`,
-          source: 'openbrewerydb',
-          external_ids: { brewery_id: brewery.id },
-        });
-      }
-      
-      page++;
-      await delay(200);
-      
-    } catch (error) {
-      console.error(`[Brewery] Error on page ${page}:`, error.message);
-      break;
-    }
-  }
-  
-  return results.slice(0, limit);
-}
-
-// =============================================================================
-// PUNK API SCRAPER (BrewDog)
-// =============================================================================
+// Transforms only map fields; lengths, ranges and required fields are enforced
+// by the table schemas in lib/schema.js
 
-async function scrapePunkAPI(options = {}) {
-  const results = [];
-  const limit = options.limit || 500;
-  let page = 1;
-  const perPage = 80;
-  
-  while (results.length < limit) {
-    try {
-      const url = `https://api.punkapi.com/v2/beers?page=${page}&per_page=${perPage}`;
-      const response = await fetchWithRetry(url);
-      const beers = await response.json();
-      
-      if (!beers || beers.length === 0) break;
-      
-      for (const beer of beers) {
-        results.push({
-          name: beer.name,
-          brand: 'BrewDog',
-          category: 'beer',
-          subcategory: beer.tagline,
-          abv: beer.abv,
-          description: beer.description,
-          image_url: beer.image_url,
-          tasting_notes: beer.brewers_tips,
-          source: 'punkapi',
-          external_ids: { punkapi_id: beer.id },
-        });
-      }
-      
-      page++;
-      await delay(200);
-      
-    } catch (error) {
-      console.error(`[PunkAPI] Error on page ${page}:`, error.message);
-      break;
-    }
-  }
-  
-  return results.slice(0, limit);
-}
-
-// =============================================================================
-// COCKTAIL DB SCRAPER
-// =============================================================================
+function transformSpirit(record) {
+  const taxon = classify({ source: record.source, tags: record.category_tags, text: record.category });
+  // A numeric `abv` (PunkAPI, Untappd) wins over label text
+  const alcohol = parseAbv(record.abv ?? record.alcohol_content, { unit: record.alcohol_unit });
+  const volume = parseVolume(record.volume ?? record.quantity);
 
-async function scrapeCocktailDB(options = {}) {
-  const results = [];
-  
-  // CocktailDB free tier: search by first letter
-  const letters = 'abcdefghijklmnopqrstuvwxyz'.split('');
-  
-  for (const letter of letters) {
-    try {
-      const url = `https://www.thecocktaildb.com/api/json/v1/1/search.php?f=${letter}`;
-      const response = await fetchWithRetry(url);
-      const data = await response.json();
-      
-      if (data.drinks) {
-        for (const drink of data.drinks) {
-          // Get ingredients
-          const ingredients = [];
-          for (let i = 1; i <= 15; i++) {
-            const ing = drink[`strIngredient${i}`];
-            if (ing) ingredients.push(ing);
-          }
-          
-          results.push({
-            name: drink.strDrink,
-            brand: null,
-            category: 'cocktail',
-            subcategory: drink.strCategory,
-            description: drink.strInstructions,
-            image_url: drink.strDrinkThumb,
-            tasting_notes: ingredients.join(', '),
-            source: 'cocktaildb',
-            external_ids: { cocktaildb_id: drink.idDrink },
-          });
-        }
-      }
-      
-      await delay(300);
-      
-    } catch (error) {
-      console.error(`[CocktailDB] Error on letter ${letter}:`, error.message);
-    }
-  }
-  
-  return results;
+  // Map to bv_spirits table schema
+  return {
+    // TTB labels are brand + fanciful name ("Jack Daniel's" + "Old No. 7")
+    name: record.name || [record.brand_name, record.fanciful_name].filter(Boolean).join(' ') || null,
+    brand: record.brand || record.brand_name || null,
+    category: taxon.category,
+    style: taxon.style,
+    sub_style: taxon.sub_style,
+    category_confidence: taxon.confidence,
+    subcategory: record.subcategory || record.class_type || null,
+    country: record.country || record.origin || null,
+    region: record.region || null,
+    abv: alcohol.abv,
+    abv_raw: alcohol.raw,
+    volume_ml: volume.ml,
+    volume_raw: volume.raw,
+    ibu: record.ibu ?? null,
+    rating: record.rating ?? null,
+    rating_count: record.rating_count ?? null,
+    description: record.description || null,
+    image_url: record.image_url || null,
+    tasting_notes: record.tasting_notes || null,
+    barcode: record.barcode || null,
+    ttb_permit: record.permit_number || null,
+    ttb_details: record.ttb_details || null,
+    source: record.source,
+    external_ids: record.external_ids ? JSON.stringify(record.external_ids) : 
+                  record.ttb_id ? JSON.stringify({ ttb_id: record.ttb_id }) : null,
+  };
 }
 
-// =============================================================================
-// UNTAPPD SCRAPER (requires API key)
-// =============================================================================
-
-async function scrapeUntappd(options = {}) {
-  if (!CONFIG.untappd.clientId || !CONFIG.untappd.clientSecret) {
-    console.log('[Untappd] Skipping - no credentials configured');
-    return [];
-  }
-  
-  // Untappd has strict rate limits, implement carefully
-  const results = [];
-  // TODO: Implement when API key is approved
-  
-  return results;
+// Sources that sell the bottle report `prices: { usd: 24.99, ... }`; they are
+// recorded per source listing, before rows are merged into products. Bottle
+// photos are queued for mirroring (see lib/images.js).
+function relatedSpiritRows(rows, records) {
+  return [
+    priceWrite('bv_spirits', rows.map((row, i) => ({ ...row, prices: records[i].prices }))),
+    imageWrite('bv_spirits', rows),
+  ];
 }
 
-// =============================================================================
-// POKEMON TCG SCRAPER
-// =============================================================================
-
-async function scrapePokemonTCG(options = {}) {
-  const results = [];
-  const limit = options.limit || 15000;
-  let page = 1;
-  const pageSize = 250;
-  
-  while (results.length < limit) {
-    try {
-      const url = `https://api.pokemontcg.io/v2/cards?page=${page}&pageSize=${pageSize}`;
-      const response = await fetchWithRetry(url);
-      const data = await response.json();
-      
-      if (!data.data || data.data.length === 0) break;
-      
-      for (const card of data.data) {
-        results.push({
-          name: card.name,
-          set: card.set?.name,
-          rarity: card.rarity,
-          image_url: card.images?.large || card.images?.small,
-          source: 'pokemontcg',
-          external_ids: { pokemon_id: card.id },
-        });
-      }
-      
-      page++;
-      await delay(500);
-      
-    } catch (error) {
-      console.error(`[Pokemon] Error on page ${page}:`, error.message);
-      break;
-    }
-  }
-  
-  return results.slice(0, limit);
+function transformCard(record) {
+  return {
+    game: record.game,
+    name: record.name,
+    set_name: record.set,
+    set_code: record.set_code,
+    collector_number: record.collector_number,
+    rarity: mapRarity(record.rarity),
+    rarity_raw: record.rarity || null,
+    artist: record.artist || null,
+    release_date: record.release_date || null,
+    type_line: record.type_line || null,
+    oracle_text: record.oracle_text || null,
+    flavor_text: record.flavor_text || null,
+    mana_cost: record.mana_cost || null,
+    colors: record.colors || null,
+    hp: record.hp ?? null,
+    types: record.types || null,
+    attacks: record.attacks || null,
+    abilities: record.abilities || null,
+    legalities: mapLegalities(record.legalities),
+    prices: mapCardPrices(record),
+    image_url: record.image_url,
+    image_uris: record.image_uris || null,
+    source: record.source,
+    external_ids: record.external_ids ? JSON.stringify(record.external_ids) : null,
+  };
 }
 
-// =============================================================================
-// SCRYFALL SCRAPER (MTG)
-// =============================================================================
-
-async function scrapeScryfall(options = {}) {
-  const results = [];
-  const limit = options.limit || 80000;
-  let url = 'https://api.scryfall.com/cards/search?q=*';
-  
-  while (results.length < limit && url) {
-    try {
-      const response = await fetchWithRetry(url);
-      const data = await response.json();
-      
-      if (data.data) {
-        for (const card of data.data) {
-          results.push({
-            name: card.name,
-            set: card.set_name,
-            rarity: card.rarity,
-            image_url: card.image_uris?.normal || card.image_uris?.small,
-            source: 'scryfall',
-            external_ids: { scryfall_id: card.id },
-          });
-        }
-      }
-      
-      url = data.has_more ? data.next_page : null;
-      await delay(100);
-      
-    } catch (error) {
-      console.error(`[Scryfall] Error:`, error.message);
-      break;
-    }
-  }
-  
-  return results.slice(0, limit);
+// Scryfall's and the Pokemon TCG's rarities onto CARD_RARITIES
+function mapRarity(rarity) {
+  if (!rarity) return null;
+  const r = String(rarity).toLowerCase();
+
+  if (r === 'common') return 'common';
+  if (r === 'uncommon') return 'uncommon';
+  if (r === 'mythic') return 'mythic';
+  if (r.includes('promo')) return 'promo';
+  if (r.includes('secret') || r.includes('hyper') || r.includes('rainbow') || r.includes('special illustration')) return 'secret_rare';
+  if (r.includes('ultra') || r.includes('double') || r.includes('illustration') || r.includes('ace spec') ||
+      r.includes('radiant') || r.includes('amazing') || r.includes('shiny') || r.includes('legend') ||
+      /holo (ex|gx|v|vmax|vstar|lv\.x)\b/.test(r)) return 'ultra_rare';
+  if (r.includes('rare')) return 'rare';
+  return 'special';
 }
 
-// =============================================================================
-// OPEN LIBRARY SCRAPER
-// =============================================================================
-
-async function scrapeOpenLibrary(options = {}) {
-  const results = [];
-  const subjects = ['fiction', 'science', 'history', 'biography', 'fantasy', 'mystery'];
-  const limit = options.limit || 50000;
-  
-  for (const subject of subjects) {
-    if (results.length >= limit) break;
-    
-    let offset = 0;
-    const batchSize = 100;
-    
-    while (results.length < limit) {
-      try {
-        const url = `https://openlibrary.org/subjects/${subject}.json?limit=${batchSize}&offset=${offset}`;
-        const response = await fetchWithRetry(url);
-        const data = await response.json();
-        
-        if (!data.works || data.works.length === 0) break;
-        
-        for (const work of data.works) {
-          results.push({
-            name: work.title,
-            author: work.authors?.[0]?.name,
-            subject: subject,
-            cover_url: work.cover_id ? `https://covers.openlibrary.org/b/id/${work.cover_id}-M.jpg` : null,
-            source: 'openlibrary',
-            external_ids: { ol_key: work.key },
-          });
-        }
-        
-        offset += batchSize;
-        await delay(500);
-        
-      } catch (error) {
-        console.error(`[OpenLibrary] Error on ${subject}:`, error.message);
-        break;
-      }
-    }
-  }
-  
-  return results.slice(0, limit);
+// { modern: 'legal' } and { standard: 'Legal' } alike
+function mapLegalities(legalities) {
+  if (!legalities) return null;
+  return Object.fromEntries(Object.entries(legalities)
+    .map(([format, status]) => [format, String(status).toLowerCase().replace(/\s+/g, '_')]));
 }
 
-// =============================================================================
-// PROJECT GUTENBERG SCRAPER
-// =============================================================================
+const toPrice = (value) => {
+  const price = parseFloat(value);
+  return Number.isFinite(price) ? price : null;
+};
 
-async function scrapeGutenberg(options = {}) {
-  // Gutenberg has RSS feeds and bulk data
-  // Using their simple catalog endpoint
-  const results = [];
-  const limit = options.limit || 1000;
-  
-  try {
-    // Use Gutenberg search API
-    const url = 'https://gutendex.com/books/';
-    let nextUrl = url;
-    
-    while (results.length < limit && nextUrl) {
-      const response = await fetchWithRetry(nextUrl);
-      const data = await response.json();
-      
-      if (data.results) {
-        for (const book of data.results) {
-          results.push({
-            name: book.title,
-            author: book.authors?.[0]?.name,
-            subject: book.subjects?.join(', '),
-            download_url: book.formats?.['text/plain; charset=utf-8'] || book.formats?.['text/plain'],
-            source: 'gutenberg',
-            external_ids: { gutenberg_id: book.id },
-          });
-        }
-      }
-      
-      nextUrl = data.next;
-      await delay(300);
-    }
-    
-  } catch (error) {
-    console.error(`[Gutenberg] Error:`, error.message);
-  }
-  
-  return results.slice(0, limit);
+// Both games' prices as { usd, usd_foil, eur, eur_foil, tix } market prices,
+// null when the card has none
+function mapCardPrices(record) {
+  const prices = record.prices;
+  if (!prices) return null;
+
+  const mapped = record.game === 'pokemon' ? mapPokemonPrices(prices) : {
+    usd: toPrice(prices.usd),
+    usd_foil: toPrice(prices.usd_foil ?? prices.usd_etched),
+    eur: toPrice(prices.eur),
+    eur_foil: toPrice(prices.eur_foil),
+    tix: toPrice(prices.tix),
+  };
+  return Object.values(mapped).some(price => price != null) ? mapped : null;
 }
 
-// =============================================================================
-// TRANSFORM FUNCTIONS
-// =============================================================================
-
-function transformSpirit(record) {
-  // Map to bv_spirits table schema
+// TCGplayer prices come per printing (normal, holofoil, reverseHolofoil, ...)
+function mapPokemonPrices(prices) {
+  const tcgplayer = prices.tcgplayer || {};
+  const base = tcgplayer.normal || tcgplayer.holofoil || Object.values(tcgplayer)[0];
+  const foil = tcgplayer.normal ? (tcgplayer.holofoil || tcgplayer.reverseHolofoil) : tcgplayer.reverseHolofoil;
   return {
-    name: (record.name || record.brand_name || 'Unknown').substring(0, 255),
-    brand: record.brand?.substring(0, 255) || null,
-    category: mapCategory(record.category),
-    subcategory: record.subcategory?.substring(0, 100) || record.class_type?.substring(0, 100) || null,
-    country: record.country?.substring(0, 100) || record.origin?.substring(0, 100) || null,
-    region: record.region?.substring(0, 100) || null,
-    abv: typeof record.abv === 'number' ? record.abv : (parseFloat(record.alcohol_content) || null),
-    description: record.description?.substring(0, 2000) || null,
-    image_url: record.image_url?.substring(0, 500) || null,
-    tasting_notes: record.tasting_notes?.substring(0, 1000) || null,
-    external_ids: record.external_ids ? JSON.stringify(record.external_ids) : 
-                  record.ttb_id ? JSON.stringify({ ttb_id: record.ttb_id }) : null,
+    usd: toPrice(base?.market ?? base?.mid),
+    usd_foil: toPrice(foil?.market ?? foil?.mid),
+    eur: toPrice(prices.cardmarket?.trendPrice),
+    eur_foil: toPrice(prices.cardmarket?.reverseHoloTrend),
+    tix: null,
   };
 }
 
-function mapCategory(cat) {
-  if (!cat) return 'spirits';
-  const c = String(cat).toLowerCase();
-  
-  if (c.includes('bourbon') || c.includes('whiskey') || c.includes('whisky')) return 'bourbon';
-  if (c.includes('vodka')) return 'vodka';
-  if (c.includes('rum')) return 'rum';
-  if (c.includes('tequila') || c.includes('mezcal')) return 'tequila';
-  if (c.includes('gin')) return 'gin';
-  if (c.includes('brandy') || c.includes('cognac')) return 'brandy';
-  if (c.includes('wine')) return 'wine';
-  if (c.includes('beer') || c.includes('ale') || c.includes('lager') || c.includes('malt')) return 'beer';
-  if (c.includes('cocktail')) return 'cocktail';
-  if (c.includes('spirits')) return 'spirits';
-  return 'other';
+// Each page's sets are upserted to card_sets, its cards' prices are recorded
+// in the price history and their images are queued for mirroring
+function relatedCardRows(rows, records) {
+  const sets = new Map();
+  records.forEach((record, i) => {
+    const set = record.set_info;
+    if (set?.code) sets.set(`${rows[i].game}:${set.code}`, { game: rows[i].game, ...set, source: rows[i].source });
+  });
+
+  return [
+    { table: 'card_sets', conflictKey: ['game', 'code'], rows: [...sets.values()] },
+    priceWrite('cards', rows),
+    imageWrite('cards', rows),
+  ];
 }
 
-function transformCard(record) {
+function transformBook(record) {
   return {
-    name: record.name,
-    set_name: record.set,
-    rarity: record.rarity,
-    image_url: record.image_url,
+    title: record.name,
+    subtitle: record.subtitle || null,
+    author: record.author,
+    authors: record.authors || null,
+    author_keys: record.author_keys || null,
+    subject: record.subject,
+    first_publish_year: record.first_publish_year ?? null,
+    publishers: record.publishers || null,
+    page_count: record.page_count ?? null,
+    isbn_10: record.isbn_10 || null,
+    isbn_13: record.isbn_13 || null,
+    author_details: record.author_details || null,
+    languages: record.languages || null,
+    bookshelves: record.bookshelves || null,
+    download_count: record.download_count ?? null,
+    copyright: record.copyright ?? null,
+    formats: record.formats && Object.keys(record.formats).length ? record.formats : null,
+    cover_url: record.cover_url,
+    download_url: record.download_url,
     source: record.source,
     external_ids: record.external_ids ? JSON.stringify(record.external_ids) : null,
   };
 }
 
-function transformBook(record) {
+function transformEdition(record) {
   return {
     title: record.name,
-    author: record.author,
-    subject: record.subject,
+    subtitle: record.subtitle,
+    work_key: record.work_key,
+    author_keys: record.author_keys,
+    isbn_10: record.isbn_10,
+    isbn_13: record.isbn_13,
+    publishers: record.publishers,
+    publish_date: record.publish_date,
+    page_count: record.page_count,
+    languages: record.languages,
+    physical_format: record.physical_format,
     cover_url: record.cover_url,
-    download_url: record.download_url,
     source: record.source,
     external_ids: record.external_ids ? JSON.stringify(record.external_ids) : null,
   };
 }
 
-// =============================================================================
-// SUPABASE UPLOAD
-// =============================================================================
+// Covers are queued for mirroring
+function relatedBookRows(rows) {
+  return [imageWrite('books', rows, 'cover_url')];
+}
 
-async function uploadToSupabase(records, table) {
-  if (!CONFIG.supabase.serviceKey) {
-    throw new Error('SUPABASE_SERVICE_KEY not configured');
-  }
-  
-  const batchSize = 50;
-  let uploaded = 0;
-  let errors = 0;
-  
-  for (let i = 0; i < records.length; i += batchSize) {
-    const batch = records.slice(i, i + batchSize);
-    
-    try {
-      const response = await fetch(`${CONFIG.supabase.url}/rest/v1/${table}`, {
-        method: 'POST',
-        headers: {
-          'apikey': CONFIG.supabase.serviceKey,
-          'Authorization': `Bearer ${CONFIG.supabase.serviceKey}`,
-          'Content-Type': 'application/json',
-          'Prefer': 'resolution=ignore-duplicates,return=minimal',
-        },
-        body: JSON.stringify(batch),
-      });
-      
-      if (response.ok) {
-        uploaded += batch.length;
-      } else {
-        const errorText = await response.text();
-        console.error(`Upload error (batch ${i}): ${response.status} - ${errorText}`);
-        errors += batch.length;
-      }
-      
-    } catch (error) {
-      console.error(`Upload error (batch ${i}):`, error.message);
-      errors += batch.length;
-    }
-    
-    await delay(50);
-  }
-  
-  return { uploaded, errors };
+function relatedEditionRows(rows) {
+  return [imageWrite('book_editions', rows, 'cover_url')];
+}
+
+// Stamps the natural key used for upserts onto a transformed row
+function withExternalId(row, record, sourceConfig) {
+  const id = record.external_ids?.[sourceConfig.idField] ?? record[sourceConfig.idField];
+  return { ...row, external_id: id == null ? null : String(id) };
 }
 
 // =============================================================================
@@ -784,14 +430,18 @@ async function uploadToSupabase(records, table) {
 
 export default async function handler(req, res) {
   // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Origin', CONFIG.corsOrigin);
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
   
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
   
-  const { type, source, skip_upload, limit } = req.query;
+  const auth = authenticate(req);
+  if (!auth.ok) return sendAuthError(res, auth);
+  
+  const { type, source, skip_upload, limit, resume, budget, refetch, mode = 'full', sink: sinkParam } = req.query;
   
   if (!type || !SCRAPERS[type]) {
     return res.status(400).json({
@@ -812,13 +462,80 @@ export default async function handler(req, res) {
     });
   }
   
+  // Dry runs only need dry_run; uploads need scrape; admin-only sources need admin
+  const adminSources = sources.filter(s => scraper.sources[s].adminOnly);
+  const requiredScope = adminSources.length > 0 ? 'admin'
+    : skip_upload === 'true' ? 'dry_run'
+    : 'scrape';
+  
+  if (!hasScope(auth.scope, requiredScope)) {
+    const message = adminSources.length > 0
+      ? `Source(s) ${adminSources.join(', ')} are admin-only`
+      : 'Uploading requires the scrape scope; add skip_upload=true for a dry run';
+    return sendAuthError(res, forbidden(auth, requiredScope, message));
+  }
+  
+  if (!['full', 'incremental'].includes(mode)) {
+    return res.status(400).json({
+      error: 'Invalid mode',
+      validModes: ['full', 'incremental'],
+    });
+  }
+  
+  const sinkName = sinkParam || scraper.sink || DEFAULT_SINK;
+  if (!SINKS.includes(sinkName)) {
+    return res.status(400).json({
+      error: 'Invalid sink',
+      validSinks: SINKS,
+    });
+  }
+  
+  const dryRun = skip_upload === 'true';
+  let sink = null;
+  if (!dryRun) {
+    try {
+      sink = await createSink(sinkName);
+    } catch (error) {
+      console.error(`[${type}] Could not open ${sinkName} sink:`, error.message);
+      return res.status(500).json({ error: `Sink ${sinkName} unavailable: ${error.message}` });
+    }
+  }
+  
+  const state = createStateStore();
+  const budgetMs = budget ? parseInt(budget) * 1000 : CONFIG.timeBudgetMs;
+  const deadline = Date.now() + budgetMs;
+  
+  const startedAt = new Date();
+  const runId = await startRun({
+    type,
+    sources,
+    options: { skip_upload: dryRun, sink: sinkName, mode, limit: limit ? parseInt(limit) : null, resume: resume === 'true', budgetMs },
+    triggeredBy: auth.via,
+  });
+  
   const results = {
+    runId,
     type,
+    resume: resume === 'true',
+    mode,
+    budgetMs,
+    sink: dryRun ? null : sinkName,
     sources: {},
     totalScraped: 0,
     totalUploaded: 0,
+    totalInserted: 0,
+    totalUpdated: 0,
+    totalUnchanged: 0,
+    totalRejected: 0,
     totalErrors: 0,
-    timestamp: new Date().toISOString(),
+    timestamp: startedAt.toISOString(),
+  };
+  
+  // Webhook deliveries run alongside the scrape and are awaited before
+  // responding (see lib/webhooks.js); dry runs send nothing
+  const notifications = [];
+  const notify = (event, data) => {
+    if (!dryRun) notifications.push(emitEvent(event, data));
   };
   
   for (const sourceName of sources) {
@@ -832,25 +549,98 @@ export default async function handler(req, res) {
     try {
       console.log(`[${type}] Scraping ${sourceConfig.name}...`);
       
-      const options = { limit: limit ? parseInt(limit) : undefined };
-      const records = await sourceConfig.fn(options);
-      const transformed = records.map(scraper.transform);
+      const key = stateKey(type, sourceName, sinkName);
+      const startCursor = resume === 'true' ? await state.get(key) : null;
+      
+      // Incremental runs start at the mark the last finished crawl reached;
+      // an interrupted crawl is resumed from its cursor instead
+      const since = mode === 'incremental' && sourceConfig.incremental && !startCursor
+        ? await state.get(highWaterKey(type, sourceName, sinkName))
+        : null;
+      
+      // A broken state table shouldn't stop the upload itself
+      let checkpointError;
+      const saveCursor = (cursor) => state.set(key, cursor).catch(error => {
+        checkpointError = error.message;
+      });
+      
+      // Dry runs and file sinks only cluster within each page
+      const resolve = scraper.createResolver?.({
+        lookup: sink?.findByMatchKeys ? (keys) => sink.findByMatchKeys(scraper.table, keys) : null,
+      });
+      
+      // Sources that support it send conditional requests, remembering
+      // validators in the state store once a page is stored - per sink, as
+      // a page stored in one sink may be missing from another
+      const validators = dryRun || refetch === 'true' ? null : sinkStore(state, sinkName);
+      const metrics = createRequestMetrics();
+      
+      // Pages are transformed and uploaded as they arrive; the cursor is
+      // checkpointed after each stored page (dry runs never move it). A host
+      // paused past the time budget fails the source instead of stalling it.
+      const stats = await withRequestMetrics(metrics, () => withDeadline(deadline, () => runPipeline({
+        pages: sourceConfig.fn({ cursor: startCursor, since, validators, deadline }),
+        transform: (record) => withExternalId(scraper.transform(record), record, sourceConfig),
+        validate: (row) => validateRow(row, scraper.schema),
+        quarantine: dryRun ? null : (rejected) => quarantineRows(rejected, { table: scraper.table, runId, sink }),
+        resolve,
+        upload: dryRun ? null : (rows) => sink.upsert(rows, scraper.table, { conflictKey: scraper.conflictKey }),
+        related: scraper.related,
+        storeRelated: dryRun ? null : (writes) => storeRelated(sink, writes),
+        checkpoint: dryRun ? null : saveCursor,
+        limit: limit ? parseInt(limit) : (sourceConfig.defaultLimit || Infinity),
+        deadline,
+        queueDepth: CONFIG.queueDepth,
+      })));
+      
+      if (!dryRun && stats.done && stats.highWater != null) {
+        await state.set(highWaterKey(type, sourceName, sinkName), stats.highWater).catch(error => {
+          checkpointError = error.message;
+        });
+      }
+      
+      if (stats.error) {
+        console.error(`[${type}] Error scraping ${sourceName}:`, stats.error);
+      }
+      if (stats.paused) {
+        console.log(`[${type}] ${sourceName} paused: ${stats.paused}`);
+      }
+      if (stats.quarantineError) {
+        console.error(`[${type}] Quarantine error for ${sourceName}:`, stats.quarantineError);
+      }
+      if (stats.relatedError) {
+        console.error(`[${type}] Related rows error for ${sourceName}:`, stats.relatedError);
+      }
+      if (checkpointError) {
+        console.error(`[${type}] Checkpoint error for ${sourceName}:`, checkpointError);
+      }
       
       results.sources[sourceName] = {
-        scraped: transformed.length,
-        uploaded: 0,
-        errors: 0,
+        ...stats,
+        cursor: stats.cursor === undefined ? startCursor : stats.cursor,
+        resumedFrom: startCursor,
+        ...(since && { since }),
+        http: metrics.summary(),
+        ...(checkpointError && { checkpointError }),
       };
       
-      results.totalScraped += transformed.length;
+      const eventData = { run_id: runId, type, table: scraper.table, source: sourceName, mode };
+      if (stats.inserted > 0) notify('records.created', { ...eventData, count: stats.inserted });
+      if (stats.updated > 0) notify('records.updated', { ...eventData, count: stats.updated });
+      // Only when the source fetched content and it came back empty: not for
+      // 304s, an incremental run with nothing new since its mark, or a
+      // source that paused or ran out of time before its first page
+      const http = results.sources[sourceName].http;
+      const noOp = http.notModified > 0 || since || stats.stoppedEarly;
+      if (stats.scraped === 0 && !stats.error && !noOp) notify('source.zero_results', eventData);
       
-      if (skip_upload !== 'true' && transformed.length > 0) {
-        const uploadResult = await uploadToSupabase(transformed, scraper.table);
-        results.sources[sourceName].uploaded = uploadResult.uploaded;
-        results.sources[sourceName].errors = uploadResult.errors;
-        results.totalUploaded += uploadResult.uploaded;
-        results.totalErrors += uploadResult.errors;
-      }
+      results.totalScraped += stats.scraped;
+      results.totalUploaded += stats.uploaded;
+      results.totalInserted += stats.inserted;
+      results.totalUpdated += stats.updated;
+      results.totalUnchanged += stats.unchanged;
+      results.totalRejected += stats.rejected;
+      results.totalErrors += stats.errors;
       
     } catch (error) {
       console.error(`[${type}] Error scraping ${sourceName}:`, error);
@@ -860,5 +650,45 @@ export default async function handler(req, res) {
     }
   }
   
+  if (sink) {
+    await sink.close().catch(error => console.error(`[${type}] Could not close ${sinkName} sink:`, error.message));
+  }
+  
+  await finishRun(runId, results, startedAt);
+  
+  const status = runStatus(results);
+  notify(status === 'failed' ? 'run.failed' : 'run.completed', {
+    run_id: runId,
+    type,
+    status,
+    mode,
+    duration_ms: Date.now() - startedAt,
+    sources: Object.fromEntries(Object.entries(results.sources).map(([name, stats]) => [name, {
+      scraped: stats.scraped ?? 0,
+      inserted: stats.inserted ?? 0,
+      updated: stats.updated ?? 0,
+      rejected: stats.rejected ?? 0,
+      errors: stats.errors ?? 0,
+      done: stats.done ?? false,
+      ...(stats.error && { error: stats.error }),
+    }])),
+    totals: {
+      scraped: results.totalScraped,
+      inserted: results.totalInserted,
+      updated: results.totalUpdated,
+      rejected: results.totalRejected,
+      errors: results.totalErrors,
+    },
+    errors: runErrors(results),
+  });
+  
+  const deliveries = (await Promise.all(notifications)).flat();
+  if (deliveries.length > 0) {
+    results.webhooks = {
+      delivered: deliveries.filter(delivery => delivery.status === 'delivered').length,
+      failed: deliveries.filter(delivery => delivery.status === 'failed').length,
+    };
+  }
+  
   return res.status(200).json(results);
 }
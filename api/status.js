@@ -1,75 +1,137 @@
 // Javari Scraper - Status Endpoint
 // =================================
-// GET /api/status - Check scraper status and available sources
+// GET /api/status - Check scraper status, available sources and data freshness
+//
+// Everything here is derived from the live SCRAPERS registry in scrape.js:
+// per-table connectivity and row counts, per-source row counts, the last
+// successful run into the type's sink (from scrape_runs) and whether the
+// source's schedule was missed.
 
-export default async function handler(req, res) {
-  const SCRAPERS = {
-    spirits: {
-      table: 'bv_spirits',
-      sources: [
-        'ttb_cola',      // NEW! 500K+ US alcohol labels
-        'openfoodfacts', 
-        'brewery', 
-        'punkapi', 
-        'cocktaildb', 
-        'untappd'
-      ],
-      description: 'Spirits, beer, wine, cocktails - NOW WITH TTB COLA (500K+)',
-    },
-    cards: {
-      table: 'cards',
-      sources: ['pokemon', 'scryfall'],
-      description: 'Trading cards (Pokemon, MTG)',
-    },
-    books: {
-      table: 'books',
-      sources: ['openlibrary', 'gutenberg'],
-      description: 'Books and ebooks',
-    },
+import { SCRAPERS } from './scrape.js';
+import { DEFAULT_SINK, SINKS } from '../lib/sinks/index.js';
+import { lastSuccessfulRun } from '../lib/runs.js';
+import { isSupabaseConfigured, supabaseCount } from '../lib/supabase.js';
+import { VERSION } from '../lib/version.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A source is overdue once its interval plus 25% grace has passed
+const SCHEDULE_INTERVALS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+  monthly: 31 * DAY_MS,
+};
+
+// Resolved types record every contributing source in `sources`
+function sourceFilter(scraper, source) {
+  return scraper.createResolver
+    ? `sources=cs.${encodeURIComponent(`{${source}}`)}`
+    : `source=eq.${encodeURIComponent(source)}`;
+}
+
+function freshness(schedule, lastSuccessAt) {
+  const interval = SCHEDULE_INTERVALS[schedule];
+  if (!lastSuccessAt) return 'never_run';
+  if (!interval) return 'unscheduled';
+  return Date.now() - new Date(lastSuccessAt) > interval * 1.25 ? 'overdue' : 'ok';
+}
+
+async function describeSource(type, scraper, name, config) {
+  const recordSource = config.recordSource || name;
+  const source = {
+    name: config.name,
+    schedule: config.schedule,
+    estimated: config.estimated,
+    ...(config.description && { description: config.description }),
+    ...(config.adminOnly && { adminOnly: true }),
+    ...(config.requiresAuth && { requiresAuth: true }),
+    ...(config.incremental && { incremental: true }),
+  };
+
+  if (!isSupabaseConfigured()) return source;
+
+  const [rows, lastRun] = await Promise.allSettled([
+    supabaseCount(`${scraper.table}?select=*&${sourceFilter(scraper, recordSource)}`),
+    lastSuccessfulRun(type, name, scraper.sink || DEFAULT_SINK),
+  ]);
+
+  source.rows = rows.status === 'fulfilled' ? rows.value : null;
+  source.lastSuccessAt = lastRun.status === 'fulfilled' ? (lastRun.value?.finished_at || null) : null;
+  source.freshness = lastRun.status === 'fulfilled'
+    ? freshness(config.schedule, source.lastSuccessAt)
+    : 'unknown';
+  return source;
+}
+
+async function describeType(type, scraper) {
+  const entry = {
+    table: scraper.table,
+    connection: null,
+    rows: null,
+    sources: {},
   };
-  
-  // Check Supabase connection
-  let supabaseStatus = 'not_configured';
-  if (process.env.SUPABASE_SERVICE_KEY) {
+
+  if (isSupabaseConfigured()) {
     try {
-      const response = await fetch(
-        `${process.env.SUPABASE_URL}/rest/v1/bv_spirits?select=id&limit=1`,
-        {
-          headers: {
-            'apikey': process.env.SUPABASE_SERVICE_KEY,
-            'Authorization': `Bearer ${process.env.SUPABASE_SERVICE_KEY}`,
-          },
-        }
-      );
-      supabaseStatus = response.ok ? 'connected' : 'error';
-    } catch {
-      supabaseStatus = 'error';
+      entry.rows = await supabaseCount(`${scraper.table}?select=*`);
+      entry.connection = 'connected';
+    } catch (error) {
+      entry.connection = 'error';
+      entry.error = error.message;
     }
+  } else {
+    entry.connection = 'not_configured';
   }
-  
+
+  const names = Object.keys(scraper.sources);
+  const sources = await Promise.all(
+    names.map(name => describeSource(type, scraper, name, scraper.sources[name]))
+  );
+  names.forEach((name, i) => { entry.sources[name] = sources[i]; });
+  return entry;
+}
+
+export default async function handler(req, res) {
+  const types = Object.keys(SCRAPERS);
+  const described = await Promise.all(types.map(type => describeType(type, SCRAPERS[type])));
+
+  const scrapers = {};
+  types.forEach((type, i) => { scrapers[type] = described[i]; });
+
+  const overdue = [];
+  for (const [type, entry] of Object.entries(scrapers)) {
+    for (const [name, source] of Object.entries(entry.sources)) {
+      if (source.freshness === 'overdue') overdue.push(`${type}:${name}`);
+    }
+  }
+
+  // Supabase is connected only if every table answered
+  const connections = described.map(entry => entry.connection);
+  const supabaseStatus = !isSupabaseConfigured() ? 'not_configured'
+    : connections.every(c => c === 'connected') ? 'connected'
+    : 'error';
+
   // Check Untappd credentials
   const untappdStatus = process.env.UNTAPPD_CLIENT_ID ? 'configured' : 'not_configured';
-  
+
   return res.status(200).json({
-    status: 'ok',
-    version: '1.1.0',
+    status: supabaseStatus === 'error' ? 'degraded' : 'ok',
+    version: VERSION,
     timestamp: new Date().toISOString(),
-    scrapers: SCRAPERS,
+    scrapers,
+    overdue,
     connections: {
       supabase: supabaseStatus,
       untappd: untappdStatus,
     },
     usage: {
-      spirits: 'GET /api/scrape?type=spirits&source=all',
-      ttb_cola: 'GET /api/scrape?type=spirits&source=ttb_cola (500K+ products!)',
-      cards: 'GET /api/scrape?type=cards&source=pokemon',
-      books: 'GET /api/scrape?type=books&source=openlibrary',
+      scrape: `GET /api/scrape?type={${types.join('|')}}&source={all|<source>}`,
       skip_upload: 'Add &skip_upload=true to test without uploading',
       limit: 'Add &limit=1000 to limit results',
-    },
-    cron: {
-      schedule: '0 3 * * *',
-      description: 'Runs daily at 3 AM UTC',
+      resume: 'Add &resume=true to continue from the saved cursor',
+      mode: 'Add &mode=incremental to fetch only what changed since the last finished crawl',
+      sink: `Add &sink={${SINKS.join('|')}} to choose where rows are written`,
+      runs: 'GET /api/runs for run history',
     },
   });
 }
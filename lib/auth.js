@@ -0,0 +1,139 @@
+// Javari Scraper - Authentication
+// ================================
+// Resolves the caller of an API route to a scope:
+//
+//   dry_run  - may run scrapers with skip_upload=true
+//   scrape   - may scrape and upload to the database
+//   admin    - may also run admin-only sources (e.g. ttb_cola)
+//
+// Accepted credentials:
+//   Authorization: Bearer <SCRAPER_SECRET>   -> admin
+//   Authorization: Bearer <CRON_SECRET>      -> admin (Vercel cron invocations)
+//   ?scope=...&expires=...&signature=...     -> scope named in the signed query
+//
+// Signed queries let us hand out scoped, expiring URLs without sharing the
+// secret. The signature is a hex HMAC-SHA256 (keyed with SCRAPER_SECRET) of
+// every query parameter except `signature`, sorted by name and joined as
+// `key=value&key=value`. Use signQuery() below to generate one.
+
+import crypto from 'node:crypto';
+
+export const SCOPES = ['dry_run', 'scrape', 'admin'];
+
+const AUTH_CONFIG = {
+  scraperSecret: process.env.SCRAPER_SECRET,
+  cronSecret: process.env.CRON_SECRET,
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function canonicalQuery(query) {
+  return Object.keys(query)
+    .filter(key => key !== 'signature')
+    .sort()
+    .map(key => `${key}=${Array.isArray(query[key]) ? query[key].join(',') : query[key]}`)
+    .join('&');
+}
+
+export function hasScope(granted, required) {
+  return SCOPES.indexOf(granted) >= SCOPES.indexOf(required);
+}
+
+// Returns the query with `signature` added. `params` must already include
+// `scope` and `expires` (unix seconds).
+export function signQuery(params, secret = AUTH_CONFIG.scraperSecret) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(canonicalQuery(params))
+    .digest('hex');
+  return { ...params, signature };
+}
+
+// =============================================================================
+// AUTHENTICATE
+// =============================================================================
+
+// Returns { ok: true, scope, via } or { ok: false, status, body }.
+export function authenticate(req) {
+  if (!AUTH_CONFIG.scraperSecret) {
+    return {
+      ok: false,
+      status: 500,
+      body: {
+        error: 'Server misconfigured',
+        message: 'SCRAPER_SECRET is not configured; refusing to run unauthenticated',
+      },
+    };
+  }
+
+  const header = req.headers?.authorization || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+
+  if (bearer) {
+    if (AUTH_CONFIG.cronSecret && safeEqual(bearer, AUTH_CONFIG.cronSecret)) {
+      return { ok: true, scope: 'admin', via: 'cron' };
+    }
+    if (safeEqual(bearer, AUTH_CONFIG.scraperSecret)) {
+      return { ok: true, scope: 'admin', via: 'bearer' };
+    }
+    return unauthorized('Invalid bearer token');
+  }
+
+  const query = req.query || {};
+  if (query.signature) {
+    if (!SCOPES.includes(query.scope)) {
+      return unauthorized(`Signed query must include scope (${SCOPES.join('|')})`);
+    }
+    const expires = parseInt(query.expires);
+    if (!expires || expires * 1000 < Date.now()) {
+      return unauthorized('Signed query has expired or is missing expires');
+    }
+    const expected = signQuery(query).signature;
+    if (!safeEqual(String(query.signature), expected)) {
+      return unauthorized('Invalid signature');
+    }
+    return { ok: true, scope: query.scope, via: 'signature' };
+  }
+
+  return unauthorized('Missing credentials: send Authorization: Bearer <token> or a signed query');
+}
+
+function unauthorized(message) {
+  return {
+    ok: false,
+    status: 401,
+    headers: { 'WWW-Authenticate': 'Bearer realm="javari-scraper"' },
+    body: { error: 'Unauthorized', message },
+  };
+}
+
+export function forbidden(auth, requiredScope, message) {
+  return {
+    ok: false,
+    status: 403,
+    body: {
+      error: 'Forbidden',
+      message,
+      requiredScope,
+      grantedScope: auth.scope,
+    },
+  };
+}
+
+// Sends a failed authenticate()/forbidden() result.
+export function sendAuthError(res, result) {
+  for (const [name, value] of Object.entries(result.headers || {})) {
+    res.setHeader(name, value);
+  }
+  return res.status(result.status).json(result.body);
+}
@@ -0,0 +1,507 @@
+// Javari Scraper - HTTP Utilities
+// ===============================
+// Shared fetch helpers used by every source.
+//
+// Every request goes through a scheduler keyed by host, so sources never
+// sleep between requests themselves. Per host it enforces:
+//   rps          request starts per second
+//   concurrency  requests in flight at once, from the request until its
+//                body is read, cancelled or times out
+//   Retry-After  a 429/503 with Retry-After holds the whole host until then;
+//                a request with a deadline (withDeadline) fails fast with
+//                HostPausedError rather than wait past it
+//   circuit      after CIRCUIT_THRESHOLD consecutive failures (network
+//                errors, 429, 5xx) the host fails fast for CIRCUIT_COOLDOWN_MS;
+//                the first request after that decides whether it reopens
+//
+// Limits come from HOST_LIMITS or the source (registerHostLimits); override
+// them with HTTP_HOST_LIMITS (JSON), e.g.
+// {"api.scryfall.com":{"rps":5,"concurrency":2}}.
+//
+// fetchWithRetry() adds timeouts, retries only what can succeed on retry
+// (network errors, timeouts, 408/425/429/5xx), conditional requests and
+// per-request metrics collected per source (withRequestMetrics).
+//
+// Requests leave through a swappable transport (setTransport), so tests can
+// answer them from recorded responses instead of the network.
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+export const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// =============================================================================
+// HOST LIMITS
+// =============================================================================
+
+const DEFAULT_LIMITS = { rps: 2, concurrency: 2 };
+
+export const HOST_LIMITS = {
+  'api.scryfall.com': { rps: 10, concurrency: 4 },   // Scryfall allows 10 rps
+  'www.ttbonline.gov': { rps: 2, concurrency: 1 },   // government servers, be polite
+  'api.untappd.com': { rps: 2, concurrency: 1 },     // hourly cap handled by the source
+  'world.openfoodfacts.org': { rps: 3, concurrency: 1 },
+  'www.thecocktaildb.com': { rps: 3, concurrency: 2 },
+  'api.pokemontcg.io': { rps: 2, concurrency: 2 },
+  'openlibrary.org': { rps: 2, concurrency: 1 },
+  'gutendex.com': { rps: 3, concurrency: 1 },
+  // Image CDNs, read by lib/images.js
+  'images.openfoodfacts.org': { rps: 3, concurrency: 2 },
+  'cards.scryfall.io': { rps: 10, concurrency: 4 },  // Scryfall's image CDN has no rate limit
+  'images.pokemontcg.io': { rps: 5, concurrency: 2 },
+  'covers.openlibrary.org': { rps: 2, concurrency: 1 },
+  'www.gutenberg.org': { rps: 1, concurrency: 1 },   // Gutenberg asks robots to go slowly
+};
+
+function loadOverrides() {
+  if (!process.env.HTTP_HOST_LIMITS) return {};
+  try {
+    return JSON.parse(process.env.HTTP_HOST_LIMITS);
+  } catch (error) {
+    console.error('[HTTP] Ignoring invalid HTTP_HOST_LIMITS:', error.message);
+    return {};
+  }
+}
+
+const overrides = loadOverrides();
+const hostLimits = { ...HOST_LIMITS };
+for (const [host, override] of Object.entries(overrides)) {
+  hostLimits[host] = { ...(hostLimits[host] || DEFAULT_LIMITS), ...override };
+}
+
+// Limits declared by a source for its own host (declarative sources carry
+// them in their definition). HTTP_HOST_LIMITS still wins.
+export function registerHostLimits(host, limits) {
+  hostLimits[host] = { ...DEFAULT_LIMITS, ...limits, ...overrides[host] };
+}
+
+// =============================================================================
+// SCHEDULER
+// =============================================================================
+
+const CIRCUIT_THRESHOLD = 5;
+const CIRCUIT_COOLDOWN_MS = 30000;
+
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_CAP_MS = 30000;
+
+export class CircuitOpenError extends Error {
+  constructor(host, until) {
+    super(`Circuit open for ${host} until ${new Date(until).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.host = host;
+  }
+}
+
+export class HostPausedError extends Error {
+  constructor(host, until) {
+    super(`${host} is paused until ${new Date(until).toISOString()}, past the deadline`);
+    this.name = 'HostPausedError';
+    this.host = host;
+  }
+}
+
+class HostScheduler {
+  constructor(host, { rps, concurrency }) {
+    this.host = host;
+    this.interval = 1000 / rps;
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.waiting = [];       // callers blocked on concurrency
+    this.nextStart = 0;      // earliest start time of the next request
+    this.pausedUntil = 0;    // Retry-After
+    this.failures = 0;       // consecutive
+    this.openUntil = 0;      // circuit
+  }
+
+  checkCircuit() {
+    if (this.openUntil > Date.now()) throw new CircuitOpenError(this.host, this.openUntil);
+  }
+
+  async acquire(deadline) {
+    this.checkCircuit();
+    while (this.active >= this.concurrency) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    this.active++;
+
+    if (deadline && this.pausedUntil > deadline) {
+      this.release();
+      throw new HostPausedError(this.host, this.pausedUntil);
+    }
+
+    // Concurrent callers reserve successive start slots
+    const start = Math.max(Date.now(), this.nextStart, this.pausedUntil);
+    this.nextStart = start + this.interval;
+    if (start > Date.now()) await delay(start - Date.now());
+
+    try {
+      this.checkCircuit();
+    } catch (error) {
+      this.release();
+      throw error;
+    }
+  }
+
+  release() {
+    this.active--;
+    this.waiting.shift()?.();
+  }
+
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  succeeded() {
+    this.failures = 0;
+  }
+
+  failed() {
+    if (++this.failures < CIRCUIT_THRESHOLD) return;
+    this.openUntil = Date.now() + CIRCUIT_COOLDOWN_MS;
+    console.error(`[HTTP] ${this.host} failed ${this.failures} times in a row; pausing it for ${CIRCUIT_COOLDOWN_MS / 1000}s`);
+  }
+}
+
+const schedulers = new Map();
+
+function schedulerFor(url) {
+  const host = new URL(url).host;
+  if (!schedulers.has(host)) {
+    schedulers.set(host, new HostScheduler(host, hostLimits[host] || DEFAULT_LIMITS));
+  }
+  return schedulers.get(host);
+}
+
+const deadlineContext = new AsyncLocalStorage();
+
+// Requests made inside fn() (that don't pass their own `deadline`) give up
+// instead of waiting for a host paused past `deadline`, in epoch ms
+export function withDeadline(deadline, fn) {
+  return deadlineContext.run(deadline, fn);
+}
+
+// Max requests the host allows in flight, for sources that prefetch pages
+export function hostConcurrency(url) {
+  return (hostLimits[new URL(url).host] || DEFAULT_LIMITS).concurrency;
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(value) {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : 0;
+}
+
+// "Full jitter": a random wait up to the exponential bound
+const backoffMs = (attempt) => Math.random() * Math.min(BACKOFF_CAP_MS, BACKOFF_BASE_MS * 2 ** attempt);
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+const TIMEOUT_MS = parseInt(process.env.HTTP_TIMEOUT_MS) || 30000;
+
+// Statuses worth another attempt; any other 4xx is the request's own fault
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// host + path only: query strings can carry API keys
+function describeUrl(url) {
+  const { host, pathname } = new URL(url);
+  return `${host}${pathname}`;
+}
+
+export class HttpError extends Error {
+  constructor(status, url, attempts = 1) {
+    super(`HTTP ${status} from ${describeUrl(url)}${attempts > 1 ? ` after ${attempts} attempts` : ''}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.retryable = RETRYABLE_STATUSES.has(status);
+    this.attempts = attempts;
+  }
+}
+
+export class TimeoutError extends Error {
+  constructor(url, timeoutMs) {
+    super(`Timed out after ${timeoutMs}ms: ${describeUrl(url)}`);
+    this.name = 'TimeoutError';
+  }
+}
+
+// Network failures and timeouts are retried; a caller's own abort is not
+function isRetryable(error, signal) {
+  if (signal?.aborted) return false;
+  if (error instanceof HttpError) return error.retryable;
+  return !(error instanceof CircuitOpenError || error instanceof HostPausedError);
+}
+
+// =============================================================================
+// METRICS
+// =============================================================================
+
+const metricsContext = new AsyncLocalStorage();
+
+// Collects every request made inside withRequestMetrics(); the run results
+// report summary() per source
+export function createRequestMetrics() {
+  const totals = { requests: 0, attempts: 0, retried: 0, failed: 0, notModified: 0, bytes: 0 };
+  const latency = { total: 0, max: 0 };
+  const hosts = {};
+
+  const hostEntry = (host) => {
+    hosts[host] ||= { requests: 0, attempts: 0, failed: 0, bytes: 0 };
+    return hosts[host];
+  };
+
+  return {
+    record({ url, attempts, latencyMs, status, failed }) {
+      const host = hostEntry(new URL(url).host);
+      totals.requests++;
+      totals.attempts += attempts;
+      host.requests++;
+      host.attempts += attempts;
+      if (attempts > 1) totals.retried++;
+      if (failed) {
+        totals.failed++;
+        host.failed++;
+      }
+      if (status === 304) totals.notModified++;
+      latency.total += latencyMs;
+      latency.max = Math.max(latency.max, latencyMs);
+    },
+
+    addBytes(url, bytes) {
+      totals.bytes += bytes;
+      hostEntry(new URL(url).host).bytes += bytes;
+    },
+
+    summary() {
+      return {
+        ...totals,
+        avgLatencyMs: totals.attempts ? Math.round(latency.total / totals.attempts) : 0,
+        maxLatencyMs: latency.max,
+        hosts,
+      };
+    },
+  };
+}
+
+export function withRequestMetrics(metrics, fn) {
+  return metricsContext.run(metrics, fn);
+}
+
+// Counts body bytes as the caller reads them and calls done() once the body
+// is fully read, fails or the caller cancels it
+function watchBody(response, url, metrics, done) {
+  if (!response.body || response.status === 204 || response.status === 304) {
+    done();
+    return response;
+  }
+
+  const reader = response.body.getReader();
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done: finished } = await reader.read();
+        if (finished) {
+          done();
+          controller.close();
+          return;
+        }
+        metrics?.addBytes(url, value.byteLength);
+        controller.enqueue(value);
+      } catch (error) {
+        done();
+        controller.error(error);
+      }
+    },
+    cancel(reason) {
+      done();
+      return reader.cancel(reason);
+    },
+  });
+  const watched = new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+  // The final URL after redirects (e.g. which dump a "latest" link points to)
+  Object.defineProperty(watched, 'url', { value: response.url });
+  return watched;
+}
+
+// =============================================================================
+// TRANSPORT
+// =============================================================================
+
+const networkFetch = (url, options) => fetch(url, options);
+let transport = networkFetch;
+
+// Replaces what every request (sources, Supabase, webhooks) is sent with; a
+// function taking fetch()'s arguments and resolving with a Response. Returns
+// the previous transport; pass nothing to restore the network.
+export function setTransport(fn) {
+  const previous = transport;
+  transport = fn || networkFetch;
+  return previous;
+}
+
+// =============================================================================
+// CONDITIONAL REQUESTS
+// =============================================================================
+
+// Validators live in any { get, set } store (the scraper_state store works)
+// under 'http:<url>'
+const validatorKey = (url) => `http:${url}`;
+
+// Stores the ETag / Last-Modified of a fetchWithRetry() response. Call it only
+// once the response's data is safely stored, or a failed upload would be
+// skipped as "not modified" next time.
+export async function saveValidators(validators, url, response) {
+  if (validators && response?.validators) {
+    await validators.set(validatorKey(url), response.validators);
+  }
+}
+
+// =============================================================================
+// FETCH
+// =============================================================================
+
+// One scheduled attempt. The timeout covers the whole exchange: a body still
+// streaming when it fires is aborted too. The host's slot is held until the
+// exchange is over - the body read or cancelled, or the request failed,
+// timed out or was aborted - so an unread body counts against concurrency.
+async function send(url, { timeoutMs = TIMEOUT_MS, signal, deadline = deadlineContext.getStore(), ...options }, metrics) {
+  const host = schedulerFor(url);
+  await host.acquire(deadline);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new TimeoutError(url, timeoutMs)), timeoutMs);
+  const forwardAbort = () => controller.abort(signal.reason);
+  let finished = false;
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', forwardAbort);
+    controller.signal.removeEventListener('abort', finish);
+    host.release();
+  };
+  signal?.addEventListener('abort', forwardAbort, { once: true });
+  controller.signal.addEventListener('abort', finish, { once: true });
+
+  try {
+    const response = await transport(url, { ...options, signal: controller.signal });
+
+    if (response.status === 429 || response.status === 503) {
+      const wait = retryAfterMs(response.headers.get('retry-after'));
+      if (wait > 0) host.pause(wait);
+    }
+    if (response.status === 429 || response.status >= 500) host.failed();
+    else host.succeeded();
+
+    return watchBody(response, url, metrics, finish);
+  } catch (error) {
+    finish();
+    host.failed();
+    throw controller.signal.reason instanceof TimeoutError ? controller.signal.reason : error;
+  }
+}
+
+// One scheduled request, no retries; the response is returned whatever its
+// status. For sources that must inspect failures themselves (Untappd).
+export async function scheduledFetch(url, options = {}) {
+  const metrics = metricsContext.getStore();
+  const started = Date.now();
+
+  try {
+    const response = await send(url, options, metrics);
+    metrics?.record({ url, attempts: 1, latencyMs: Date.now() - started, status: response.status, failed: !response.ok });
+    return response;
+  } catch (error) {
+    metrics?.record({ url, attempts: 1, latencyMs: Date.now() - started, failed: true });
+    throw error;
+  }
+}
+
+// Resolves with an ok response (or a 304 for conditional requests), its
+// `attempts` set, and throws otherwise: HttpError for a fatal status or once
+// retries are exhausted, TimeoutError, CircuitOpenError, HostPausedError or
+// the network error.
+//
+// Extra options:
+//   timeoutMs   per attempt (default HTTP_TIMEOUT_MS or 30s)
+//   validators  store of ETag / Last-Modified validators; sends a conditional
+//               request when the URL has some (see saveValidators)
+//   deadline    epoch ms a paused host may not be waited past (default: the
+//               one set by withDeadline)
+export async function fetchWithRetry(url, options = {}, retries = 3) {
+  const { validators, ...fetchOptions } = options;
+  const metrics = metricsContext.getStore();
+
+  const known = validators ? await validators.get(validatorKey(url)).catch(() => null) : null;
+  if (known) {
+    fetchOptions.headers = {
+      ...fetchOptions.headers,
+      ...(known.etag && { 'If-None-Match': known.etag }),
+      ...(known.last_modified && { 'If-Modified-Since': known.last_modified }),
+    };
+  }
+
+  let latencyMs = 0;
+  for (let attempt = 1; ; attempt++) {
+    let error;
+    const started = Date.now();
+    try {
+      const response = await send(url, fetchOptions, metrics);
+      latencyMs += Date.now() - started;
+
+      if (response.ok || (known && response.status === 304)) {
+        metrics?.record({ url, attempts: attempt, latencyMs, status: response.status });
+        response.attempts = attempt;
+        const etag = response.headers.get('etag');
+        const lastModified = response.headers.get('last-modified');
+        if (validators && (etag || lastModified)) {
+          response.validators = { etag, last_modified: lastModified };
+        }
+        return response;
+      }
+      // Discarding the error body ends the attempt (and its timeout); a fatal
+      // status keeps it on the error (`body`), as APIs explain 4xx there
+      error = new HttpError(response.status, url, attempt);
+      if (error.retryable) await response.body?.cancel().catch(() => {});
+      else error.body = await response.text().catch(() => null);
+    } catch (fetchError) {
+      latencyMs += Date.now() - started;
+      error = fetchError;
+    }
+
+    if (!isRetryable(error, options.signal) || attempt >= retries) {
+      metrics?.record({ url, attempts: attempt, latencyMs, failed: true });
+      error.attempts = attempt;
+      throw error;
+    }
+    await delay(backoffMs(attempt - 1));
+  }
+}
+
+// Yields fetchPage(n) for n = first, first + 1, ... in order, keeping up to
+// `width` pages in flight (the host scheduler still enforces its rate).
+// lastPage() bounds the prefetch; until the source knows its page count
+// (usually from the first page) it should return `first`, so nothing is
+// fetched past the end. Stop iterating to stop fetching.
+export async function* prefetchPages(fetchPage, first, width, lastPage = () => Infinity) {
+  const inFlight = [];
+  let next = first;
+
+  while (true) {
+    while (inFlight.length < width && next <= lastPage()) {
+      const page = fetchPage(next++);
+      page.catch(() => {}); // awaited below, or discarded if iteration stops
+      inFlight.push(page);
+    }
+    if (inFlight.length === 0) return;
+    yield await inFlight.shift();
+  }
+}
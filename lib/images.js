@@ -0,0 +1,281 @@
+// Javari Scraper - Image Mirroring
+// ================================
+// Rows hotlink images on OFF, Scryfall, Pokemon TCG and Open Library CDNs,
+// which break, change or rate-limit apps. With IMAGE_STORE set (see
+// lib/stores/index.js), every stored page queues its image URLs in
+// `image_assets` (imageWrite, a related write), and /api/images works through
+// the queue:
+//
+//   1. downloads each URL once (the queue is unique on source_url)
+//   2. records its SHA-256, type, size and dimensions
+//   3. stores the original and JPEG thumbnails (IMAGE_THUMB_SIZES, longest
+//      side in px) under content-addressed keys, so identical bytes from two
+//      URLs are stored once
+//   4. computes a 64-bit difference hash (dHash) and marks the asset a
+//      duplicate of a stored one within IMAGE_DUPLICATE_DISTANCE bits - the
+//      same product photo resized or recompressed by another source
+//
+// Near-duplicates are found without a table scan: match_keys holds the
+// SHA-256 and the dHash split into four 16-bit bands, and candidates are the
+// assets sharing any key (locality-sensitive hashing). Two hashes within 3
+// bits always share a band; most within the default 6 do.
+//
+// Apps look images up by the row's image_url / cover_url = source_url. An
+// asset names the first row that referenced it. Decoding and resizing need
+// the optional `jimp` package.
+//
+//   create table image_assets (
+//     id                 bigint generated always as identity primary key,
+//     source_url         text not null unique,
+//     table_name         text not null,
+//     source             text,
+//     external_id        text,
+//     status             text not null default 'pending',  -- pending | stored | failed
+//     attempts           integer not null default 0,
+//     error              text,
+//     sha256             text,
+//     content_type       text,
+//     bytes              integer,
+//     width              integer,
+//     height             integer,
+//     storage_key        text,
+//     url                text,                             -- the mirrored original
+//     thumbnails         jsonb,                            -- { "160": url, "480": url }
+//     dhash              text,                             -- 16 hex digits
+//     match_keys         text[],                           -- sha256:<hex>, dhash<band>:<hex>
+//     duplicate_of       bigint references image_assets (id),
+//     duplicate_distance integer,                          -- dHash bits apart
+//     created_at         timestamptz not null default now(),
+//     stored_at          timestamptz
+//   );
+//   create index on image_assets (status, id);
+//   create index on image_assets using gin (match_keys);
+
+import crypto from 'node:crypto';
+import { fetchWithRetry } from './http.js';
+import { createObjectStore } from './stores/index.js';
+import { isSupabaseConfigured, supabaseRequest } from './supabase.js';
+
+export const IMAGE_TABLE = 'image_assets';
+
+const parseDistance = (value) => (Number.isInteger(parseInt(value)) ? parseInt(value) : 6);
+
+export const IMAGE_CONFIG = {
+  store: process.env.IMAGE_STORE || null,
+  thumbSizes: (process.env.IMAGE_THUMB_SIZES || '160,480').split(',').map(Number).filter(size => size > 0),
+  duplicateDistance: parseDistance(process.env.IMAGE_DUPLICATE_DISTANCE),
+  maxBytes: parseInt(process.env.IMAGE_MAX_BYTES) || 10 * 1024 * 1024,
+  // Downloads that keep failing are given up on
+  maxAttempts: 3,
+};
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/bmp': 'bmp',
+  'image/tiff': 'tiff',
+};
+
+const DHASH_BANDS = 4;
+
+// =============================================================================
+// QUEUE
+// =============================================================================
+
+// A related write (see storeRelated in lib/sinks/index.js) queueing the
+// images in `field` of a page's rows. Empty while mirroring is off.
+export function imageWrite(table, rows, field = 'image_url') {
+  const assets = !IMAGE_CONFIG.store ? [] : rows
+    .filter(row => /^https?:\/\//.test(row[field] || ''))
+    .map(row => ({
+      source_url: row[field],
+      table_name: table,
+      source: row.source ?? null,
+      external_id: row.external_id == null ? null : String(row.external_id),
+    }));
+
+  return { table: IMAGE_TABLE, rows: assets, store: queueImages };
+}
+
+// The queue lives in Supabase with the run ledger, whichever sink the rows
+// went to. Known URLs are left alone, so each is downloaded once.
+async function queueImages(sink, assets) {
+  if (!isSupabaseConfigured()) return;
+  const unique = [...new Map(assets.map(asset => [asset.source_url, asset])).values()];
+  await supabaseRequest(`${IMAGE_TABLE}?on_conflict=source_url`, {
+    method: 'POST',
+    body: unique,
+    prefer: 'resolution=ignore-duplicates,return=minimal',
+  });
+}
+
+// =============================================================================
+// PERCEPTUAL HASHING
+// =============================================================================
+
+// 64-bit difference hash as 16 hex digits: the image shrunk to 9x8 grey
+// pixels, one bit per horizontally adjacent pair (left brighter than right)
+export function differenceHash(image) {
+  const { data } = image.clone().greyscale().resize({ w: 9, h: 8 }).bitmap;
+  let bits = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      const left = data[(y * 9 + x) * 4];
+      const right = data[(y * 9 + x + 1) * 4];
+      bits = (bits << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return bits.toString(16).padStart(16, '0');
+}
+
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  for (; diff > 0n; diff >>= 1n) count += Number(diff & 1n);
+  return count;
+}
+
+export function imageMatchKeys(sha256, dhash) {
+  const bandLength = dhash.length / DHASH_BANDS;
+  return [
+    `sha256:${sha256}`,
+    ...Array.from({ length: DHASH_BANDS }, (_, band) => `dhash${band}:${dhash.slice(band * bandLength, (band + 1) * bandLength)}`),
+  ];
+}
+
+// =============================================================================
+// PROCESSING
+// =============================================================================
+
+class ImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageError';
+    this.retryable = false;
+  }
+}
+
+async function loadJimp() {
+  try {
+    return (await import('jimp')).Jimp;
+  } catch {
+    throw new Error('Image mirroring needs the `jimp` package (npm install jimp)');
+  }
+}
+
+const quoteValue = (value) => `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+
+// The closest stored asset within `maxDistance` bits, as the root of its
+// duplicate cluster: { asset, distance } or null
+async function findDuplicate(id, sha256, dhash, maxDistance) {
+  const keys = imageMatchKeys(sha256, dhash).map(quoteValue).join(',');
+  const candidates = await supabaseRequest(
+    `${IMAGE_TABLE}?select=id,sha256,dhash,duplicate_of,storage_key,url,thumbnails` +
+    `&status=eq.stored&id=neq.${id}&match_keys=ov.${encodeURIComponent(`{${keys}}`)}&limit=100`,
+  ) || [];
+
+  let best = null;
+  for (const candidate of candidates) {
+    const distance = candidate.sha256 === sha256 ? 0 : hammingDistance(dhash, candidate.dhash);
+    if (distance <= maxDistance && (!best || distance < best.distance)) best = { asset: candidate, distance };
+  }
+  return best;
+}
+
+async function mirrorImage(asset, { store, Jimp, thumbSizes, duplicateDistance, maxBytes, deadline }) {
+  const response = await fetchWithRetry(asset.source_url, { deadline });
+  const declared = parseInt(response.headers.get('content-length'));
+  if (declared > maxBytes) {
+    await response.body?.cancel().catch(() => {});
+    throw new ImageError(`Image is ${declared} bytes, over the ${maxBytes} byte limit`);
+  }
+
+  const body = Buffer.from(await response.arrayBuffer());
+  if (body.length > maxBytes) throw new ImageError(`Image is ${body.length} bytes, over the ${maxBytes} byte limit`);
+
+  let image;
+  try {
+    image = await Jimp.read(body);
+  } catch (error) {
+    throw new ImageError(`Not a readable image: ${error.message}`);
+  }
+
+  const sha256 = crypto.createHash('sha256').update(body).digest('hex');
+  const dhash = differenceHash(image);
+  const duplicate = await findDuplicate(asset.id, sha256, dhash, duplicateDistance);
+  const fields = {
+    sha256,
+    content_type: image.mime || response.headers.get('content-type'),
+    bytes: body.length,
+    width: image.width,
+    height: image.height,
+    dhash,
+    match_keys: imageMatchKeys(sha256, dhash),
+    duplicate_of: duplicate ? duplicate.asset.duplicate_of ?? duplicate.asset.id : null,
+    duplicate_distance: duplicate ? duplicate.distance : null,
+  };
+
+  // The same bytes are already in the store
+  if (duplicate && duplicate.asset.sha256 === sha256) {
+    const { storage_key: storageKey, url, thumbnails } = duplicate.asset;
+    return { ...fields, storage_key: storageKey, url, thumbnails };
+  }
+
+  const prefix = `${sha256.slice(0, 2)}/${sha256}`;
+  const original = await store.put(`originals/${prefix}.${EXTENSIONS[fields.content_type] || 'bin'}`, body, fields.content_type);
+
+  const thumbnails = {};
+  for (const size of thumbSizes) {
+    const thumbnail = image.clone();
+    if (thumbnail.width > size || thumbnail.height > size) thumbnail.scaleToFit({ w: size, h: size });
+    const jpeg = await thumbnail.getBuffer('image/jpeg', { quality: 80 });
+    thumbnails[size] = (await store.put(`thumbs/${size}/${prefix}.jpg`, jpeg, 'image/jpeg')).url;
+  }
+
+  return { ...fields, storage_key: original.key, url: original.url, thumbnails };
+}
+
+const updateAsset = (id, fields) => supabaseRequest(`${IMAGE_TABLE}?id=eq.${id}`, {
+  method: 'PATCH',
+  body: fields,
+  prefer: 'return=minimal',
+});
+
+// Mirrors up to `limit` queued images, oldest first, stopping at `deadline`
+// (ms timestamp). Returns { processed, stored, duplicates, failed, retrying }.
+export async function processImages({
+  store = createObjectStore(IMAGE_CONFIG.store),
+  limit = 50,
+  deadline = Infinity,
+  thumbSizes = IMAGE_CONFIG.thumbSizes,
+  duplicateDistance = IMAGE_CONFIG.duplicateDistance,
+  maxBytes = IMAGE_CONFIG.maxBytes,
+} = {}) {
+  const Jimp = await loadJimp();
+  const queued = await supabaseRequest(
+    `${IMAGE_TABLE}?select=id,source_url,attempts&status=eq.pending&order=id.asc&limit=${limit}`,
+  ) || [];
+  const stats = { processed: 0, stored: 0, duplicates: 0, failed: 0, retrying: 0 };
+
+  for (const asset of queued) {
+    if (Date.now() >= deadline) break;
+    stats.processed++;
+
+    try {
+      const fields = await mirrorImage(asset, { store, Jimp, thumbSizes, duplicateDistance, maxBytes, deadline });
+      await updateAsset(asset.id, { ...fields, status: 'stored', error: null, stored_at: new Date().toISOString() });
+      stats.stored++;
+      if (fields.duplicate_of) stats.duplicates++;
+    } catch (error) {
+      // 404s and undecodable files won't get better; network trouble might
+      const attempts = (asset.attempts || 0) + 1;
+      const failed = error.retryable === false || attempts >= IMAGE_CONFIG.maxAttempts;
+      console.error(`[Images] ${asset.source_url}:`, error.message);
+      await updateAsset(asset.id, { attempts, error: error.message.slice(0, 500), status: failed ? 'failed' : 'pending' });
+      stats[failed ? 'failed' : 'retrying']++;
+    }
+  }
+
+  return stats;
+}
@@ -0,0 +1,82 @@
+// Javari Scraper - JSONPath
+// =========================
+// The slice of JSONPath that declarative sources (lib/sources/declarative.js)
+// use to find records in a response and fields in a record:
+//
+//   $                 the document (or the record)
+//   $.a.b  $['a b']   child members
+//   $.items[0]  [-1]  array elements, negative from the end
+//   $.items[*]  $.*   every element or member
+//   $..sku            every `sku` at any depth
+//
+// Filters and slices aren't supported. A path without [*], .* or .. is
+// definite: it names at most one value.
+
+const SEGMENT = /^(?:\.\.([A-Za-z_$][\w$-]*|\*)|\.([A-Za-z_$][\w$-]*|\*)|\[\s*(?:'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|(-?\d+)|(\*))\s*\])/;
+
+export class JSONPathError extends Error {
+  constructor(path, message) {
+    super(`Invalid JSONPath ${path}: ${message}`);
+    this.name = 'JSONPathError';
+    this.path = path;
+  }
+}
+
+// '$.a[0]..b' -> [{ key: 'a' }, { index: 0 }, { key: 'b', deep: true }]
+export function compilePath(path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) throw new JSONPathError(path, 'must start with $');
+
+  const segments = [];
+  let rest = path.slice(1);
+  while (rest) {
+    const match = SEGMENT.exec(rest);
+    if (!match) throw new JSONPathError(path, `unexpected "${rest}"`);
+
+    const [text, deep, child, single, double, index, star] = match;
+    const name = deep ?? child ?? single?.replace(/\\(.)/g, '$1') ?? double?.replace(/\\(.)/g, '$1');
+    if (index !== undefined) segments.push({ index: Number(index) });
+    else if (star || name === '*') segments.push({ wildcard: true, deep: deep !== undefined });
+    else segments.push({ key: name, deep: deep !== undefined });
+    rest = rest.slice(text.length);
+  }
+
+  segments.definite = segments.every(segment => !segment.wildcard && !segment.deep);
+  return segments;
+}
+
+const childrenOf = (value) => (value && typeof value === 'object' ? Object.values(value) : []);
+
+// The value and everything below it, depth first
+function descendants(value) {
+  const found = [value];
+  for (const child of childrenOf(value)) found.push(...descendants(child));
+  return found;
+}
+
+function step(value, segment) {
+  if (segment.index !== undefined) {
+    if (!Array.isArray(value)) return [];
+    const index = segment.index < 0 ? value.length + segment.index : segment.index;
+    return index in value ? [value[index]] : [];
+  }
+  if (segment.wildcard) return childrenOf(value);
+  return value && typeof value === 'object' && Object.hasOwn(value, segment.key) ? [value[segment.key]] : [];
+}
+
+// Every value the path matches, in document order
+export function queryAll(data, path) {
+  const segments = Array.isArray(path) ? path : compilePath(path);
+  let values = [data];
+  for (const segment of segments) {
+    const from = segment.deep ? values.flatMap(descendants) : values;
+    values = from.flatMap(value => step(value, segment));
+  }
+  return values;
+}
+
+// A definite path's value (undefined when missing); all matches otherwise
+export function query(data, path) {
+  const segments = Array.isArray(path) ? path : compilePath(path);
+  const values = queryAll(data, segments);
+  return segments.definite ? values[0] : values;
+}
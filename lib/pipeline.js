@@ -0,0 +1,274 @@
+// Javari Scraper - Streaming Pipeline
+// ===================================
+// Moves pages from a source generator through transform and upload without
+// ever holding more than a few pages in memory.
+//
+//   source (async generator) --> transform --> [bounded queue] --> upload --> checkpoint
+//
+// Sources yield { records, cursor } where cursor is the position *after* that
+// page. A page's cursor is only checkpointed once the page has been uploaded,
+// so a crash mid-run loses at most the pages still in flight. A page with
+// `pause: reason` is the source's last for this run (e.g. a rate budget is
+// spent) without it being exhausted, so its cursor is kept for the next run.
+// Pages may also report a `highWater` mark (e.g. the last approval date
+// fully crawled) for incremental runs, and a `commit` callback run once the
+// page is stored (e.g. to save HTTP validators; never on dry runs). A page's
+// `errors` counts records the source failed to fetch; they are added to the
+// source's errors without holding the cursor back.
+
+// =============================================================================
+// BOUNDED QUEUE
+// =============================================================================
+
+export class BoundedQueue {
+  constructor(capacity = 2) {
+    this.capacity = capacity;
+    this.items = [];
+    this.closed = false;
+    this.waiting = []; // resolvers blocked on a full or empty queue
+  }
+
+  wake() {
+    const waiting = this.waiting;
+    this.waiting = [];
+    waiting.forEach(resolve => resolve());
+  }
+
+  wait() {
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  // Resolves once the item is queued; waits while the queue is full.
+  async push(item) {
+    while (this.items.length >= this.capacity && !this.closed) {
+      await this.wait();
+    }
+    if (this.closed) return false;
+    this.items.push(item);
+    this.wake();
+    return true;
+  }
+
+  // Resolves with the next item, or undefined once closed and drained.
+  async shift() {
+    while (this.items.length === 0 && !this.closed) {
+      await this.wait();
+    }
+    const item = this.items.shift();
+    this.wake();
+    return item;
+  }
+
+  close() {
+    this.closed = true;
+    this.wake();
+  }
+}
+
+// =============================================================================
+// RUN PIPELINE
+// =============================================================================
+
+// Options:
+//   pages       async iterable of { records, cursor } from a source
+//   transform   maps one source record to a table row
+//   validate    optional (row) => { row, errors }; rows with errors are
+//               diverted to quarantine instead of being uploaded
+//   quarantine  optional async (rejected) => void, rejected being
+//               [{ row, record, errors }]
+//   resolve     optional async (rows) => rows run just before upload, e.g. to
+//               merge rows into canonical products (see lib/resolve.js)
+//   upload      async (rows) => { uploaded, errors, ...counts }; omit for dry runs
+//   related     optional (rows, records) => [{ table, rows, conflictKey }] of
+//               rows for other tables derived from a page's accepted rows and
+//               their source records (set records, price snapshots)
+//   storeRelated async (writes) => void, run once a page's upload succeeded;
+//               best-effort like quarantine
+//   checkpoint  async (cursor) => void; persists progress after each upload
+//   limit       max records to take this run
+//   deadline    epoch ms after which no new page is started
+//   queueDepth  pages buffered between scraping and uploading
+//
+// Returns per-source stats: scraped, uploaded, errors (plus any other counts
+// the upload function reports, e.g. inserted/updated), rejected and
+// rejectReasons (count per reason), pages, cursor (last
+// position whose records were stored; null once the source is exhausted),
+// done, stoppedEarly, paused (the source's pause reason), highWater (of the
+// last stored page that reported one), relatedError and error (message of a
+// source failure, if any).
+export async function runPipeline({
+  pages,
+  transform,
+  validate,
+  quarantine,
+  resolve,
+  upload,
+  related,
+  storeRelated,
+  checkpoint,
+  limit = Infinity,
+  deadline,
+  queueDepth = 2,
+}) {
+  const stats = {
+    scraped: 0,
+    uploaded: 0,
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    errors: 0,
+    rejected: 0,
+    rejectReasons: {},
+    pages: 0,
+    cursor: undefined,
+    done: false,
+    stoppedEarly: false,
+  };
+
+  const queue = new BoundedQueue(queueDepth);
+
+  const transformPage = (records) => {
+    const rows = [];
+    const accepted = [];
+    const rejected = [];
+
+    for (const record of records) {
+      const row = transform(record);
+      if (!validate) {
+        rows.push(row);
+        accepted.push(record);
+        continue;
+      }
+
+      const result = validate(row);
+      if (result.errors.length === 0) {
+        rows.push(result.row);
+        accepted.push(record);
+        continue;
+      }
+
+      rejected.push({ row, record, errors: result.errors });
+      stats.rejected++;
+      for (const error of result.errors) {
+        stats.rejectReasons[error] = (stats.rejectReasons[error] || 0) + 1;
+      }
+    }
+
+    const writes = related && rows.length > 0
+      ? related(rows, accepted).filter(write => write.rows.length > 0)
+      : [];
+    return { rows, rejected, writes };
+  };
+
+  const produce = async () => {
+    const iterator = pages[Symbol.asyncIterator]();
+    try {
+      while (true) {
+        if (stats.scraped >= limit) break;
+        if (deadline && Date.now() >= deadline) {
+          stats.stoppedEarly = true;
+          break;
+        }
+
+        const { value: page, done } = await iterator.next();
+        if (done) {
+          // Exhausted: the next run starts from the beginning
+          await queue.push({ rows: [], rejected: [], writes: [], cursor: null, final: true });
+          break;
+        }
+
+        let records = page.records || [];
+        let cursor = page.cursor;
+        let highWater = page.highWater;
+        let commit = page.commit;
+
+        // A page cut short by the limit is re-fetched on resume, so its
+        // cursor must not be checkpointed
+        if (stats.scraped + records.length > limit) {
+          records = records.slice(0, limit - stats.scraped);
+          cursor = undefined;
+          highWater = undefined;
+          commit = undefined;
+        }
+
+        stats.scraped += records.length;
+        stats.errors += page.errors || 0;
+        const { rows, rejected, writes } = transformPage(records);
+        if (!(await queue.push({ rows, rejected, writes, cursor, highWater, commit }))) break;
+
+        if (page.pause) {
+          stats.stoppedEarly = true;
+          stats.paused = page.pause;
+          break;
+        }
+      }
+    } catch (error) {
+      stats.error = error.message;
+    } finally {
+      // Let the source clean up (close sockets, etc.) if we stopped early
+      await iterator.return?.().catch(() => {});
+      queue.close();
+    }
+  };
+
+  const consume = async () => {
+    let checkpointsBlocked = false;
+
+    while (true) {
+      const item = await queue.shift();
+      if (!item) break;
+
+      // Quarantine is best-effort; losing it never blocks the good rows
+      if (item.rejected.length > 0 && quarantine) {
+        try {
+          await quarantine(item.rejected);
+        } catch (error) {
+          stats.quarantineError = error.message;
+        }
+      }
+
+      if (item.rows.length > 0) {
+        stats.pages++;
+        // Resolved here rather than when scraped so lookups see the previous
+        // page's uploads
+        const rows = resolve ? await resolve(item.rows) : item.rows;
+        if (upload) {
+          const result = await upload(rows);
+          for (const [name, count] of Object.entries(result)) {
+            if (typeof count === 'number') stats[name] = (stats[name] || 0) + count;
+          }
+          // Never checkpoint past a page that failed to store
+          if (result.errors > 0) checkpointsBlocked = true;
+
+          if (result.errors === 0 && item.writes.length > 0 && storeRelated) {
+            try {
+              await storeRelated(item.writes);
+            } catch (error) {
+              stats.relatedError = error.message;
+            }
+          }
+        }
+      }
+
+      if (checkpointsBlocked) continue;
+      // Best-effort: a lost commit only costs re-fetching the page
+      if (item.commit && upload) await item.commit().catch(() => {});
+
+      if (item.cursor === undefined) continue;
+      stats.cursor = item.cursor;
+      if (item.highWater !== undefined) stats.highWater = item.highWater;
+      if (item.final) stats.done = true;
+      if (checkpoint) await checkpoint(item.cursor);
+    }
+  };
+
+  const consumer = consume().catch(error => {
+    stats.error = error.message;
+    // Unblock the producer so it stops scraping pages nobody will upload
+    queue.close();
+  });
+  await produce();
+  await consumer;
+
+  return stats;
+}
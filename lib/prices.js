@@ -0,0 +1,145 @@
+// Javari Scraper - Price History
+// ==============================
+// Every price a scraper sees is appended to `price_history` along with its
+// change since the previous observation of the same series. A series is one
+// price of one product: table + source + external_id + price key (usd,
+// usd_foil, eur, ...). The latest observation of each series is also kept in
+// `price_latest`, so a page's deltas take one keyed read rather than a scan
+// of the history.
+//
+//   create table price_history (
+//     id                   bigint generated always as identity primary key,
+//     series_key           text not null,   -- table:source:external_id:price_key
+//     table_name           text not null,
+//     source               text not null,
+//     external_id          text not null,
+//     price_key            text not null,   -- usd | usd_foil | eur | eur_foil | tix
+//     currency             text not null,
+//     price                numeric not null,
+//     previous_price       numeric,
+//     delta                numeric,         -- price - previous_price
+//     delta_pct            numeric,
+//     observed_at          timestamptz not null,
+//     previous_observed_at timestamptz
+//   );
+//   create index price_history_item on price_history (external_id, observed_at);
+//
+//   create table price_latest (
+//     series_key  text primary key,
+//     table_name  text not null,
+//     source      text not null,
+//     external_id text not null,
+//     price_key   text not null,
+//     currency    text not null,
+//     price       numeric not null,
+//     observed_at timestamptz not null
+//   );
+//
+// Sinks without findByColumn (the file sinks) record prices without deltas.
+
+import { supabaseRequest } from './supabase.js';
+
+export const PRICE_HISTORY_TABLE = 'price_history';
+const LATEST_TABLE = 'price_latest';
+
+// usd_foil -> USD
+const currencyOf = (priceKey) => priceKey.split('_')[0].toUpperCase();
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// =============================================================================
+// RECORDING
+// =============================================================================
+
+// A related write (see storeRelated in lib/sinks/index.js) recording the
+// prices of `items` ({ source, external_id, prices: { usd: 1.5, ... } }) of
+// one table. Missing prices are skipped.
+export function priceWrite(table, items) {
+  const observedAt = new Date().toISOString();
+  const rows = [];
+
+  for (const { source, external_id: externalId, prices } of items) {
+    if (!prices || externalId == null) continue;
+    for (const [priceKey, price] of Object.entries(prices)) {
+      if (typeof price !== 'number' || !Number.isFinite(price)) continue;
+      rows.push({
+        series_key: `${table}:${source}:${externalId}:${priceKey}`,
+        table_name: table,
+        source,
+        external_id: externalId,
+        price_key: priceKey,
+        currency: currencyOf(priceKey),
+        price,
+        observed_at: observedAt,
+      });
+    }
+  }
+
+  return { table: PRICE_HISTORY_TABLE, rows, store: recordPrices };
+}
+
+async function recordPrices(sink, observations) {
+  // One observation per series and page
+  const latest = [...new Map(observations.map(row => [row.series_key, row])).values()];
+
+  const previous = new Map();
+  if (sink.findByColumn) {
+    const found = await sink.findByColumn(LATEST_TABLE, 'series_key', latest.map(row => row.series_key));
+    for (const row of found) previous.set(row.series_key, row);
+  }
+
+  const history = latest.map(row => {
+    const last = previous.get(row.series_key);
+    const previousPrice = last ? Number(last.price) : null;
+    const delta = previousPrice === null ? null : round(row.price - previousPrice, 4);
+    return {
+      ...row,
+      previous_price: previousPrice,
+      delta,
+      delta_pct: delta === null || previousPrice === 0 ? null : round((delta / previousPrice) * 100, 2),
+      previous_observed_at: last?.observed_at ?? null,
+    };
+  });
+
+  await sink.insert(PRICE_HISTORY_TABLE, history);
+
+  const result = await sink.upsert(latest, LATEST_TABLE, { conflictKey: ['series_key'] });
+  if (result.errors > 0) throw new Error(`${result.errors} ${LATEST_TABLE} rows failed to store`);
+}
+
+// =============================================================================
+// READING
+// =============================================================================
+
+// The latest `limit` observations of one product, oldest first, grouped by
+// "source:price_key". Filters: source, price_key, table, since, until, limit.
+export async function getPriceSeries(externalId, filters = {}) {
+  const encode = encodeURIComponent;
+  const params = [
+    'select=source,table_name,price_key,currency,price,delta,delta_pct,observed_at',
+    `external_id=eq.${encode(externalId)}`,
+    'order=observed_at.desc',
+  ];
+
+  if (filters.source) params.push(`source=eq.${encode(filters.source)}`);
+  if (filters.price_key) params.push(`price_key=eq.${encode(filters.price_key)}`);
+  if (filters.table) params.push(`table_name=eq.${encode(filters.table)}`);
+  if (filters.since) params.push(`observed_at=gte.${encode(filters.since)}`);
+  if (filters.until) params.push(`observed_at=lt.${encode(filters.until)}`);
+  params.push(`limit=${Math.min(parseInt(filters.limit) || 1000, 10000)}`);
+
+  const rows = await supabaseRequest(`${PRICE_HISTORY_TABLE}?${params.join('&')}`);
+
+  const series = {};
+  for (const row of (rows || []).reverse()) {
+    const name = `${row.source}:${row.price_key}`;
+    series[name] ||= { source: row.source, table: row.table_name, price_key: row.price_key, currency: row.currency, points: [] };
+    series[name].points.push({
+      observed_at: row.observed_at,
+      price: Number(row.price),
+      delta: row.delta === null ? null : Number(row.delta),
+      delta_pct: row.delta_pct === null ? null : Number(row.delta_pct),
+    });
+  }
+  return series;
+}
@@ -0,0 +1,268 @@
+// Javari Scraper - Spirits Entity Resolution
+// ==========================================
+// The same bottle shows up from TTB COLA, Open Food Facts, Untappd, ... with
+// different names, brands and ABV formats. This stage clusters transformed
+// bv_spirits rows into one canonical product per bottle before upload.
+//
+// Records match on (strongest first):
+//   src:<source>|<external_id>       - the same record from the same source
+//   barcode:<digits>                 - UPC/EAN
+//   ttb:<permit>|<brand>             - TTB basic permit + normalized brand
+//   nba:<brand>|<name>|<abv>         - normalized brand + name + ABV
+//
+// Canonical rows carry:
+//   canonical_id  - stable product id (the upsert key)
+//   match_keys    - every key seen for the product (text[])
+//   sources       - every source that contributed (text[])
+//   external_ids  - merged ids from all sources
+//   provenance    - { field: source } for every populated field
+//
+// Each field is taken from the highest-ranked source in the precedence rules
+// (e.g. TTB wins on ABV/class, OFF wins on image/barcode). A source always
+// refreshes the fields it already owns. Override the defaults with the
+// SPIRIT_PRECEDENCE env var (JSON, merged over DEFAULT_SPIRIT_PRECEDENCE).
+// Fields derived from another travel with it, so they never mix sources: the
+// taxonomy fields (style, sub_style, category_confidence) with `category`,
+// raw unit text with its value.
+//
+// Schema additions:
+//   alter table bv_spirits
+//     add column source text,
+//     add column canonical_id text unique,
+//     add column match_keys text[],
+//     add column sources text[],
+//     add column provenance jsonb,
+//     add column barcode text,
+//     add column ttb_permit text,
+//     add column ibu numeric,
+//     add column rating numeric,           -- Untappd average, 0-5
+//     add column rating_count integer,
+//     add column ttb_details jsonb,        -- serial, status, applicant, label images, ...
+//     add column style text,               -- see lib/taxonomy.js
+//     add column sub_style text,
+//     add column category_confidence numeric,
+//     add column abv_raw text,             -- see lib/units.js
+//     add column volume_ml numeric,
+//     add column volume_raw text;
+//   create index on bv_spirits using gin (match_keys);
+
+import crypto from 'node:crypto';
+
+export const DEFAULT_SPIRIT_PRECEDENCE = {
+  abv: ['ttb_cola', 'untappd', 'punkapi', 'openfoodfacts'],
+  ibu: ['untappd', 'punkapi'],
+  rating: ['untappd'],
+  rating_count: ['untappd'],
+  category: ['ttb_cola', 'untappd', 'openfoodfacts'],
+  subcategory: ['ttb_cola', 'untappd', 'openfoodfacts'],
+  country: ['ttb_cola', 'untappd', 'openfoodfacts'],
+  image_url: ['openfoodfacts', 'untappd', 'punkapi', 'cocktaildb'],
+  barcode: ['openfoodfacts'],
+  ttb_details: ['ttb_cola'],
+  default: ['ttb_cola', 'openfoodfacts', 'untappd', 'punkapi', 'openbrewerydb', 'cocktaildb'],
+};
+
+// Fields merged across sources; everything else on the row is bookkeeping
+const MERGE_FIELDS = [
+  'name',
+  'brand',
+  'category',
+  'subcategory',
+  'country',
+  'region',
+  'abv',
+  'volume_ml',
+  'ibu',
+  'rating',
+  'rating_count',
+  'description',
+  'image_url',
+  'tasting_notes',
+  'barcode',
+  'ttb_permit',
+  'ttb_details',
+];
+
+// Taken together with the field they derive from, from the same source
+const DEPENDENT_FIELDS = {
+  category: ['style', 'sub_style', 'category_confidence'],
+  abv: ['abv_raw'],
+  volume_ml: ['volume_raw'],
+};
+
+// Words that vary between sources without changing the product
+const NOISE_WORDS = new Set(['the', 'a', 'an', 'and', 'of', 'co', 'company', 'inc', 'llc', 'ltd']);
+
+// =============================================================================
+// NORMALIZATION
+// =============================================================================
+
+export function normalizeText(value) {
+  if (!value) return '';
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !NOISE_WORDS.has(word))
+    .join(' ');
+}
+
+// The name minus any words already in the brand, so "Jack Daniel's Old No. 7"
+// from one source matches brand "Jack Daniel's" + name "Old No. 7" from another
+function productName(brand, name) {
+  const brandWords = new Set(brand.split(' '));
+  const rest = name.split(' ').filter(word => !brandWords.has(word)).join(' ');
+  return rest || name;
+}
+
+// Rows reach the resolver with the `source` and `external_id` the canonical
+// row drops, so a record without any other key (a CocktailDB drink has no
+// brand) still finds the product it created on an earlier run
+export function matchKeys(row) {
+  const keys = [];
+  if (row.source && row.external_id) keys.push(`src:${row.source}|${row.external_id}`);
+  const barcode = row.barcode ? String(row.barcode).replace(/\D/g, '').replace(/^0+/, '') : '';
+  const brand = normalizeText(row.brand);
+  const name = normalizeText(row.name);
+
+  if (barcode.length >= 8) keys.push(`barcode:${barcode}`);
+  if (row.ttb_permit && brand) keys.push(`ttb:${normalizeText(row.ttb_permit)}|${brand}`);
+  if (brand && name) {
+    const abv = typeof row.abv === 'number' && Number.isFinite(row.abv) ? row.abv.toFixed(1) : '';
+    keys.push(`nba:${brand}|${productName(brand, name)}|${abv}`);
+  }
+  return keys;
+}
+
+// =============================================================================
+// MERGING
+// =============================================================================
+
+export function loadPrecedence(env = process.env.SPIRIT_PRECEDENCE) {
+  if (!env) return DEFAULT_SPIRIT_PRECEDENCE;
+  try {
+    return { ...DEFAULT_SPIRIT_PRECEDENCE, ...JSON.parse(env) };
+  } catch (error) {
+    console.error('[Resolve] Ignoring invalid SPIRIT_PRECEDENCE:', error.message);
+    return DEFAULT_SPIRIT_PRECEDENCE;
+  }
+}
+
+function rank(precedence, field, source) {
+  const order = precedence[field] || precedence.default || [];
+  const index = order.indexOf(source);
+  return index === -1 ? order.length : index;
+}
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value) || {};
+
+function mergeInto(product, row, precedence) {
+  const source = row.source;
+
+  for (const field of MERGE_FIELDS) {
+    const value = row[field];
+    if (value === null || value === undefined || value === '') {
+      // Keeps e.g. the raw text of an implausible ABV until a source has one
+      if (!product.provenance[field]) {
+        for (const dependent of DEPENDENT_FIELDS[field] || []) product[dependent] ??= row[dependent] ?? null;
+      }
+      continue;
+    }
+
+    const owner = product.provenance[field];
+    const take = product[field] === null || product[field] === undefined
+      || !owner
+      || owner === source
+      || rank(precedence, field, source) < rank(precedence, field, owner);
+
+    if (take) {
+      product[field] = value;
+      product.provenance[field] = source;
+      for (const dependent of DEPENDENT_FIELDS[field] || []) product[dependent] = row[dependent] ?? null;
+    }
+  }
+
+  product.external_ids = { ...product.external_ids, ...parseJson(row.external_ids) };
+  if (!product.sources.includes(source)) product.sources.push(source);
+  for (const key of matchKeys(row)) {
+    if (!product.match_keys.includes(key)) product.match_keys.push(key);
+  }
+}
+
+function fromExisting(existing) {
+  return {
+    ...existing,
+    external_ids: parseJson(existing.external_ids),
+    provenance: parseJson(existing.provenance),
+    sources: [...(existing.sources || [])],
+    match_keys: [...(existing.match_keys || [])],
+  };
+}
+
+function newProduct(row) {
+  return {
+    canonical_id: crypto.randomUUID(),
+    source: row.source,
+    external_ids: {},
+    provenance: {},
+    sources: [],
+    match_keys: [],
+  };
+}
+
+// =============================================================================
+// RESOLVER
+// =============================================================================
+
+// Returns async (rows) => canonicalRows. `lookup(keys)` resolves to existing
+// canonical rows whose match_keys overlap `keys`; without it (dry runs) rows
+// are only clustered within the page.
+export function createSpiritResolver({ precedence = loadPrecedence(), lookup } = {}) {
+  return async function resolveSpirits(rows) {
+    const rowKeys = rows.map(matchKeys);
+    const index = new Map(); // match key -> product
+
+    if (lookup) {
+      const allKeys = [...new Set(rowKeys.flat())];
+      const existing = allKeys.length > 0 ? await lookup(allKeys) : [];
+      for (const found of existing) {
+        const product = fromExisting(found);
+        for (const key of product.match_keys) {
+          if (!index.has(key)) index.set(key, product);
+        }
+      }
+    }
+
+    const touched = new Set();
+
+    rows.forEach((row, i) => {
+      // Strongest key first: a barcode match beats a name match
+      const keys = rowKeys[i];
+      const matchedKey = keys.find(key => index.has(key));
+      const product = matchedKey ? index.get(matchedKey) : newProduct(row);
+
+      mergeInto(product, row, precedence);
+      for (const key of product.match_keys) {
+        if (!index.has(key)) index.set(key, product);
+      }
+      touched.add(product);
+    });
+
+    // PostgREST bulk upserts need every row to have the same columns
+    return [...touched].map(product => {
+      const canonical = { canonical_id: product.canonical_id, source: product.source };
+      for (const field of [...MERGE_FIELDS, ...Object.values(DEPENDENT_FIELDS).flat()]) canonical[field] = product[field] ?? null;
+      return {
+        ...canonical,
+        external_ids: JSON.stringify(product.external_ids),
+        provenance: product.provenance,
+        sources: product.sources,
+        match_keys: product.match_keys,
+      };
+    });
+  };
+}
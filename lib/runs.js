@@ -0,0 +1,172 @@
+// Javari Scraper - Run Ledger
+// ===========================
+// Records every /api/scrape invocation in the `scrape_runs` table so cron
+// results survive past the HTTP response:
+//
+//   create table scrape_runs (
+//     id             bigint generated always as identity primary key,
+//     type           text not null,
+//     sources        text[] not null,
+//     options        jsonb,
+//     status         text not null,          -- running | completed | partial | failed
+//     triggered_by   text,                   -- cron | bearer | signature
+//     started_at     timestamptz not null,
+//     finished_at    timestamptz,
+//     duration_ms    integer,
+//     total_scraped  integer,
+//     total_uploaded integer,
+//     total_errors   integer,
+//     total_rejected integer,                -- rows sent to scrape_quarantine
+//     source_results jsonb,                  -- per-source stats, cursor reached
+//     errors         text[]
+//   );
+//   create index on scrape_runs (type, started_at desc);
+//
+// The ledger is best-effort: a failing write is logged and never stops a run.
+
+import { isSupabaseConfigured, supabaseRequest } from './supabase.js';
+
+const RUNS_TABLE = 'scrape_runs';
+
+// Columns returned by listRuns(); getRun() returns everything
+const SUMMARY_COLUMNS = [
+  'id',
+  'type',
+  'sources',
+  'status',
+  'triggered_by',
+  'started_at',
+  'finished_at',
+  'duration_ms',
+  'total_scraped',
+  'total_uploaded',
+  'total_errors',
+];
+
+// =============================================================================
+// WRITING
+// =============================================================================
+
+// Returns the new run id, or null when the ledger is unavailable.
+export async function startRun({ type, sources, options, triggeredBy }) {
+  if (!isSupabaseConfigured()) return null;
+
+  try {
+    const rows = await supabaseRequest(RUNS_TABLE, {
+      method: 'POST',
+      prefer: 'return=representation',
+      body: [{
+        type,
+        sources,
+        options,
+        status: 'running',
+        triggered_by: triggeredBy,
+        started_at: new Date().toISOString(),
+      }],
+    });
+    return rows?.[0]?.id ?? null;
+  } catch (error) {
+    console.error('[Runs] Could not record run start:', error.message);
+    return null;
+  }
+}
+
+// Collects the error messages reported by each source
+export function runErrors(results) {
+  const errors = [];
+  for (const [name, source] of Object.entries(results.sources || {})) {
+    if (source.error) errors.push(`${name}: ${source.error}`);
+    if (source.checkpointError) errors.push(`${name}: checkpoint - ${source.checkpointError}`);
+    if (source.quarantineError) errors.push(`${name}: quarantine - ${source.quarantineError}`);
+  }
+  if (results.error) errors.push(results.error);
+  return errors;
+}
+
+export function runStatus(results) {
+  const sources = Object.values(results.sources || {}).filter(source => !source.skipped);
+  const failed = sources.filter(source => source.error);
+  if (results.error || (sources.length > 0 && failed.length === sources.length)) return 'failed';
+  if (failed.length > 0 || results.totalErrors > 0) return 'partial';
+  return 'completed';
+}
+
+export async function finishRun(id, results, startedAt) {
+  if (!id) return;
+
+  const finishedAt = new Date();
+  try {
+    await supabaseRequest(`${RUNS_TABLE}?id=eq.${id}`, {
+      method: 'PATCH',
+      prefer: 'return=minimal',
+      body: {
+        status: runStatus(results),
+        finished_at: finishedAt.toISOString(),
+        duration_ms: finishedAt - startedAt,
+        total_scraped: results.totalScraped,
+        total_uploaded: results.totalUploaded,
+        total_errors: results.totalErrors,
+        total_rejected: results.totalRejected,
+        source_results: results.sources,
+        errors: runErrors(results),
+      },
+    });
+  } catch (error) {
+    console.error(`[Runs] Could not record run ${id} result:`, error.message);
+  }
+}
+
+// =============================================================================
+// READING
+// =============================================================================
+
+// Filters: type, source, status, since, until (ISO timestamps), zero=true
+// (runs that scraped nothing - for `source`, that source scraped nothing),
+// limit (default 50, max 500), offset.
+export async function listRuns(filters = {}) {
+  const params = [`select=${SUMMARY_COLUMNS.join(',')}`, 'order=started_at.desc'];
+  const encode = encodeURIComponent;
+
+  if (filters.type) params.push(`type=eq.${encode(filters.type)}`);
+  if (filters.source) params.push(`sources=cs.${encode(`{${filters.source}}`)}`);
+  if (filters.status) params.push(`status=eq.${encode(filters.status)}`);
+  if (filters.since) params.push(`started_at=gte.${encode(filters.since)}`);
+  if (filters.until) params.push(`started_at=lt.${encode(filters.until)}`);
+  if (filters.zero === 'true') {
+    params.push(filters.source
+      ? `source_results->${encode(filters.source)}->>scraped=eq.0`
+      : 'total_scraped=eq.0');
+  }
+
+  const limit = Math.min(parseInt(filters.limit) || 50, 500);
+  params.push(`limit=${limit}`);
+  params.push(`offset=${parseInt(filters.offset) || 0}`);
+
+  return supabaseRequest(`${RUNS_TABLE}?${params.join('&')}`);
+}
+
+// Most recent run in which `source` finished without an error and stored
+// what it scraped in `sink`: dry runs (skip_upload), sources it skipped
+// (Untappd without credentials) and runs into another sink kept nothing
+// fresh there. Runs recorded without a sink predate sinks and went to
+// Supabase.
+export async function lastSuccessfulRun(type, source, sink = 'supabase') {
+  const encode = encodeURIComponent;
+  const sinkFilter = sink === 'supabase'
+    ? 'or=(options->>sink.is.null,options->>sink.eq.supabase)'
+    : `options->>sink=eq.${encode(sink)}`;
+  const rows = await supabaseRequest(
+    `${RUNS_TABLE}?select=id,finished_at&type=eq.${encode(type)}` +
+    `&sources=cs.${encode(`{${source}}`)}&status=in.(completed,partial)` +
+    `&source_results->${encode(source)}->>error=is.null` +
+    `&source_results->${encode(source)}->>skipped=is.null` +
+    `&options->>skip_upload=eq.false&${sinkFilter}` +
+    '&order=finished_at.desc&limit=1'
+  );
+  return rows?.[0] || null;
+}
+
+export async function getRun(id) {
+  const rows = await supabaseRequest(`${RUNS_TABLE}?id=eq.${encodeURIComponent(id)}&select=*`);
+  return rows?.[0] || null;
+}
@@ -0,0 +1,236 @@
+// Javari Scraper - Record Schemas
+// ===============================
+// Declarative per-table schemas checked against every transformed row before
+// upload. A row that breaks a rule is diverted to the quarantine table with
+// the reasons instead of failing its whole upload batch.
+//
+// Column rules:
+//   type       string | number | integer | url | json | array | boolean
+//   required   null/empty is an error
+//   maxLength  strings are truncated to it; urls longer than it are errors
+//   min, max   numeric range (inclusive)
+//   enum       allowed values
+//   reject     placeholder values treated as missing (e.g. 'Unknown')
+//
+// Columns without a rule pass through untouched.
+//
+//   create table scrape_quarantine (
+//     id          bigint generated always as identity primary key,
+//     run_id      bigint,
+//     table_name  text not null,
+//     source      text,
+//     external_id text,
+//     reasons     text[] not null,
+//     record      jsonb,                 -- the transformed row
+//     raw         jsonb,                 -- the source record
+//     created_at  timestamptz not null default now()
+//   );
+
+import { CATEGORY_TYPES } from './taxonomy.js';
+
+const QUARANTINE_TABLE = 'scrape_quarantine';
+
+// The taxonomy's types (lib/taxonomy.json)
+export const SPIRIT_CATEGORIES = CATEGORY_TYPES;
+
+export const SPIRIT_SCHEMA = {
+  name: { type: 'string', required: true, maxLength: 255, reject: ['Unknown'] },
+  brand: { type: 'string', maxLength: 255 },
+  category: { type: 'string', required: true, enum: SPIRIT_CATEGORIES },
+  style: { type: 'string', maxLength: 100 },
+  sub_style: { type: 'string', maxLength: 100 },
+  category_confidence: { type: 'number', min: 0, max: 1 },
+  subcategory: { type: 'string', maxLength: 100 },
+  country: { type: 'string', maxLength: 100 },
+  region: { type: 'string', maxLength: 100 },
+  abv: { type: 'number', min: 0, max: 100 },
+  abv_raw: { type: 'string', maxLength: 64 },
+  volume_ml: { type: 'number', min: 1, max: 60000 },
+  volume_raw: { type: 'string', maxLength: 64 },
+  ibu: { type: 'number', min: 0, max: 2500 },
+  rating: { type: 'number', min: 0, max: 5 },
+  rating_count: { type: 'integer', min: 0 },
+  description: { type: 'string', maxLength: 2000 },
+  image_url: { type: 'url', maxLength: 500 },
+  tasting_notes: { type: 'string', maxLength: 1000 },
+  barcode: { type: 'string', maxLength: 32 },
+  ttb_permit: { type: 'string', maxLength: 64 },
+  ttb_details: { type: 'json' },
+  source: { type: 'string', required: true },
+  external_ids: { type: 'json' },
+};
+
+export const CARD_GAMES = ['mtg', 'pokemon'];
+
+// Every game's rarities are mapped onto this scale; the upstream value is
+// kept in rarity_raw
+export const CARD_RARITIES = [
+  'common',
+  'uncommon',
+  'rare',
+  'mythic',
+  'ultra_rare',
+  'secret_rare',
+  'promo',
+  'special',
+];
+
+// One table for every game. Game-specific columns (mana_cost, hp, attacks,
+// ...) are null for the others.
+export const CARD_SCHEMA = {
+  game: { type: 'string', required: true, enum: CARD_GAMES },
+  name: { type: 'string', required: true, maxLength: 255 },
+  set_name: { type: 'string', maxLength: 255 },
+  set_code: { type: 'string', maxLength: 16 },
+  collector_number: { type: 'string', maxLength: 32 },
+  rarity: { type: 'string', enum: CARD_RARITIES },
+  rarity_raw: { type: 'string', maxLength: 100 },
+  artist: { type: 'string', maxLength: 255 },
+  release_date: { type: 'string', maxLength: 10 },
+  type_line: { type: 'string', maxLength: 255 },
+  oracle_text: { type: 'string', maxLength: 4000 },
+  flavor_text: { type: 'string', maxLength: 1000 },
+  mana_cost: { type: 'string', maxLength: 255 },
+  colors: { type: 'array' },
+  hp: { type: 'integer', min: 0 },
+  types: { type: 'array' },
+  attacks: { type: 'json' },
+  abilities: { type: 'json' },
+  legalities: { type: 'json' },
+  prices: { type: 'json' },
+  image_url: { type: 'url', maxLength: 500 },
+  image_uris: { type: 'json' },
+  source: { type: 'string', required: true },
+  external_ids: { type: 'json' },
+};
+
+export const BOOK_SCHEMA = {
+  title: { type: 'string', required: true, maxLength: 500 },
+  subtitle: { type: 'string', maxLength: 500 },
+  author: { type: 'string', maxLength: 255 },
+  authors: { type: 'array' },
+  author_keys: { type: 'array' },
+  subject: { type: 'string', maxLength: 1000 },
+  first_publish_year: { type: 'integer' },
+  publishers: { type: 'array' },
+  page_count: { type: 'integer', min: 0 },
+  isbn_10: { type: 'array' },
+  isbn_13: { type: 'array' },
+  author_details: { type: 'json' },
+  languages: { type: 'array' },
+  bookshelves: { type: 'array' },
+  download_count: { type: 'integer', min: 0 },
+  copyright: { type: 'boolean' },
+  formats: { type: 'json' },
+  cover_url: { type: 'url', maxLength: 500 },
+  download_url: { type: 'url', maxLength: 500 },
+  source: { type: 'string', required: true },
+  external_ids: { type: 'json' },
+};
+
+export const EDITION_SCHEMA = {
+  title: { type: 'string', required: true, maxLength: 500 },
+  subtitle: { type: 'string', maxLength: 500 },
+  work_key: { type: 'string', maxLength: 64 },
+  author_keys: { type: 'array' },
+  isbn_10: { type: 'array' },
+  isbn_13: { type: 'array' },
+  publishers: { type: 'array' },
+  publish_date: { type: 'string', maxLength: 64 },
+  page_count: { type: 'integer', min: 0 },
+  languages: { type: 'array' },
+  physical_format: { type: 'string', maxLength: 100 },
+  cover_url: { type: 'url', maxLength: 500 },
+  source: { type: 'string', required: true },
+  external_ids: { type: 'json' },
+};
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+// Returns [value, error] for one column. Errors name the rule, not the value,
+// so they aggregate into rejectReasons; the value is kept in quarantine.
+function checkColumn(value, rule) {
+  if (typeof value === 'string') value = value.trim();
+  if (rule.reject?.includes(value)) value = null;
+
+  if (isMissing(value)) {
+    return rule.required ? [null, 'required'] : [null, null];
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') value = String(value);
+      if (rule.maxLength && value.length > rule.maxLength) value = value.substring(0, rule.maxLength);
+      break;
+
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'number' ? value : Number(value);
+      if (!Number.isFinite(number)) return [null, 'not a number'];
+      if (rule.type === 'integer' && !Number.isInteger(number)) return [null, 'not an integer'];
+      if (rule.min !== undefined && number < rule.min) return [null, `below min ${rule.min}`];
+      if (rule.max !== undefined && number > rule.max) return [null, `above max ${rule.max}`];
+      value = number;
+      break;
+    }
+
+    case 'url':
+      if (typeof value !== 'string' || !/^https?:\/\/\S+$/i.test(value)) return [null, 'not an http(s) url'];
+      if (rule.maxLength && value.length > rule.maxLength) return [null, `longer than ${rule.maxLength}`];
+      break;
+
+    case 'json':
+      if (typeof value === 'string') {
+        try { JSON.parse(value); } catch { return [null, 'invalid json']; }
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) return [null, 'not an array'];
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') return [null, 'not a boolean'];
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) return [null, `not one of ${rule.enum.join('|')}`];
+  return [value, null];
+}
+
+// Returns { row, errors } where row has values coerced and truncated and
+// errors lists "column: reason" for every broken rule.
+export function validateRow(row, schema) {
+  const clean = { ...row };
+  const errors = [];
+
+  for (const [column, rule] of Object.entries(schema)) {
+    const [value, error] = checkColumn(row[column], rule);
+    if (error) errors.push(`${column}: ${error}`);
+    else clean[column] = value;
+  }
+
+  return { row: clean, errors };
+}
+
+// =============================================================================
+// QUARANTINE
+// =============================================================================
+
+// Stores rejected rows ({ row, record, errors }) in the run's sink for later
+// inspection
+export async function quarantineRows(rejected, { table, runId, sink }) {
+  await sink.insert(QUARANTINE_TABLE, rejected.map(({ row, record, errors }) => ({
+    run_id: runId,
+    table_name: table,
+    source: row.source ?? record.source ?? null,
+    external_id: row.external_id ?? null,
+    reasons: errors,
+    record: row,
+    raw: record,
+  })));
+}
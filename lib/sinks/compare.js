@@ -0,0 +1,37 @@
+// Javari Scraper - Row Comparison
+// ===============================
+// Helpers shared by sinks that classify upserts as inserted / updated /
+// unchanged by reading the existing rows first.
+
+export const keyOf = (row, conflictKey) => JSON.stringify(conflictKey.map(column => row[column] ?? null));
+
+// Parses JSON-encoded strings and sorts object keys so a row we serialized
+// compares equal to the JSON value the database hands back
+export function normalizeValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'string' && /^[[{]/.test(value)) {
+    try { value = JSON.parse(value); } catch { return value; }
+  }
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((obj, key) => {
+      obj[key] = normalizeValue(value[key]);
+      return obj;
+    }, {});
+  }
+  return value;
+}
+
+export function rowChanged(existing, row) {
+  return Object.keys(row).some(column =>
+    JSON.stringify(normalizeValue(existing[column])) !== JSON.stringify(normalizeValue(row[column]))
+  );
+}
+
+// Drops rows missing a key column and keeps the last row per key; databases
+// reject an upsert that touches the same key twice
+export function dedupeByKey(rows, conflictKey) {
+  const keyed = rows.filter(row => conflictKey.every(column => row[column] != null));
+  const deduped = [...new Map(keyed.map(row => [keyOf(row, conflictKey), row])).values()];
+  return { deduped, missingKey: rows.length - keyed.length };
+}
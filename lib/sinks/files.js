@@ -0,0 +1,80 @@
+// Javari Scraper - File Sinks
+// ===========================
+// Append rows to one file per table for offline analysis:
+//
+//   jsonl  <dir>/<table>.jsonl  - one JSON object per line
+//   csv    <dir>/<table>.csv    - header taken from the first row written
+//
+// <dir> is SCRAPER_OUTPUT_DIR (default <tmpdir>/javari-scraper; on Vercel
+// only /tmp is writable). Files only ever grow, so every row counts as
+// inserted and there is no entity lookup for resolvers.
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+export const outputDir = () => process.env.SCRAPER_OUTPUT_DIR || path.join(os.tmpdir(), 'javari-scraper');
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const FORMATS = {
+  jsonl: {
+    extension: 'jsonl',
+    lines: (rows) => rows.map(row => JSON.stringify(row)),
+  },
+  csv: {
+    extension: 'csv',
+    // Columns missing from the header are dropped rather than shifting fields
+    lines: (rows, header) => rows.map(row => header.map(column => csvField(row[column])).join(',')),
+  },
+};
+
+export function createFileSink(format, { dir = outputDir() } = {}) {
+  const { extension, lines } = FORMATS[format];
+  const headers = new Map(); // table -> columns (csv)
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  function append(table, rows) {
+    const file = path.join(dir, `${table}.${extension}`);
+    let prefix = '';
+
+    if (format === 'csv' && !headers.has(table)) {
+      const existing = fs.existsSync(file) && fs.readFileSync(file, 'utf8').split(/\r?\n/, 1)[0];
+      if (existing) {
+        headers.set(table, existing.split(','));
+      } else {
+        headers.set(table, Object.keys(rows[0]));
+        prefix = headers.get(table).map(csvField).join(',') + '\n';
+      }
+    }
+
+    fs.appendFileSync(file, prefix + lines(rows, headers.get(table)).join('\n') + '\n');
+  }
+
+  return {
+    name: format,
+    dir,
+
+    async upsert(records, table) {
+      if (records.length === 0) return { uploaded: 0, inserted: 0, updated: 0, unchanged: 0, errors: 0 };
+      try {
+        append(table, records);
+      } catch (error) {
+        console.error(`Upload error (${table}):`, error.message);
+        return { uploaded: 0, inserted: 0, updated: 0, unchanged: 0, errors: records.length };
+      }
+      return { uploaded: records.length, inserted: records.length, updated: 0, unchanged: 0, errors: 0 };
+    },
+
+    async insert(table, rows) {
+      if (rows.length > 0) append(table, rows);
+    },
+
+    async close() {},
+  };
+}
@@ -0,0 +1,58 @@
+// Javari Scraper - Storage Sinks
+// ==============================
+// Where scraped rows go. Every sink exposes:
+//
+//   upsert(rows, table, { conflictKey }) -> { uploaded, inserted, updated, unchanged, errors }
+//   insert(table, rows)                  -> append-only writes (quarantine)
+//   findByMatchKeys(table, keys)         -> existing rows for resolvers (optional)
+//   findByColumn(table, column, values)  -> rows whose column is in values (optional)
+//   close()
+//
+// storeRelated() writes the rows a type derives for other tables from each
+// page (see `related` in api/scrape.js).
+//
+// Chosen per request (?sink=), per type (SCRAPERS[type].sink) or globally
+// (SCRAPER_SINK), defaulting to supabase. Cursors and the run ledger always
+// stay in Supabase when it's configured.
+
+import { createFileSink } from './files.js';
+import { createPostgresSink } from './postgres.js';
+import { createSqliteSink } from './sqlite.js';
+import { createSupabaseSink } from './supabase.js';
+
+export const SINKS = ['supabase', 'postgres', 'sqlite', 'jsonl', 'csv'];
+
+export const DEFAULT_SINK = process.env.SCRAPER_SINK || 'supabase';
+
+export async function createSink(name = DEFAULT_SINK) {
+  switch (name) {
+    case 'supabase':
+      return createSupabaseSink();
+    case 'postgres':
+      return createPostgresSink();
+    case 'sqlite':
+      return createSqliteSink();
+    case 'jsonl':
+    case 'csv':
+      return createFileSink(name);
+    default:
+      throw new Error(`Unknown sink: ${name}`);
+  }
+}
+
+// Hands each write with its own store function its rows, upserts the ones
+// that name a conflictKey and appends the rest
+export async function storeRelated(sink, writes) {
+  for (const { table, rows, conflictKey, store } of writes) {
+    if (store) {
+      await store(sink, rows);
+      continue;
+    }
+    if (!conflictKey) {
+      await sink.insert(table, rows);
+      continue;
+    }
+    const result = await sink.upsert(rows, table, { conflictKey });
+    if (result.errors > 0) throw new Error(`${result.errors} ${table} rows failed to store`);
+  }
+}
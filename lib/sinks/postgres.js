@@ -0,0 +1,150 @@
+// Javari Scraper - Postgres Sink
+// ==============================
+// Writes rows straight into a Postgres database (e.g. a local copy of the
+// Supabase schema for development). Needs the optional `pg` package and
+// DATABASE_URL. Tables and unique constraints must already exist.
+//
+// Upserts use ON CONFLICT ... DO UPDATE guarded by IS DISTINCT FROM, so
+// unchanged rows aren't rewritten; RETURNING (xmax = 0) tells inserts from
+// updates.
+
+import { dedupeByKey } from './compare.js';
+
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+const isJson = (value) => value !== null && typeof value === 'object' && !(value instanceof Date);
+
+// The jsonb columns of the tables rows are written to (see the schemas in the
+// README and lib/). Everything else that is an array is a Postgres array
+// (colors, authors, match_keys).
+const JSONB_COLUMNS = {
+  bv_spirits: new Set(['ttb_details', 'provenance', 'external_ids']),
+  cards: new Set(['attacks', 'abilities', 'legalities', 'prices', 'image_uris', 'external_ids']),
+  books: new Set(['author_details', 'formats', 'external_ids']),
+  book_editions: new Set(['external_ids']),
+  scrape_quarantine: new Set(['record', 'raw']),
+};
+
+const isJsonb = (table, column) => JSONB_COLUMNS[table]?.has(column) || false;
+
+// pg sends arrays as Postgres array literals, which suits text[] columns but
+// not jsonb ones: as an array literal even an empty author_details ('{}')
+// reads as an object, and one of objects fails the whole batch. jsonb
+// columns go over as JSON; in tables not listed above, objects and arrays of
+// objects do.
+export function toParam(value, jsonb = false) {
+  if (value === undefined) return null;
+  if (jsonb) return value === null ? null : JSON.stringify(value);
+  if (Array.isArray(value)) return value.some(isJson) ? JSON.stringify(value) : value;
+  if (isJson(value)) return JSON.stringify(value);
+  return value;
+}
+
+async function createPool(connectionString) {
+  if (!connectionString) {
+    throw new Error('DATABASE_URL not configured');
+  }
+
+  let pg;
+  try {
+    pg = (await import('pg')).default;
+  } catch {
+    throw new Error('The postgres sink needs the `pg` package (npm install pg)');
+  }
+
+  return new pg.Pool({ connectionString, max: 2 });
+}
+
+// `pool` is any object with pg.Pool's query() and end(); one is created from
+// DATABASE_URL when omitted
+export async function createPostgresSink({ connectionString = process.env.DATABASE_URL, pool } = {}) {
+  pool ||= await createPool(connectionString);
+
+  return {
+    name: 'postgres',
+
+    async upsert(records, table, { conflictKey }) {
+      const batchSize = 200;
+      let inserted = 0;
+      let updated = 0;
+      let unchanged = 0;
+      let errors = 0;
+
+      const { deduped, missingKey } = dedupeByKey(records, conflictKey);
+      if (missingKey > 0) {
+        console.error(`Upload error: ${missingKey} ${table} rows missing ${conflictKey.join('+')}`);
+        errors += missingKey;
+      }
+
+      for (let i = 0; i < deduped.length; i += batchSize) {
+        const batch = deduped.slice(i, i + batchSize);
+        const columns = Object.keys(batch[0]);
+        const updateColumns = columns.filter(column => !conflictKey.includes(column));
+
+        const params = [];
+        const values = batch.map(row => `(${columns.map(column => {
+          params.push(toParam(row[column], isJsonb(table, column)));
+          return `$${params.length}`;
+        }).join(', ')})`);
+
+        const target = quoteIdent(table);
+        const sql = `
+          INSERT INTO ${target} (${columns.map(quoteIdent).join(', ')})
+          VALUES ${values.join(', ')}
+          ON CONFLICT (${conflictKey.map(quoteIdent).join(', ')}) DO UPDATE
+            SET ${updateColumns.map(c => `${quoteIdent(c)} = EXCLUDED.${quoteIdent(c)}`).join(', ')}
+            WHERE (${updateColumns.map(c => `${target}.${quoteIdent(c)}`).join(', ')})
+              IS DISTINCT FROM (${updateColumns.map(c => `EXCLUDED.${quoteIdent(c)}`).join(', ')})
+          RETURNING (xmax = 0) AS inserted`;
+
+        try {
+          const result = await pool.query(sql, params);
+          const batchInserted = result.rows.filter(row => row.inserted).length;
+          inserted += batchInserted;
+          updated += result.rows.length - batchInserted;
+          unchanged += batch.length - result.rows.length;
+        } catch (error) {
+          console.error(`Upload error (batch ${i}):`, error.message);
+          errors += batch.length;
+        }
+      }
+
+      return { uploaded: inserted + updated, inserted, updated, unchanged, errors };
+    },
+
+    async insert(table, rows) {
+      if (rows.length === 0) return;
+      const columns = Object.keys(rows[0]);
+      const params = [];
+      const values = rows.map(row => `(${columns.map(column => {
+        params.push(toParam(row[column], isJsonb(table, column)));
+        return `$${params.length}`;
+      }).join(', ')})`);
+
+      await pool.query(
+        `INSERT INTO ${quoteIdent(table)} (${columns.map(quoteIdent).join(', ')}) VALUES ${values.join(', ')}`,
+        params
+      );
+    },
+
+    async findByMatchKeys(table, keys) {
+      const result = await pool.query(
+        `SELECT * FROM ${quoteIdent(table)} WHERE match_keys && $1::text[]`,
+        [keys]
+      );
+      return result.rows;
+    },
+
+    async findByColumn(table, column, values) {
+      const result = await pool.query(
+        `SELECT * FROM ${quoteIdent(table)} WHERE ${quoteIdent(column)} = ANY($1)`,
+        [values]
+      );
+      return result.rows;
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+}
@@ -0,0 +1,174 @@
+// Javari Scraper - SQLite Sink
+// ============================
+// Writes rows into a local SQLite file for offline analysis or testing
+// without a Supabase project. Needs the optional `better-sqlite3` package.
+//
+// Tables are created on first write with untyped columns (new columns are
+// added as they appear) and a unique index on the type's conflictKey.
+// Objects and arrays are stored as JSON text and decoded on the way out.
+//
+// Path: SQLITE_PATH, default <SCRAPER_OUTPUT_DIR>/javari-scraper.db
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { outputDir } from './files.js';
+import { dedupeByKey, rowChanged } from './compare.js';
+
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+function encode(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'object') return JSON.stringify(value);
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+// JSON text back to arrays/objects (match_keys, sources, provenance)
+function decode(row) {
+  const decoded = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (typeof value === 'string' && /^[[{]/.test(value)) {
+      try { decoded[column] = JSON.parse(value); continue; } catch { /* plain text */ }
+    }
+    decoded[column] = value;
+  }
+  return decoded;
+}
+
+export async function createSqliteSink({ file = process.env.SQLITE_PATH } = {}) {
+  let Database;
+  try {
+    Database = (await import('better-sqlite3')).default;
+  } catch {
+    throw new Error('The sqlite sink needs the `better-sqlite3` package (npm install better-sqlite3)');
+  }
+
+  if (!file) {
+    fs.mkdirSync(outputDir(), { recursive: true });
+    file = path.join(outputDir(), 'javari-scraper.db');
+  }
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+
+  const knownColumns = new Map(); // table -> Set of columns
+
+  function tableColumns(table) {
+    if (!knownColumns.has(table)) {
+      const info = db.prepare(`PRAGMA table_info(${quoteIdent(table)})`).all();
+      knownColumns.set(table, new Set(info.map(column => column.name)));
+    }
+    return knownColumns.get(table);
+  }
+
+  // Creates the table or adds whatever columns `rows` bring that it lacks
+  function ensureTable(table, rows, conflictKey = []) {
+    const columns = tableColumns(table);
+
+    const wanted = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    if (columns.size === 0) {
+      db.exec(`CREATE TABLE ${quoteIdent(table)} (${wanted.map(quoteIdent).join(', ')})`);
+      wanted.forEach(column => columns.add(column));
+      if (conflictKey.length > 0) {
+        db.exec(`CREATE UNIQUE INDEX ${quoteIdent(`${table}_natural_key`)} ON ${quoteIdent(table)} (${conflictKey.map(quoteIdent).join(', ')})`);
+      }
+      return;
+    }
+
+    for (const column of wanted) {
+      if (columns.has(column)) continue;
+      db.exec(`ALTER TABLE ${quoteIdent(table)} ADD COLUMN ${quoteIdent(column)}`);
+      columns.add(column);
+    }
+  }
+
+  function writeRows(table, rows, conflictKey) {
+    const columns = Object.keys(rows[0]);
+    const updateColumns = columns.filter(column => !conflictKey?.includes(column));
+    let sql = `INSERT INTO ${quoteIdent(table)} (${columns.map(quoteIdent).join(', ')}) ` +
+      `VALUES (${columns.map(() => '?').join(', ')})`;
+    if (conflictKey) {
+      sql += ` ON CONFLICT (${conflictKey.map(quoteIdent).join(', ')}) DO UPDATE SET ` +
+        updateColumns.map(c => `${quoteIdent(c)} = excluded.${quoteIdent(c)}`).join(', ');
+    }
+
+    const statement = db.prepare(sql);
+    db.transaction(() => {
+      for (const row of rows) statement.run(columns.map(column => encode(row[column])));
+    })();
+  }
+
+  return {
+    name: 'sqlite',
+    file,
+
+    async upsert(records, table, { conflictKey }) {
+      let inserted = 0;
+      let updated = 0;
+      let unchanged = 0;
+      let errors = 0;
+
+      const { deduped, missingKey } = dedupeByKey(records, conflictKey);
+      if (missingKey > 0) {
+        console.error(`Upload error: ${missingKey} ${table} rows missing ${conflictKey.join('+')}`);
+        errors += missingKey;
+      }
+      if (deduped.length === 0) return { uploaded: 0, inserted, updated, unchanged, errors };
+
+      try {
+        ensureTable(table, deduped, conflictKey);
+
+        const find = db.prepare(
+          `SELECT * FROM ${quoteIdent(table)} WHERE ${conflictKey.map(c => `${quoteIdent(c)} IS ?`).join(' AND ')}`
+        );
+        const changed = [];
+        for (const row of deduped) {
+          const found = find.get(conflictKey.map(column => encode(row[column])));
+          if (!found) {
+            changed.push(row);
+            inserted++;
+          } else if (rowChanged(found, row)) {
+            changed.push(row);
+            updated++;
+          } else {
+            unchanged++;
+          }
+        }
+
+        if (changed.length > 0) writeRows(table, changed, conflictKey);
+      } catch (error) {
+        console.error(`Upload error (${table}):`, error.message);
+        return { uploaded: 0, inserted: 0, updated: 0, unchanged: 0, errors: errors + deduped.length };
+      }
+
+      return { uploaded: inserted + updated, inserted, updated, unchanged, errors };
+    },
+
+    async insert(table, rows) {
+      if (rows.length === 0) return;
+      ensureTable(table, rows);
+      writeRows(table, rows);
+    },
+
+    async findByMatchKeys(table, keys) {
+      if (!tableColumns(table).has('match_keys')) return [];
+      const rows = db.prepare(
+        `SELECT DISTINCT t.* FROM ${quoteIdent(table)} t, json_each(t.match_keys) k ` +
+        `WHERE k.value IN (SELECT value FROM json_each(?))`
+      ).all(JSON.stringify(keys));
+      return rows.map(decode);
+    },
+
+    async findByColumn(table, column, values) {
+      if (!tableColumns(table).has(column)) return [];
+      const rows = db.prepare(
+        `SELECT * FROM ${quoteIdent(table)} WHERE ${quoteIdent(column)} IN (SELECT value FROM json_each(?))`
+      ).all(JSON.stringify(values));
+      return rows.map(decode);
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,131 @@
+// Javari Scraper - Supabase Sink
+// ==============================
+// Writes rows through the Supabase PostgREST API (the default sink).
+//
+// Rows are upserted on the type's natural key (conflictKey). Each batch first
+// reads the existing rows for its keys so we can report inserted / updated /
+// unchanged counts and skip writing rows that haven't changed upstream.
+
+import { isSupabaseConfigured, supabaseRequest } from '../supabase.js';
+import { dedupeByKey, keyOf, rowChanged } from './compare.js';
+
+const quoteValue = (value) => `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+
+// Fetches the existing rows matching a batch's keys. All key columns but the
+// last are grouped with eq filters; the last is matched with in.(...)
+async function fetchExisting(batch, table, conflictKey) {
+  const groupColumns = conflictKey.slice(0, -1);
+  const inColumn = conflictKey[conflictKey.length - 1];
+  const groups = new Map();
+
+  for (const row of batch) {
+    const groupKey = keyOf(row, groupColumns);
+    if (!groups.has(groupKey)) groups.set(groupKey, { row, values: [] });
+    groups.get(groupKey).values.push(row[inColumn]);
+  }
+
+  const existing = new Map();
+  for (const { row, values } of groups.values()) {
+    const filters = groupColumns.map(column => `${column}=eq.${encodeURIComponent(row[column])}`);
+    filters.push(`${inColumn}=in.(${encodeURIComponent(values.map(quoteValue).join(','))})`);
+    const rows = await supabaseRequest(`${table}?select=*&${filters.join('&')}`);
+    for (const found of rows || []) existing.set(keyOf(found, conflictKey), found);
+  }
+  return existing;
+}
+
+export function createSupabaseSink() {
+  if (!isSupabaseConfigured()) {
+    throw new Error('SUPABASE_SERVICE_KEY not configured');
+  }
+
+  return {
+    name: 'supabase',
+
+    async upsert(records, table, { conflictKey }) {
+      const batchSize = 50;
+      let inserted = 0;
+      let updated = 0;
+      let unchanged = 0;
+      let errors = 0;
+
+      // Rows without a natural key can't be upserted safely
+      const { deduped, missingKey } = dedupeByKey(records, conflictKey);
+      if (missingKey > 0) {
+        console.error(`Upload error: ${missingKey} ${table} rows missing ${conflictKey.join('+')}`);
+        errors += missingKey;
+      }
+
+      for (let i = 0; i < deduped.length; i += batchSize) {
+        const batch = deduped.slice(i, i + batchSize);
+
+        try {
+          const existing = await fetchExisting(batch, table, conflictKey);
+          const changed = [];
+          let batchInserted = 0;
+
+          for (const row of batch) {
+            const found = existing.get(keyOf(row, conflictKey));
+            if (!found) {
+              changed.push(row);
+              batchInserted++;
+            } else if (rowChanged(found, row)) {
+              changed.push(row);
+            } else {
+              unchanged++;
+            }
+          }
+
+          if (changed.length > 0) {
+            await supabaseRequest(`${table}?on_conflict=${conflictKey.join(',')}`, {
+              method: 'POST',
+              prefer: 'resolution=merge-duplicates,return=minimal',
+              body: changed,
+            });
+          }
+
+          inserted += batchInserted;
+          updated += changed.length - batchInserted;
+
+        } catch (error) {
+          console.error(`Upload error (batch ${i}):`, error.message);
+          errors += batch.length;
+        }
+      }
+
+      return { uploaded: inserted + updated, inserted, updated, unchanged, errors };
+    },
+
+    async insert(table, rows) {
+      await supabaseRequest(table, { method: 'POST', prefer: 'return=minimal', body: rows });
+    },
+
+    // Existing rows sharing any of `keys` (text[] overlap), for resolvers
+    async findByMatchKeys(table, keys) {
+      const chunkSize = 40;
+      const rows = [];
+
+      for (let i = 0; i < keys.length; i += chunkSize) {
+        const chunk = keys.slice(i, i + chunkSize).map(quoteValue).join(',');
+        const found = await supabaseRequest(`${table}?select=*&match_keys=ov.${encodeURIComponent(`{${chunk}}`)}`);
+        rows.push(...(found || []));
+      }
+      return rows;
+    },
+
+    // Rows whose `column` is one of `values`
+    async findByColumn(table, column, values) {
+      const chunkSize = 40;
+      const rows = [];
+
+      for (let i = 0; i < values.length; i += chunkSize) {
+        const chunk = values.slice(i, i + chunkSize).map(quoteValue).join(',');
+        const found = await supabaseRequest(`${table}?select=*&${column}=in.(${encodeURIComponent(chunk)})`);
+        rows.push(...(found || []));
+      }
+      return rows;
+    },
+
+    async close() {},
+  };
+}
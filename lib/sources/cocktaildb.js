@@ -0,0 +1,53 @@
+// Javari Scraper - TheCocktailDB Source
+// =====================================
+// Cocktails from the free TheCocktailDB API (search by first letter). Letters
+// are fetched conditionally, so an unchanged letter costs a 304.
+//
+// Cursor: { letter } of the next letter to fetch.
+
+import { fetchWithRetry, saveValidators } from '../http.js';
+
+const LETTERS = 'abcdefghijklmnopqrstuvwxyz'.split('');
+
+export async function* scrapeCocktailDB(options = {}) {
+  const startIndex = options.cursor ? Math.max(0, LETTERS.indexOf(options.cursor.letter)) : 0;
+
+  for (let l = startIndex; l < LETTERS.length; l++) {
+    const letter = LETTERS[l];
+    const url = `https://www.thecocktaildb.com/api/json/v1/1/search.php?f=${letter}`;
+    const records = [];
+    let response;
+
+    try {
+      response = await fetchWithRetry(url, { validators: options.validators });
+      const data = response.status === 304 ? {} : await response.json();
+
+      for (const drink of data.drinks || []) {
+        // Get ingredients
+        const ingredients = [];
+        for (let i = 1; i <= 15; i++) {
+          const ing = drink[`strIngredient${i}`];
+          if (ing) ingredients.push(ing);
+        }
+
+        records.push({
+          name: drink.strDrink,
+          brand: null,
+          category: 'cocktail',
+          subcategory: drink.strCategory,
+          category_tags: [drink.strCategory],
+          description: drink.strInstructions,
+          image_url: drink.strDrinkThumb,
+          tasting_notes: ingredients.join(', '),
+          source: 'cocktaildb',
+          external_ids: { cocktaildb_id: drink.idDrink },
+        });
+      }
+    } catch (error) {
+      console.error(`[CocktailDB] Error on letter ${letter}:`, error.message);
+    }
+
+    const next = l + 1 < LETTERS.length ? { letter: LETTERS[l + 1] } : null;
+    yield { records, cursor: next, commit: () => saveValidators(options.validators, url, response) };
+  }
+}
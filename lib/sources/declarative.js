@@ -0,0 +1,333 @@
+// Javari Scraper - Declarative Sources
+// ====================================
+// Paged REST/JSON sources defined by a JSON or YAML file in
+// lib/sources/definitions instead of code. Each file becomes a source of its
+// `type` in SCRAPERS (api/scrape.js), so a catalog with a plain JSON API can
+// be added without writing a scraper:
+//
+//   type: spirits                  # SCRAPERS type the records belong to
+//   key: punkapi                   # registry key (?source=punkapi)
+//   name: PunkAPI (BrewDog)
+//   source: punkapi                # records' `source`, defaults to key
+//   idField: punkapi_id            # external_ids key holding `id`
+//   schedule: weekly               # + estimated, defaultLimit, description,
+//                                  #   adminOnly, requiresAuth
+//   request:
+//     url: https://api.punkapi.com/v2/beers
+//     query: { type: beer }        # extra query parameters
+//     headers: { x-api-key: "${PUNK_KEY}" }   # ${NAME} reads the environment
+//     conditional: true            # If-None-Match / If-Modified-Since
+//   rateLimit: { rps: 5, concurrency: 2 }     # for the URL's host
+//   pagination:
+//     style: page                  # page | offset | cursor | next
+//     param: page                  # query parameter carrying the position
+//     start: 1                     # first page or offset
+//     sizeParam: per_page
+//     size: 80
+//     next: $.meta.next_cursor     # cursor: the next token; next: the next
+//                                  #   URL (a Link rel="next" header if unset)
+//   items: $.data[*]               # JSONPath of the records in a response
+//   stop: { short: true }          # also stop after a page under `size`, or
+//                                  #   { total: $.meta.total } once reached
+//   id: $.id                       # JSONPath of the source's id
+//   fields:                        # record field -> spec
+//     name: $.name                 #   JSONPath into the item
+//     brand: BrewDog               #   anything else is a literal
+//     abv: { path: $.abv, transform: number, default: 0 }
+//     tags: { path: "$.tags[*]", transform: [trim, lower] }
+//     description: { template: "{$.city}, {$.state}" }
+//     links: { homepage: $.url }   #   nested fields
+//
+// Every source stops at the first empty page; cursor and next styles also stop
+// when the response names no next position. Transforms: string, number,
+// integer, boolean, trim, lower, upper, strip_html, list, first, join[:sep]
+// and split[:sep]; they apply to each element of a list, except list, first
+// and join.
+//
+// Cursor: { page }, { offset }, { cursor } or { url } of the next request,
+// by pagination style.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parse as parseYaml } from 'yaml';
+import { fetchWithRetry, registerHostLimits, saveValidators } from '../http.js';
+import { compilePath, query } from '../jsonpath.js';
+
+export const DEFINITIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'definitions');
+
+const PAGINATION_STYLES = ['page', 'offset', 'cursor', 'next'];
+// Copied onto the SCRAPERS entry as they are
+const REGISTRY_FIELDS = ['name', 'idField', 'schedule', 'estimated', 'defaultLimit', 'description', 'adminOnly', 'requiresAuth'];
+const DEFINITION_FIELDS = new Set([
+  'type', 'key', 'source', ...REGISTRY_FIELDS,
+  'request', 'rateLimit', 'pagination', 'items', 'stop', 'id', 'fields',
+]);
+const SPEC_FIELDS = new Set(['path', 'value', 'template', 'transform', 'default']);
+
+// =============================================================================
+// FIELD MAPPING
+// =============================================================================
+
+const eachValue = (fn) => (value, arg) => (Array.isArray(value) ? value.map(item => fn(item, arg)) : fn(value, arg));
+
+const toNumber = (value) => {
+  if (value == null || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+};
+
+const ifString = (fn) => (value, arg) => (typeof value === 'string' ? fn(value, arg) : value);
+
+const TRANSFORMS = {
+  string: eachValue(value => (value == null ? null : String(value))),
+  number: eachValue(toNumber),
+  integer: eachValue(value => (toNumber(value) == null ? null : Math.round(toNumber(value)))),
+  boolean: eachValue(value => (value == null ? null : ['true', '1', 'yes'].includes(String(value).toLowerCase()))),
+  trim: eachValue(ifString(value => value.trim())),
+  lower: eachValue(ifString(value => value.toLowerCase())),
+  upper: eachValue(ifString(value => value.toUpperCase())),
+  strip_html: eachValue(ifString(value => value.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim())),
+  split: eachValue(ifString((value, separator = ',') => value.split(separator).map(part => part.trim()).filter(Boolean))),
+  list: (value) => (Array.isArray(value) ? value : [value]).filter(item => item != null),
+  first: (value) => (Array.isArray(value) ? value[0] : value),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.filter(item => item != null && item !== '').join(separator) : value),
+};
+
+const isEmpty = (value) => value == null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// 'join:; ' -> { fn, arg: '; ' }
+function compileTransform(name, where) {
+  const colon = name.indexOf(':');
+  const transform = TRANSFORMS[colon < 0 ? name : name.slice(0, colon)];
+  if (!transform) throw new Error(`${where}: unknown transform "${name}"`);
+  return { fn: transform, arg: colon < 0 ? undefined : name.slice(colon + 1) };
+}
+
+// A field spec -> (item) => value
+function compileField(spec, where) {
+  if (typeof spec === 'string' && spec.startsWith('$')) return compileField({ path: spec }, where);
+  if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) return () => spec;
+
+  const keys = Object.keys(spec);
+  if (!keys.some(key => SPEC_FIELDS.has(key))) return compileMapping(spec, where);
+
+  const unknown = keys.filter(key => !SPEC_FIELDS.has(key));
+  if (unknown.length > 0) throw new Error(`${where}: unknown field option ${unknown.join(', ')}`);
+  if (['path', 'value', 'template'].filter(key => key in spec).length !== 1) {
+    throw new Error(`${where}: needs exactly one of path, value or template`);
+  }
+
+  let read;
+  if ('value' in spec) {
+    read = () => spec.value;
+  } else if ('path' in spec) {
+    const compiled = compilePath(spec.path);
+    read = (item) => query(item, compiled);
+  } else {
+    // "{$.city}, {$.state}"
+    const parts = String(spec.template).split(/(\{\$[^}]*\})/).map(part => {
+      if (!/^\{\$.*\}$/.test(part)) return () => part;
+      const compiled = compilePath(part.slice(1, -1));
+      return (item) => [].concat(query(item, compiled) ?? []).join(', ');
+    });
+    read = (item) => parts.map(part => part(item)).join('');
+  }
+
+  const transforms = [].concat(spec.transform ?? []).map(name => compileTransform(String(name), where));
+  return (item) => {
+    let value = read(item);
+    for (const { fn, arg } of transforms) value = fn(value, arg);
+    return isEmpty(value) && 'default' in spec ? spec.default : value ?? null;
+  };
+}
+
+function compileMapping(fields, where) {
+  const compiled = Object.entries(fields).map(([name, spec]) => [name, compileField(spec, `${where}.${name}`)]);
+  return (item) => Object.fromEntries(compiled.map(([name, read]) => [name, read(item)]));
+}
+
+// =============================================================================
+// PAGINATION
+// =============================================================================
+
+// ${NAME} -> process.env.NAME, so keys stay out of the definition files
+function expandEnv(text, key) {
+  return String(text).replace(/\$\{(\w+)\}/g, (_, name) => {
+    if (process.env[name] === undefined) throw new Error(`Source ${key} needs ${name}`);
+    return process.env[name];
+  });
+}
+
+function requestUrl(definition, position) {
+  const { request, pagination } = definition;
+  if (position.url) return position.url;
+
+  const url = new URL(expandEnv(request.url, definition.key));
+  if (pagination.style === 'page') url.searchParams.set(pagination.param, position.page);
+  if (pagination.style === 'offset') url.searchParams.set(pagination.param, position.offset);
+  if (pagination.style === 'cursor' && position.cursor) url.searchParams.set(pagination.param, position.cursor);
+  if (pagination.sizeParam) url.searchParams.set(pagination.sizeParam, pagination.size);
+  for (const [name, value] of Object.entries(request.query || {})) {
+    url.searchParams.set(name, expandEnv(value, definition.key));
+  }
+  return url.href;
+}
+
+function startPosition({ style, start }, cursor) {
+  switch (style) {
+    case 'page': return { page: cursor?.page ?? start ?? 1 };
+    case 'offset': return { offset: cursor?.offset ?? start ?? 0 };
+    case 'cursor': return { cursor: cursor?.cursor ?? null };
+    default: return { url: cursor?.url ?? null };
+  }
+}
+
+// <https://api.example/items?page=3>; rel="next", <...>; rel="last"
+function linkHeaderNext(header) {
+  for (const link of (header || '').split(',')) {
+    const match = /<([^>]+)>\s*;.*\brel="?next"?/.exec(link);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+// The position after a page, or null when the response names none
+function nextPosition({ style, next }, position, { url, body, response, count }) {
+  switch (style) {
+    case 'page': return { page: position.page + 1 };
+    case 'offset': return { offset: position.offset + count };
+    case 'cursor': {
+      const token = query(body, next);
+      return isEmpty(token) ? null : { cursor: String(token) };
+    }
+    default: {
+      const link = next ? query(body, next) : linkHeaderNext(response.headers.get('link'));
+      return isEmpty(link) ? null : { url: new URL(link, url).href };
+    }
+  }
+}
+
+// Records seen through the end of this page, for stop.total
+function seenThrough({ style, start, size }, position, count) {
+  if (style === 'offset') return position.offset + count;
+  if (style === 'page') return (position.page - (start ?? 1)) * size + count;
+  return Infinity;
+}
+
+// =============================================================================
+// SOURCE
+// =============================================================================
+
+function createScraper(definition) {
+  const { pagination, request, stop = {} } = definition;
+  const itemsPath = compilePath(definition.items || '$');
+  const readId = compileField(definition.id, `${definition.key}.id`);
+  const readFields = compileMapping(definition.fields, `${definition.key}.fields`);
+  const recordSource = definition.source || definition.key;
+
+  const mapRecord = (item) => {
+    const record = readFields(item);
+    return {
+      ...record,
+      source: recordSource,
+      external_ids: { ...record.external_ids, [definition.idField]: readId(item) },
+    };
+  };
+
+  return async function* scrapeDeclared(options = {}) {
+    let position = startPosition(pagination, options.cursor);
+    const headers = Object.fromEntries(Object.entries(request.headers || {})
+      .map(([name, value]) => [name, expandEnv(value, definition.key)]));
+    const validators = request.conditional ? options.validators : undefined;
+
+    while (true) {
+      const url = requestUrl(definition, position);
+      const response = await fetchWithRetry(url, { headers, validators });
+      if (response.status === 304) {
+        // Only page and offset positions can be stepped past unread
+        position = nextPosition(pagination, position, { count: pagination.size });
+        yield { records: [], cursor: position };
+        continue;
+      }
+
+      const body = await response.json();
+      const found = query(body, itemsPath);
+      const items = (itemsPath.definite ? [].concat(found ?? []) : found).filter(item => item && typeof item === 'object');
+      if (items.length === 0) return;
+
+      const next = nextPosition(pagination, position, { url, body, response, count: items.length });
+      const last = !next
+        || (stop.short && items.length < pagination.size)
+        || (stop.total && seenThrough(pagination, position, items.length) >= query(body, stop.total));
+
+      yield {
+        records: items.map(mapRecord),
+        cursor: next,
+        commit: () => saveValidators(validators, url, response),
+      };
+      if (last) return;
+      position = next;
+    }
+  };
+}
+
+// =============================================================================
+// DEFINITIONS
+// =============================================================================
+
+function validateDefinition(definition) {
+  const fail = (message) => { throw new Error(`Source definition ${definition.key || '(no key)'}: ${message}`); };
+
+  const unknown = Object.keys(definition).filter(field => !DEFINITION_FIELDS.has(field));
+  if (unknown.length > 0) fail(`unknown field ${unknown.join(', ')}`);
+  for (const field of ['type', 'key', 'name', 'idField', 'id', 'fields']) {
+    if (definition[field] == null) fail(`${field} is required`);
+  }
+  if (!definition.request?.url) fail('request.url is required');
+
+  const { style, param, size, sizeParam, next } = definition.pagination || {};
+  if (!PAGINATION_STYLES.includes(style)) fail(`pagination.style must be ${PAGINATION_STYLES.join(', ')}`);
+  if (['page', 'offset', 'cursor'].includes(style) && !param) fail(`${style} pagination needs pagination.param`);
+  if (style === 'cursor' && !next) fail('cursor pagination needs pagination.next');
+  if (sizeParam && !size) fail('pagination.sizeParam needs pagination.size');
+  if (definition.stop?.short && !size) fail('stop.short needs pagination.size');
+  if (definition.stop?.total && !(style === 'offset' || (style === 'page' && size))) {
+    fail('stop.total needs offset pagination, or page pagination with a size');
+  }
+  if (definition.request.conditional && !(style === 'page' || (style === 'offset' && size))) {
+    fail('conditional requests need page pagination, or offset pagination with a size');
+  }
+}
+
+// One SCRAPERS source entry: { type, key, source } for a parsed definition.
+// Throws on a malformed definition, naming it.
+export function defineSource(definition) {
+  validateDefinition(definition);
+
+  const source = { fn: createScraper(definition) };
+  for (const field of REGISTRY_FIELDS) {
+    if (definition[field] !== undefined) source[field] = definition[field];
+  }
+  if (definition.source && definition.source !== definition.key) source.recordSource = definition.source;
+
+  if (definition.rateLimit) registerHostLimits(new URL(definition.request.url).host, definition.rateLimit);
+  return { type: definition.type, key: definition.key, source };
+}
+
+// Every *.json, *.yaml and *.yml definition in `dir`, by file name
+export function loadSourceDefinitions(dir = DEFINITIONS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => /\.(json|ya?ml)$/.test(file))
+    .sort()
+    .map(file => {
+      const text = fs.readFileSync(path.join(dir, file), 'utf8');
+      try {
+        return defineSource(file.endsWith('.json') ? JSON.parse(text) : parseYaml(text));
+      } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+      }
+    });
+}
@@ -0,0 +1,250 @@
+// Javari Scraper - Project Gutenberg Source
+// =========================================
+// Free ebooks, in one of two modes:
+//
+//   api      (default) the Gutendex catalog API
+//   catalog  GUTENBERG_MODE=catalog: Project Gutenberg's offline RDF catalog
+//            (GUTENBERG_CATALOG, a URL or local path to rdf-files.tar.zip,
+//            .tar.gz or .tar), one RDF file per book. Covers the whole
+//            collection in one pass without going through Gutendex.
+//
+// Both modes yield the same record: every author with birth/death years,
+// languages, subjects, bookshelves, download count, copyright status and the
+// download URL of every format (epub, kindle, html, text, ...). The
+// pg_catalog.csv listing is not used: it has no formats, downloads or rights.
+//
+// Change signal: Gutenberg ids only grow. Pages report the highest id seen
+// as highWater; incremental runs read newest first (sort=descending) and
+// stop at the first id at or below the mark. The catalog is in no particular
+// order, so there an incremental run reads it all and keeps the newer ids.
+//
+// Cursor: { next, since, high_water } - the URL returned by the previous
+// page - in api mode; { dump, entry, since, high_water } in catalog mode -
+// the catalog file and the entries already read from it.
+
+import { fetchWithRetry } from '../http.js';
+import { openDump, readTarEntries } from '../streams.js';
+
+const GUTENBERG_CONFIG = {
+  mode: process.env.GUTENBERG_MODE || 'api',
+  catalog: process.env.GUTENBERG_CATALOG || 'https://www.gutenberg.org/cache/epub/feeds/rdf-files.tar.zip',
+};
+
+const CATALOG_PAGE_SIZE = 500;
+
+// Records a run takes unless ?limit= says otherwise. The catalog is downloaded
+// again by every run, resumed or not, so catalog mode reads as much of it as
+// the time budget allows instead of stopping after 1000 books.
+export const GUTENBERG_DEFAULT_LIMIT = GUTENBERG_CONFIG.mode === 'catalog' ? 100000 : 1000;
+
+// =============================================================================
+// FORMATS
+// =============================================================================
+
+// MIME type prefix -> format key; the first URL of each format wins
+const FORMAT_KEYS = [
+  ['application/epub+zip', 'epub'],
+  ['application/x-mobipocket-ebook', 'kindle'],
+  ['text/html', 'html'],
+  ['text/plain', 'text'],
+  ['application/pdf', 'pdf'],
+  ['audio/mpeg', 'mp3'],
+  ['audio/ogg', 'ogg'],
+];
+
+// Prefer the variant with images and, for text, UTF-8
+const rankUrl = (url) => (/noimages/.test(url) ? 2 : 0) + (/\.txt$|ascii|\.zip$/.test(url) ? 1 : 0);
+
+// [[mimeType, url], ...] -> { formats, cover_url }
+function mapFormats(files) {
+  const formats = {};
+  let cover = null;
+
+  for (const [mime, url] of [...files].sort((a, b) => rankUrl(a[1]) - rankUrl(b[1]))) {
+    if (mime.startsWith('image/')) {
+      if (!cover || /medium/.test(url)) cover = url;
+      continue;
+    }
+    const key = FORMAT_KEYS.find(([prefix]) => mime.startsWith(prefix))?.[1];
+    if (key && !formats[key]) formats[key] = url;
+  }
+  return { formats, cover_url: cover };
+}
+
+// "Shelley, Mary Wollstonecraft" + years -> the shape shared by both modes
+const toAuthor = (name, birthYear, deathYear) => ({
+  name,
+  birth_year: Number.isInteger(birthYear) ? birthYear : null,
+  death_year: Number.isInteger(deathYear) ? deathYear : null,
+});
+
+function toRecord(book) {
+  const { formats, cover_url: coverUrl } = mapFormats(book.files);
+  return {
+    name: book.title,
+    author: book.authors[0]?.name,
+    authors: book.authors.map(author => author.name),
+    author_details: book.authors,
+    subject: book.subjects.join(', '),
+    languages: book.languages,
+    bookshelves: book.bookshelves,
+    download_count: book.downloads ?? null,
+    copyright: book.copyright ?? null,
+    formats,
+    download_url: formats.text || formats.epub || null,
+    cover_url: coverUrl,
+    source: 'gutenberg',
+    external_ids: { gutenberg_id: book.id },
+  };
+}
+
+// =============================================================================
+// API MODE
+// =============================================================================
+
+// Gutendex book -> the fields toRecord reads
+const fromGutendex = (book) => ({
+  id: book.id,
+  title: book.title,
+  authors: (book.authors || []).map(author => toAuthor(author.name, author.birth_year, author.death_year)),
+  subjects: book.subjects || [],
+  languages: book.languages || [],
+  bookshelves: book.bookshelves || [],
+  downloads: book.download_count,
+  copyright: book.copyright,
+  files: Object.entries(book.formats || {}),
+});
+
+async function* scrapeApi(options) {
+  const cursor = options.cursor;
+  const since = cursor ? cursor.since : options.since;
+  let highWater = cursor?.high_water || since || null;
+  let nextUrl = cursor?.next || (since ? 'https://gutendex.com/books/?sort=descending' : 'https://gutendex.com/books/');
+
+  while (nextUrl) {
+    const response = await fetchWithRetry(nextUrl);
+    const data = await response.json();
+
+    const results = since ? (data.results || []).filter(book => book.id > since) : (data.results || []);
+    for (const book of results) {
+      if (book.id > (highWater || 0)) highWater = book.id;
+    }
+
+    // Descending ids: everything after the first old book is old too
+    const caughtUp = since && results.length < (data.results || []).length;
+    nextUrl = caughtUp ? null : data.next;
+    yield {
+      records: results.map(book => toRecord(fromGutendex(book))),
+      cursor: nextUrl ? { next: nextUrl, since, high_water: highWater } : null,
+      highWater,
+    };
+  }
+}
+
+// =============================================================================
+// CATALOG MODE
+// =============================================================================
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) => text
+  .replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name])
+  .replace(/&#(x?)([0-9a-f]+);/gi, (_, hex, code) => String.fromCodePoint(parseInt(code, hex ? 16 : 10)))
+  .trim();
+
+// Inner text of every <tag>...</tag> in `xml`
+const allOf = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g'))].map(match => match[1]);
+const firstOf = (xml, tag) => allOf(xml, tag)[0];
+const valueOf = (xml) => {
+  const value = firstOf(xml, 'rdf:value');
+  return value === undefined ? null : decodeXml(value);
+};
+
+// One pgNNN.rdf file -> the fields toRecord reads. The catalog RDF is
+// machine-written with a fixed layout, so matching elements is enough.
+function fromRdf(xml) {
+  const id = parseInt(xml.match(/<pgterms:ebook rdf:about="ebooks\/(\d+)"/)?.[1]);
+  const title = firstOf(xml, 'dcterms:title');
+  if (!id || title === undefined) return null;
+
+  const authors = allOf(xml, 'dcterms:creator').map(agent => {
+    const year = (tag) => parseInt(firstOf(agent, tag));
+    const name = firstOf(agent, 'pgterms:name');
+    return name === undefined ? null : toAuthor(decodeXml(name), year('pgterms:birthdate'), year('pgterms:deathdate'));
+  }).filter(Boolean);
+
+  // Subjects are LCSH headings and LCC classes; only the headings read as subjects
+  const subjects = allOf(xml, 'dcterms:subject')
+    .filter(subject => subject.includes('/LCSH"'))
+    .map(valueOf)
+    .filter(Boolean);
+
+  const files = allOf(xml, 'dcterms:hasFormat').map(file => {
+    const url = file.match(/<pgterms:file rdf:about="([^"]+)"/)?.[1];
+    const mime = valueOf(firstOf(file, 'dcterms:format') || '');
+    return url && mime ? [mime, decodeXml(url)] : null;
+  }).filter(Boolean);
+
+  const rights = firstOf(xml, 'dcterms:rights');
+  const downloads = parseInt(firstOf(xml, 'pgterms:downloads'));
+
+  return {
+    id,
+    title: decodeXml(title).replace(/\s*\n\s*/g, ' '),
+    authors,
+    subjects,
+    languages: allOf(xml, 'dcterms:language').map(valueOf).filter(Boolean),
+    bookshelves: allOf(xml, 'pgterms:bookshelf').map(valueOf).filter(Boolean),
+    downloads: Number.isInteger(downloads) ? downloads : null,
+    // "Public domain in the USA." / "Copyrighted. Read the copyright notice..."
+    copyright: rights === undefined ? null : /^copyright/i.test(decodeXml(rights)),
+    files,
+  };
+}
+
+async function* scrapeCatalog(options) {
+  const cursor = options.cursor;
+  const since = cursor ? cursor.since : options.since;
+  let highWater = cursor?.high_water || since || null;
+
+  const { id, chunks } = await openDump(GUTENBERG_CONFIG.catalog);
+  const resumable = cursor?.dump === id;
+  const skip = resumable ? cursor.entry : 0;
+
+  if (cursor?.dump && !resumable) {
+    console.log(`[Gutenberg] ${cursor.dump} replaced by ${id}, starting over`);
+  }
+  console.log(`[Gutenberg] Reading ${id}${skip ? ` from entry ${skip}` : ''}`);
+
+  let entry = 0;
+  let records = [];
+
+  for await (const { name, body } of readTarEntries(chunks)) {
+    if (entry++ < skip || !name.endsWith('.rdf')) continue;
+
+    const book = fromRdf(body.toString('utf8'));
+    if (!book || (since && book.id <= since)) continue;
+    if (book.id > (highWater || 0)) highWater = book.id;
+    records.push(toRecord(book));
+
+    if (records.length === CATALOG_PAGE_SIZE) {
+      yield { records, cursor: { dump: id, entry, since, high_water: highWater }, highWater };
+      records = [];
+    }
+  }
+
+  yield { records, cursor: null, highWater };
+}
+
+// =============================================================================
+// SCRAPER
+// =============================================================================
+
+export async function* scrapeGutenberg(options = {}) {
+  // A crawl is finished in the mode it was started in
+  const cursor = options.cursor;
+  const catalog = cursor ? Boolean(cursor.dump) : GUTENBERG_CONFIG.mode === 'catalog';
+
+  if (catalog) yield* scrapeCatalog(options);
+  else yield* scrapeApi(options);
+}
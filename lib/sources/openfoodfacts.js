@@ -0,0 +1,91 @@
+// Javari Scraper - Open Food Facts Source
+// =======================================
+// Alcoholic beverages from the Open Food Facts category listings, newest
+// change first (sort_by=last_modified_t).
+//
+// Change signal: last_modified_t (epoch seconds). Pages report the newest
+// modification seen as highWater; incremental runs stop reading a category
+// at the first product not modified since the mark.
+//
+// Cursor: { category, page, since, high_water } of the next page to fetch.
+
+import { fetchWithRetry } from '../http.js';
+
+const CATEGORIES = [
+  'en:alcoholic-beverages',
+  'en:wines',
+  'en:beers',
+  'en:spirits',
+  'en:whiskeys',
+  'en:vodkas',
+  'en:rums',
+  'en:tequilas',
+  'en:gins',
+  'en:brandies',
+  'en:liqueurs',
+];
+
+export async function* scrapeOpenFoodFacts(options = {}) {
+  const cursor = options.cursor;
+  const since = cursor ? cursor.since : options.since;
+  let highWater = cursor?.high_water || since || null;
+  const startIndex = cursor ? Math.max(0, CATEGORIES.indexOf(cursor.category)) : 0;
+
+  for (let c = startIndex; c < CATEGORIES.length; c++) {
+    const category = CATEGORIES[c];
+    let page = cursor && cursor.category === category ? cursor.page : 1;
+    const pageSize = 100;
+
+    while (true) {
+      let data;
+      try {
+        const url = `https://world.openfoodfacts.org/category/${category}.json?page=${page}&page_size=${pageSize}&sort_by=last_modified_t`;
+        const response = await fetchWithRetry(url);
+        data = await response.json();
+      } catch (error) {
+        // One broken category shouldn't stop the others
+        console.error(`[OFF] Error on ${category} page ${page}:`, error.message);
+        break;
+      }
+
+      if (!data.products || data.products.length === 0) break;
+
+      const products = since
+        ? data.products.filter(product => product.last_modified_t > since)
+        : data.products;
+      for (const product of products) {
+        if (product.last_modified_t > (highWater || 0)) highWater = product.last_modified_t;
+      }
+      // Sorted newest first, so the rest of the category is older
+      const caughtUp = products.length < data.products.length;
+
+      page++;
+      yield {
+        records: products.map(product => ({
+          name: product.product_name || product.product_name_en,
+          brand: product.brands,
+          category_tags: product.categories_tags || [],
+          description: product.generic_name,
+          image_url: product.image_url,
+          barcode: product.code,
+          origin: product.origins,
+          // % vol or g/100g, per alcohol_unit (see lib/units.js)
+          alcohol_content: product.nutriments?.alcohol_100g ?? product.alcohol_100g ?? null,
+          alcohol_unit: product.nutriments?.alcohol_unit || null,
+          quantity: product.quantity || null,
+          source: 'openfoodfacts',
+          external_ids: { off_id: product.code },
+        })),
+        cursor: { category, page, since, high_water: highWater },
+        highWater,
+      };
+
+      if (caughtUp) break;
+    }
+
+    const next = c + 1 < CATEGORIES.length
+      ? { category: CATEGORIES[c + 1], page: 1, since, high_water: highWater }
+      : null;
+    yield { records: [], cursor: next, highWater };
+  }
+}
@@ -0,0 +1,267 @@
+// Javari Scraper - Open Library Source
+// ====================================
+// Works and editions from Open Library, in one of two modes:
+//
+//   api   (default) the search API, one subject at a time
+//         (OPENLIBRARY_SUBJECTS). Every work comes with all its authors,
+//         first publish year, publishers, median page count and the ISBNs of
+//         its editions.
+//   dump  OPENLIBRARY_MODE=dump: the monthly works dump
+//         (OPENLIBRARY_WORKS_DUMP, a URL or local path), gunzipped and read a
+//         line at a time. The dump only links authors by key, so works from it
+//         carry author_keys but no author names.
+//
+// scrapeOpenLibraryEditions reads the editions dump (OPENLIBRARY_EDITIONS_DUMP)
+// for edition-level data: ISBN-10/13, publishers, publish date, pages.
+//
+// A work listed under several subjects is only yielded once per run. ISBN-10s
+// are also stored as their ISBN-13 equivalent.
+//
+// Cursor: { subject, offset } of the next search page in api mode;
+// { dump, line, offset } in the dump modes - the dump file, the lines already
+// read from it and the byte offset they end at. A resumed crawl reopens an
+// uncompressed dump at that offset; a compressed one can't seek, so it is
+// downloaded and read past those lines again - if the run's deadline
+// (options.deadline) passes before it gets there, it pauses with the same
+// cursor rather than being cut off. A crawl starts over if a newer dump has
+// been published since.
+
+import { fetchWithRetry } from '../http.js';
+import { isCompressed, openDump, readLines } from '../streams.js';
+
+const SEARCH_URL = 'https://openlibrary.org/search.json';
+const SEARCH_FIELDS = [
+  'key', 'title', 'subtitle', 'author_name', 'author_key', 'first_publish_year',
+  'publisher', 'number_of_pages_median', 'isbn', 'cover_i', 'subject',
+];
+const SEARCH_PAGE_SIZE = 100;
+const DUMP_PAGE_SIZE = 1000;
+const SKIP_CHECK_LINES = 10000; // lines skipped between deadline checks
+
+const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const OPENLIBRARY_CONFIG = {
+  mode: process.env.OPENLIBRARY_MODE || 'api',
+  subjects: process.env.OPENLIBRARY_SUBJECTS
+    ? list(process.env.OPENLIBRARY_SUBJECTS)
+    : ['fiction', 'science', 'history', 'biography', 'fantasy', 'mystery'],
+  worksDump: process.env.OPENLIBRARY_WORKS_DUMP || 'https://openlibrary.org/data/ol_dump_works_latest.txt.gz',
+  editionsDump: process.env.OPENLIBRARY_EDITIONS_DUMP || 'https://openlibrary.org/data/ol_dump_editions_latest.txt.gz',
+};
+
+// =============================================================================
+// FIELDS
+// =============================================================================
+
+const coverUrl = (id) => id > 0 ? `https://covers.openlibrary.org/b/id/${id}-M.jpg` : null;
+
+// "/authors/OL23919A" -> "OL23919A"
+const olId = (key) => key ? String(key).split('/').pop() : null;
+
+function isbn10to13(isbn10) {
+  const digits = `978${isbn10.slice(0, 9)}`;
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += Number(digits[i]) * (i % 2 ? 3 : 1);
+  return `${digits}${(10 - (sum % 10)) % 10}`;
+}
+
+// Any mix of ISBNs, hyphenated or not -> { isbn_10, isbn_13 }
+function splitIsbns(values = []) {
+  const isbn10 = new Set();
+  const isbn13 = new Set();
+
+  for (const value of values) {
+    const isbn = String(value).replace(/[^0-9Xx]/g, '').toUpperCase();
+    if (/^\d{9}[\dX]$/.test(isbn)) {
+      isbn10.add(isbn);
+      isbn13.add(isbn10to13(isbn));
+    } else if (/^97[89]\d{10}$/.test(isbn)) {
+      isbn13.add(isbn);
+    }
+  }
+  return { isbn_10: [...isbn10], isbn_13: [...isbn13] };
+}
+
+const yearOf = (date) => parseInt(String(date || '').match(/\d{4}/)?.[0]) || null;
+
+// =============================================================================
+// API MODE
+// =============================================================================
+
+function searchDocToRecord(doc) {
+  return {
+    name: doc.title,
+    subtitle: doc.subtitle || null,
+    author: doc.author_name?.[0],
+    authors: doc.author_name || [],
+    author_keys: doc.author_key || [],
+    subject: doc.subject?.join(', '),
+    first_publish_year: doc.first_publish_year ?? null,
+    publishers: doc.publisher || [],
+    page_count: doc.number_of_pages_median ?? null,
+    ...splitIsbns(doc.isbn),
+    cover_url: coverUrl(doc.cover_i),
+    source: 'openlibrary',
+    external_ids: { ol_key: doc.key },
+  };
+}
+
+async function* scrapeSubjects(options) {
+  const cursor = options.cursor;
+  const subjects = OPENLIBRARY_CONFIG.subjects;
+  const startIndex = cursor ? Math.max(0, subjects.indexOf(cursor.subject)) : 0;
+  const seen = new Set();
+
+  for (let i = startIndex; i < subjects.length; i++) {
+    const subject = subjects[i];
+    let offset = cursor && cursor.subject === subject ? cursor.offset : 0;
+
+    while (true) {
+      let data;
+      try {
+        const query = new URLSearchParams({
+          subject,
+          fields: SEARCH_FIELDS.join(','),
+          limit: String(SEARCH_PAGE_SIZE),
+          offset: String(offset),
+        });
+        const response = await fetchWithRetry(`${SEARCH_URL}?${query}`);
+        data = await response.json();
+      } catch (error) {
+        // One broken subject shouldn't stop the others
+        console.error(`[OpenLibrary] Error on ${subject}:`, error.message);
+        break;
+      }
+
+      const docs = data.docs || [];
+      if (docs.length === 0) break;
+
+      // Works already taken from an earlier subject are skipped
+      const fresh = docs.filter(doc => doc.key && !seen.has(doc.key));
+      for (const doc of fresh) seen.add(doc.key);
+
+      offset += docs.length;
+      yield {
+        records: fresh.map(searchDocToRecord),
+        cursor: { subject, offset },
+      };
+
+      if (offset >= data.numFound) break;
+    }
+
+    const next = i + 1 < subjects.length ? { subject: subjects[i + 1], offset: 0 } : null;
+    yield { records: [], cursor: next };
+  }
+}
+
+// =============================================================================
+// DUMP MODE
+// =============================================================================
+
+// Dump lines are "type \t key \t revision \t last_modified \t json"; yields
+// pages of `toRecord(json)` for the lines of `type`
+async function* scrapeDump(location, type, toRecord, { cursor, deadline } = {}) {
+  const seek = cursor?.offset > 0 && !isCompressed(location) ? cursor.offset : 0;
+  let { id, chunks } = await openDump(location, { start: seek });
+  const resumable = cursor?.dump === id;
+
+  if (cursor?.dump && !resumable) {
+    console.log(`[OpenLibrary] ${cursor.dump} replaced by ${id}, starting over`);
+    // Opened mid-way into the new dump
+    if (seek) {
+      chunks.destroy();
+      ({ id, chunks } = await openDump(location));
+    }
+  }
+
+  const start = resumable ? seek : 0;
+  let line = resumable && seek ? cursor.line : 0;
+  const skip = resumable ? cursor.line : 0;
+  if (skip > line) {
+    console.log(`[OpenLibrary] Reading ${id} past line ${skip} again (compressed dumps can't seek)`);
+  } else {
+    console.log(`[OpenLibrary] Reading ${id}${skip ? ` from line ${skip}` : ''}`);
+  }
+
+  let records = [];
+
+  for await (const { text, end } of readLines(chunks, { start })) {
+    if (line < skip) {
+      // Out of time before getting back to where it was: the cursor is kept
+      if (line++ % SKIP_CHECK_LINES === 0 && deadline && Date.now() >= deadline) {
+        yield { records: [], cursor, pause: `Deadline reached reading ${id} past line ${skip}` };
+        return;
+      }
+      continue;
+    }
+    line++;
+    if (!text.startsWith(`${type}\t`)) continue;
+
+    let data;
+    try {
+      data = JSON.parse(text.slice(text.lastIndexOf('\t') + 1));
+    } catch {
+      continue;
+    }
+    if (data.key) records.push(toRecord(data));
+
+    if (records.length === DUMP_PAGE_SIZE) {
+      yield { records, cursor: { dump: id, line, offset: end } };
+      records = [];
+    }
+  }
+
+  yield { records, cursor: null };
+}
+
+function workToRecord(work) {
+  const authorKeys = (work.authors || []).map(author => olId(author.author?.key || author.key)).filter(Boolean);
+  return {
+    name: work.title,
+    subtitle: work.subtitle || null,
+    author: null,
+    authors: null,
+    author_keys: authorKeys,
+    subject: work.subjects?.join(', '),
+    first_publish_year: yearOf(work.first_publish_date),
+    cover_url: coverUrl(work.covers?.[0]),
+    source: 'openlibrary',
+    external_ids: { ol_key: work.key },
+  };
+}
+
+function editionToRecord(edition) {
+  return {
+    name: edition.title,
+    subtitle: edition.subtitle || null,
+    edition_key: edition.key,
+    work_key: edition.works?.[0]?.key || null,
+    author_keys: (edition.authors || []).map(author => olId(author.key)).filter(Boolean),
+    ...splitIsbns([...(edition.isbn_10 || []), ...(edition.isbn_13 || [])]),
+    publishers: edition.publishers || [],
+    publish_date: edition.publish_date || null,
+    page_count: edition.number_of_pages ?? null,
+    languages: (edition.languages || []).map(language => olId(language.key)).filter(Boolean),
+    physical_format: edition.physical_format || null,
+    cover_url: coverUrl(edition.covers?.[0]),
+    source: 'openlibrary',
+    external_ids: { edition_key: edition.key, ol_key: edition.works?.[0]?.key || null },
+  };
+}
+
+// =============================================================================
+// SCRAPERS
+// =============================================================================
+
+export async function* scrapeOpenLibrary(options = {}) {
+  const cursor = options.cursor;
+  // A crawl is finished in the mode it was started in
+  const dump = cursor ? Boolean(cursor.dump) : OPENLIBRARY_CONFIG.mode === 'dump';
+
+  if (dump) yield* scrapeDump(OPENLIBRARY_CONFIG.worksDump, '/type/work', workToRecord, options);
+  else yield* scrapeSubjects(options);
+}
+
+export async function* scrapeOpenLibraryEditions(options = {}) {
+  yield* scrapeDump(OPENLIBRARY_CONFIG.editionsDump, '/type/edition', editionToRecord, options);
+}
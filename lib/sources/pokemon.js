@@ -0,0 +1,99 @@
+// Javari Scraper - Pokemon TCG Source
+// ===================================
+// Cards from api.pokemontcg.io. Pages are numbered, so the next few are
+// prefetched up to the host's concurrency.
+//
+// Change signal: set.updatedAt, which moves when any card of the set is
+// edited (set.releaseDate for sets without one). Pages report the newest seen
+// as highWater; incremental runs only ask for cards from sets updated or
+// released on or after the mark's day, so errata and rulings on old sets are
+// picked up as well as new sets (the sets of that day are re-read).
+//
+// Cursor: { page, since, high_water } of the next page to fetch.
+
+import { fetchWithRetry, hostConcurrency, prefetchPages } from '../http.js';
+
+// 2023/03/31 -> 2023-03-31
+const isoDate = (value) => value ? value.replace(/\//g, '-') : null;
+
+// Sets come inline with every card
+function toSetInfo(set) {
+  if (!set?.id) return null;
+  return {
+    code: set.id,
+    name: set.name,
+    series: set.series || null,
+    set_type: null,
+    parent_code: null,
+    release_date: isoDate(set.releaseDate),
+    card_count: set.total ?? null,
+    printed_total: set.printedTotal ?? null,
+    symbol_url: set.images?.symbol || null,
+    logo_url: set.images?.logo || null,
+  };
+}
+
+function toRecord(card) {
+  return {
+    game: 'pokemon',
+    name: card.name,
+    set: card.set?.name,
+    set_code: card.set?.id,
+    set_info: toSetInfo(card.set),
+    collector_number: card.number,
+    rarity: card.rarity,
+    artist: card.artist || null,
+    release_date: isoDate(card.set?.releaseDate),
+    type_line: [card.supertype, (card.subtypes || []).join(' ')].filter(Boolean).join(' — ') || null,
+    oracle_text: card.rules?.length ? card.rules.join('\n') : null,
+    flavor_text: card.flavorText || null,
+    hp: card.hp ? parseInt(card.hp) : null,
+    types: card.types || null,
+    attacks: card.attacks || null,
+    abilities: card.abilities || null,
+    legalities: card.legalities || null,
+    prices: card.tcgplayer?.prices || card.cardmarket?.prices
+      ? { tcgplayer: card.tcgplayer?.prices || null, cardmarket: card.cardmarket?.prices || null }
+      : null,
+    image_url: card.images?.large || card.images?.small,
+    image_uris: card.images ? [card.images] : null,
+    source: 'pokemontcg',
+    external_ids: { pokemon_id: card.id },
+  };
+}
+
+export async function* scrapePokemonTCG(options = {}) {
+  const cursor = options.cursor;
+  const since = cursor ? cursor.since : options.since;
+  let page = cursor?.page || 1;
+  let highWater = cursor?.high_water || since || null;
+  const pageSize = 250;
+
+  const day = since?.slice(0, 10);
+  const query = since
+    ? `&q=${encodeURIComponent(`(set.updatedAt:[${day} TO *] OR set.releaseDate:[${day} TO *])`)}`
+    : '';
+  const pageUrl = (n) => `https://api.pokemontcg.io/v2/cards?page=${n}&pageSize=${pageSize}${query}`;
+  const fetchPage = async (n) => (await fetchWithRetry(pageUrl(n))).json();
+
+  let lastPage = page;
+  const pages = prefetchPages(fetchPage, page, hostConcurrency(pageUrl(page)), () => lastPage);
+
+  for await (const data of pages) {
+    if (!data.data || data.data.length === 0) return;
+    if (data.totalCount) lastPage = Math.ceil(data.totalCount / pageSize);
+
+    // YYYY/MM/DD[ HH:mm:ss], so they compare as strings
+    for (const card of data.data) {
+      const changed = card.set?.updatedAt || card.set?.releaseDate;
+      if (changed && (!highWater || changed > highWater)) highWater = changed;
+    }
+
+    page++;
+    yield {
+      records: data.data.map(toRecord),
+      cursor: { page, since, high_water: highWater },
+      highWater,
+    };
+  }
+}
@@ -0,0 +1,211 @@
+// Javari Scraper - Scryfall Source (MTG)
+// ======================================
+// Magic: The Gathering cards from Scryfall, in one of two modes:
+//
+//   search  (default) the search API, 175 cards a page. Search pages are
+//           numbered (`page=`), so the next few are prefetched up to the
+//           host's concurrency.
+//   bulk    SCRYFALL_BULK_TYPE=default_cards (every English printing) or
+//           all_cards (every printing in every language): the bulk-data JSON
+//           file, stream-parsed BULK_PAGE_SIZE cards a page without loading
+//           it into memory.
+//
+// Change signal: the `updated_at` of the bulk data (default-cards for search
+// mode), reported as every page's highWater. Incremental runs (options.since
+// = the mark of the last finished crawl) stop at once when the bulk data
+// hasn't been rebuilt since. Otherwise they read the new default_cards file
+// (or SCRYFALL_BULK_TYPE's) even in search mode: search can't filter on when a
+// card last changed, and a rebuild carries new prices and legalities for old
+// printings too (unchanged rows aren't rewritten on upsert).
+//
+// Set metadata (type, size, icon) comes from /sets, fetched once per run.
+//
+// Cursor: { next_page, high_water } in search mode - the URL returned by the
+// previous search page and the bulk-data timestamp the crawl started from.
+// { bulk_type, offset, high_water } in bulk mode - cards already read from
+// the file built at high_water; a resumed crawl downloads the file again but
+// skips them without parsing, or starts over if Scryfall has rebuilt the file
+// since.
+
+import { HttpError, fetchWithRetry, hostConcurrency, prefetchPages } from '../http.js';
+import { parseJsonArray } from '../streams.js';
+
+const API_BASE = 'https://api.scryfall.com';
+const SEARCH_PAGE_SIZE = 175;
+const BULK_PAGE_SIZE = 500;
+const BULK_TYPES = ['default_cards', 'all_cards'];
+
+// The download itself can run for minutes
+const BULK_TIMEOUT_MS = 15 * 60 * 1000;
+
+const SCRYFALL_CONFIG = {
+  bulkType: process.env.SCRYFALL_BULK_TYPE || null,
+};
+
+// bulk-data/default-cards -> { updated_at, download_uri, size, ... }
+async function fetchBulkInfo(type) {
+  const response = await fetchWithRetry(`${API_BASE}/bulk-data/${type.replace(/_/g, '-')}`);
+  return response.json();
+}
+
+function toSetInfo(set) {
+  return {
+    code: set.code,
+    name: set.name,
+    series: set.block || null,
+    set_type: set.set_type || null,
+    parent_code: set.parent_set_code || null,
+    release_date: set.released_at || null,
+    card_count: set.card_count ?? null,
+    printed_total: set.printed_size ?? null,
+    symbol_url: set.icon_svg_uri || null,
+    logo_url: null,
+  };
+}
+
+// code -> set record; cards fall back to the set fields they carry when the
+// list is unavailable
+async function fetchSets() {
+  try {
+    const { data } = await (await fetchWithRetry(`${API_BASE}/sets`)).json();
+    return new Map((data || []).map(set => [set.code, toSetInfo(set)]));
+  } catch (error) {
+    console.error('[Scryfall] Set list:', error.message);
+    return new Map();
+  }
+}
+
+// =============================================================================
+// RECORDS
+// =============================================================================
+
+// Double-faced and split cards keep their text, cost and art per face
+function toRecord(card, sets) {
+  const faces = card.card_faces || [];
+  const fromFaces = (field, separator) => {
+    const values = faces.map(face => face[field]).filter(Boolean);
+    return values.length > 0 ? values.join(separator) : null;
+  };
+  const imageUris = card.image_uris
+    ? [card.image_uris]
+    : faces.filter(face => face.image_uris).map(face => ({ face: face.name, ...face.image_uris }));
+
+  return {
+    game: 'mtg',
+    name: card.name,
+    set: card.set_name,
+    set_code: card.set,
+    set_info: sets.get(card.set) || toSetInfo({ code: card.set, name: card.set_name, set_type: card.set_type }),
+    rarity: card.rarity,
+    collector_number: card.collector_number,
+    artist: card.artist ?? fromFaces('artist', ', '),
+    release_date: card.released_at || null,
+    flavor_text: card.flavor_text ?? fromFaces('flavor_text', '\n//\n'),
+    mana_cost: card.mana_cost ?? fromFaces('mana_cost', ' // '),
+    type_line: card.type_line ?? fromFaces('type_line', ' // '),
+    oracle_text: card.oracle_text ?? fromFaces('oracle_text', '\n//\n'),
+    colors: card.colors ?? (faces.length > 0 ? [...new Set(faces.flatMap(face => face.colors || []))] : null),
+    prices: card.prices || null,
+    legalities: card.legalities || null,
+    image_url: imageUris[0]?.normal || imageUris[0]?.small || null,
+    image_uris: imageUris.length > 0 ? imageUris : null,
+    source: 'scryfall',
+    external_ids: { scryfall_id: card.id, oracle_id: card.oracle_id ?? faces[0]?.oracle_id ?? null },
+  };
+}
+
+// =============================================================================
+// SEARCH MODE
+// =============================================================================
+
+async function* scrapeSearch(options, updatedAt, sets) {
+  const cursor = options.cursor;
+  const start = new URL(cursor?.next_page || `${API_BASE}/cards/search?q=*`);
+  const first = parseInt(start.searchParams.get('page')) || 1;
+
+  const fetchPage = async (n) => {
+    const url = new URL(start);
+    url.searchParams.set('page', String(n));
+    try {
+      return await (await fetchWithRetry(url.href)).json();
+    } catch (error) {
+      // Scryfall answers a search without matches with a 404
+      if (error instanceof HttpError && error.status === 404) return { data: [], has_more: false };
+      throw error;
+    }
+  };
+
+  let lastPage = first;
+  const pages = prefetchPages(fetchPage, first, hostConcurrency(start.href), () => lastPage);
+
+  for await (const data of pages) {
+    if (data.total_cards) lastPage = Math.ceil(data.total_cards / SEARCH_PAGE_SIZE);
+    const url = data.has_more ? data.next_page : null;
+    yield {
+      records: (data.data || []).map(card => toRecord(card, sets)),
+      cursor: url ? { next_page: url, high_water: updatedAt } : null,
+      highWater: updatedAt,
+    };
+
+    if (!url) return;
+  }
+}
+
+// =============================================================================
+// BULK MODE
+// =============================================================================
+
+async function* scrapeBulk(options, bulkType, bulk, sets) {
+  const cursor = options.cursor;
+  const resumable = cursor?.offset != null && cursor.high_water === bulk.updated_at;
+  const skip = resumable ? cursor.offset : 0;
+
+  if (cursor?.offset != null && !resumable) {
+    console.log(`[Scryfall] Bulk data rebuilt since ${cursor.high_water}, starting over`);
+  }
+  console.log(`[Scryfall] Streaming ${bulkType} (${Math.round((bulk.size || 0) / 1e6)} MB)${skip ? ` from card ${skip}` : ''}`);
+
+  const response = await fetchWithRetry(bulk.download_uri, { timeoutMs: BULK_TIMEOUT_MS });
+  const here = (offset) => ({ bulk_type: bulkType, offset, high_water: bulk.updated_at });
+
+  // Cards already read are only scanned past, not parsed
+  let offset = skip;
+  let batch = [];
+  for await (const card of parseJsonArray(response.body, { skip })) {
+    offset++;
+    batch.push(toRecord(card, sets));
+    if (batch.length === BULK_PAGE_SIZE) {
+      yield { records: batch, cursor: here(offset), highWater: bulk.updated_at };
+      batch = [];
+    }
+  }
+
+  yield { records: batch, cursor: null, highWater: bulk.updated_at };
+}
+
+// =============================================================================
+// SCRAPER
+// =============================================================================
+
+export async function* scrapeScryfall(options = {}) {
+  const cursor = options.cursor;
+  // A crawl is finished in the mode it was started in
+  const bulkType = cursor
+    ? (cursor.bulk_type || null)
+    : SCRYFALL_CONFIG.bulkType || (options.since ? 'default_cards' : null);
+  if (bulkType && !BULK_TYPES.includes(bulkType)) {
+    throw new Error(`Unknown SCRYFALL_BULK_TYPE ${bulkType} (expected ${BULK_TYPES.join(' or ')})`);
+  }
+
+  const bulk = bulkType || !cursor?.high_water ? await fetchBulkInfo(bulkType || 'default_cards') : null;
+  const updatedAt = bulk ? bulk.updated_at : cursor.high_water;
+
+  if (!cursor && options.since && updatedAt <= options.since) {
+    console.log(`[Scryfall] No changes since ${options.since}`);
+    return;
+  }
+
+  const sets = await fetchSets();
+  if (bulkType) yield* scrapeBulk(options, bulkType, bulk, sets);
+  else yield* scrapeSearch(options, updatedAt, sets);
+}
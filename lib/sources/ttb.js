@@ -0,0 +1,289 @@
+// Javari Scraper - TTB COLA Registry Source (500K+ products)
+// ==========================================================
+// US Government alcohol label database (public domain).
+//
+// Walks the COLA Online public search one approval day at a time (oldest
+// first), pages through each day's result list and fetches every label's
+// detail page and printable form (for the label images) once.
+//
+// Result paging is tied to the search's server-side session, so a resumed
+// day re-runs its search and steps forward to the saved page.
+//
+// Window: options.since (incremental runs) or TTB_START_DATE, default Jan 1
+// two years back, through today (UTC). Each finished day is reported as the
+// page's highWater, so an incremental run re-crawls from the last day of the
+// previous finished crawl (approvals keep arriving during the day).
+//
+// A label whose detail page or printable form can't be fetched is counted in
+// its page's `errors` (the run ends up partial); the crawl moves on, and the
+// next crawl over that day picks the label up again.
+//
+// A result page's labels are fetched and yielded DETAIL_CHUNK at a time (two
+// requests each), so a run stops between chunks rather than after a whole
+// page once its time is up.
+//
+// Cursor: { from, to, date, page, index } - the crawl window, the day being
+// crawled, its next result page and how many of that page's labels are done.
+
+import { parse } from 'node-html-parser';
+import { fetchWithRetry } from '../http.js';
+
+const TTB_BASE = 'https://www.ttbonline.gov/colasonline/';
+const SEARCH_PATH = 'publicSearchColasBasicProcess.do?action=search';
+const NEXT_PAGE_PATH = 'publicPageBasicCola.do?action=page&pgfcn=nextset';
+const DETAIL_PATH = 'viewColaDetails.do?action=publicDisplaySearchBasic&ttbid=';
+const FORM_PATH = 'viewColaDetails.do?action=publicFormDisplay&ttbid=';
+const DETAIL_CHUNK = 20;
+
+const HEADERS = {
+  'User-Agent': 'JavariSpirits/1.0 (CR AudioViz AI LLC - spirits database)',
+  'Accept': 'text/html',
+};
+
+// =============================================================================
+// DATES
+// =============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isoDay = (date) => date.toISOString().slice(0, 10);
+const nextDay = (day) => isoDay(new Date(Date.parse(day) + DAY_MS));
+
+// 2025-03-04 <-> 03/04/2025
+const toTTBDate = (day) => `${day.slice(5, 7)}/${day.slice(8, 10)}/${day.slice(0, 4)}`;
+function fromTTBDate(value) {
+  const match = value?.match(/(\d{2})\/(\d{2})\/(\d{4})/);
+  return match ? `${match[3]}-${match[1]}-${match[2]}` : null;
+}
+
+function defaultStart() {
+  if (process.env.TTB_START_DATE) return process.env.TTB_START_DATE;
+  return `${new Date().getUTCFullYear() - 2}-01-01`;
+}
+
+// =============================================================================
+// SESSION
+// =============================================================================
+
+// COLA Online keeps search results in the server session, so cookies have
+// to be carried from the search to its result pages
+function createSession() {
+  const cookies = new Map();
+
+  return async function request(path, { form } = {}) {
+    const headers = { ...HEADERS };
+    if (cookies.size > 0) {
+      headers.Cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+    if (form) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+
+    const response = await fetchWithRetry(`${TTB_BASE}${path}`, {
+      method: form ? 'POST' : 'GET',
+      headers,
+      body: form ? new URLSearchParams(form).toString() : undefined,
+    });
+
+    for (const cookie of response.headers.getSetCookie?.() || []) {
+      const [pair] = cookie.split(';');
+      const index = pair.indexOf('=');
+      if (index > 0) cookies.set(pair.slice(0, index).trim(), pair.slice(index + 1).trim());
+    }
+
+    return response.text();
+  };
+}
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+const clean = (text) => text?.replace(/[ \t\r\f\v\u00a0]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim() || null;
+
+// TTB ids linked from a result list, and whether there is a next page
+function parseResults(html) {
+  const links = parse(html).querySelectorAll('a');
+  const ids = new Set();
+  let hasNext = false;
+
+  for (const link of links) {
+    const href = link.getAttribute('href') || '';
+    const id = href.match(/ttbid=(\d+)/)?.[1];
+    if (id) ids.add(id);
+    if (href.includes('pgfcn=nextset')) hasNext = true;
+  }
+  return { ids: [...ids], hasNext };
+}
+
+// Detail pages lay fields out as a label cell ("Brand Name:") followed by a
+// value cell. Returns { 'brand name': 'JACK DANIELS', ... }
+export function parseLabeledFields(html) {
+  const fields = {};
+
+  for (const element of parse(html).querySelectorAll('td, th, strong, b, label')) {
+    const label = clean(element.text);
+    if (!label || !label.endsWith(':') || label.length > 80 || label.includes('\n')) continue;
+
+    // The label may be wrapped in <strong> inside its cell
+    const cell = ['td', 'th'].includes(element.rawTagName) ? element : element.closest('td, th');
+    const value = clean(cell?.nextElementSibling?.text);
+    const key = label.slice(0, -1).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    if (key && value && !(key in fields)) fields[key] = value;
+  }
+  return fields;
+}
+
+// "101 - STRAIGHT BOURBON WHISKY" -> ['101', 'STRAIGHT BOURBON WHISKY']
+function splitCode(value) {
+  const match = value?.match(/^([0-9A-Z]+)\s+-\s+(.+)$/);
+  return match ? [match[1], match[2]] : [null, value || null];
+}
+
+function parseLabelImages(html) {
+  return parse(html).querySelectorAll('img')
+    .map(img => img.getAttribute('src') || '')
+    .filter(src => /publicViewAttachment|publicViewImage/i.test(src))
+    .map(src => new URL(src, TTB_BASE).href);
+}
+
+// =============================================================================
+// DETAILS
+// =============================================================================
+
+export async function fetchTTBColaDetails(ttbId, request = createSession()) {
+  const fields = parseLabeledFields(await request(`${DETAIL_PATH}${ttbId}`));
+  const field = (...names) => names.map(name => fields[name]).find(Boolean) || null;
+
+  // Unknown ids come back as the search page without a TTB ID field
+  if (!field('ttb id')) return null;
+
+  // null when the form couldn't be fetched, [] when it has no label images
+  let labelImages = null;
+  try {
+    labelImages = parseLabelImages(await request(`${FORM_PATH}${ttbId}`));
+  } catch (error) {
+    console.error(`[TTB] Label images for ${ttbId}:`, error.message);
+  }
+
+  const [classTypeCode, classType] = splitCode(field('class type code', 'class type'));
+  const [originCode, origin] = splitCode(field('origin code', 'origin'));
+  const brandName = field('brand name');
+  const fancifulName = field('fanciful name');
+
+  return {
+    ttb_id: ttbId,
+    brand_name: brandName || fancifulName,
+    fanciful_name: fancifulName,
+    class_type: classType,
+    origin,
+    alcohol_content: field('alcohol content'),
+    permit_number: field('plant registry basic permit brewers no', 'permit', 'permit no'),
+    date_approved: fromTTBDate(field('approval date', 'date issued', 'date completed')),
+    category: classType || 'spirits',
+    category_tags: classTypeCode ? [classTypeCode] : [],
+    image_url: labelImages?.[0] || null,
+    ttb_details: {
+      serial_number: field('serial', 'serial number'),
+      status: field('status'),
+      applicant: field('name and address of applicant', 'applicant name', 'applicant'),
+      type_of_application: field('type of application'),
+      vendor_code: field('vendor code'),
+      class_type_code: classTypeCode,
+      origin_code: originCode,
+      qualifications: field('qualifications'),
+      approval_date: fromTTBDate(field('approval date', 'date issued', 'date completed')),
+      label_images: labelImages,
+    },
+    source: 'ttb_cola',
+  };
+}
+
+// =============================================================================
+// CRAWLER
+// =============================================================================
+
+// Result pages of one approval day from `startPage` on: { page, ids, hasNext }
+async function* searchDay(request, day, startPage) {
+  let html = await request(SEARCH_PATH, {
+    form: {
+      'searchCriteria.dateCompletedFrom': toTTBDate(day),
+      'searchCriteria.dateCompletedTo': toTTBDate(day),
+      'searchCriteria.productOrFancifulName': '',
+      'searchCriteria.productNameSearchType': 'E',
+      'searchCriteria.classTypeFrom': '',
+      'searchCriteria.classTypeTo': '',
+      'searchCriteria.originCode': '',
+    },
+  });
+
+  for (let page = 1; ; page++) {
+    const { ids, hasNext } = parseResults(html);
+    if (page >= startPage) yield { page, ids, hasNext };
+    if (!hasNext || ids.length === 0) return;
+    html = await request(NEXT_PAGE_PATH);
+  }
+}
+
+export async function* scrapeTTBCOLA(options = {}) {
+  const cursor = options.cursor;
+  const from = cursor?.from || options.since || defaultStart();
+  const to = cursor?.to || isoDay(new Date());
+  let day = cursor?.date || from;
+  let startPage = cursor?.page || 1;
+  let startIndex = cursor?.index || 0;
+
+  console.log(`[TTB] Crawling COLAs approved ${day} to ${to}`);
+
+  const request = createSession();
+  const seen = new Set(); // a label is only fetched once per crawl
+  let totalScraped = 0;
+
+  while (day <= to) {
+    for await (const { page, ids, hasNext } of searchDay(request, day, startPage)) {
+      // Every page yields at least once, even an empty one, to move the cursor
+      let index = page === startPage ? Math.min(startIndex, ids.length) : 0;
+      while (true) {
+        const records = [];
+        let errors = 0;
+        for (const ttbId of ids.slice(index, index + DETAIL_CHUNK)) {
+          if (seen.has(ttbId)) continue;
+          seen.add(ttbId);
+          try {
+            const record = await fetchTTBColaDetails(ttbId, request);
+            if (record?.ttb_details.label_images === null) errors++;
+            if (record?.brand_name) records.push(record);
+          } catch (error) {
+            errors++;
+            console.error(`[TTB] Details for ${ttbId}:`, error.message);
+          }
+        }
+
+        totalScraped += records.length;
+        index += DETAIL_CHUNK;
+        if (index < ids.length) {
+          yield { records, errors, cursor: { from, to, date: day, page, index } };
+          continue;
+        }
+
+        if (hasNext && ids.length > 0) {
+          yield { records, errors, cursor: { from, to, date: day, page: page + 1 } };
+        } else {
+          // Day finished
+          const next = nextDay(day);
+          yield {
+            records,
+            errors,
+            cursor: next <= to ? { from, to, date: next, page: 1 } : null,
+            highWater: day,
+          };
+        }
+        break;
+      }
+    }
+
+    day = nextDay(day);
+    startPage = 1;
+    startIndex = 0;
+  }
+
+  console.log(`[TTB] Total scraped: ${totalScraped}`);
+}
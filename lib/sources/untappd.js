@@ -0,0 +1,152 @@
+// Javari Scraper - Untappd Source (requires API key)
+// ==================================================
+// Beers from the Untappd v4 API, authenticated with the app's client_id and
+// client_secret (UNTAPPD_CLIENT_ID / UNTAPPD_CLIENT_SECRET).
+//
+// Each page is one beer search (by style term) plus a /beer/info call per
+// beer for its rating, so a page costs PAGE_SIZE + 1 requests. Untappd caps
+// a key at ~100 requests an hour and reports what is left in
+// X-Ratelimit-Remaining: a page is only started when the remaining budget
+// covers it plus UNTAPPD_RATE_RESERVE, otherwise the source pauses and the
+// next run picks up from the cursor. Every request counts against the cap,
+// so failures are never retried blindly (requests still go through the
+// shared host scheduler).
+//
+// Cursor: { term, offset } of the next search page.
+
+import { scheduledFetch } from '../http.js';
+
+const API_BASE = 'https://api.untappd.com/v4';
+const PAGE_SIZE = 25;
+
+// Untappd's placeholder label for beers without artwork
+const DEFAULT_LABEL = /badge-beer-default/;
+
+const UNTAPPD_CONFIG = {
+  clientId: process.env.UNTAPPD_CLIENT_ID,
+  clientSecret: process.env.UNTAPPD_CLIENT_SECRET,
+  // Requests left untouched for other users of the same key
+  reserve: parseInt(process.env.UNTAPPD_RATE_RESERVE) || 10,
+  terms: process.env.UNTAPPD_SEARCH_TERMS
+    ? process.env.UNTAPPD_SEARCH_TERMS.split(',').map(term => term.trim()).filter(Boolean)
+    : ['ipa', 'pale ale', 'stout', 'porter', 'lager', 'pilsner', 'sour', 'wheat', 'saison', 'amber', 'brown ale', 'bock', 'barleywine', 'kolsch', 'hefeweizen'],
+};
+
+class RateLimited extends Error {}
+
+function createClient({ clientId, clientSecret }) {
+  const client = {
+    remaining: null, // unknown until the first response
+
+    async get(path, params = {}) {
+      const query = new URLSearchParams({ ...params, client_id: clientId, client_secret: clientSecret });
+      const response = await scheduledFetch(`${API_BASE}${path}?${query}`);
+
+      const remaining = parseInt(response.headers.get('x-ratelimit-remaining'));
+      if (Number.isFinite(remaining)) client.remaining = remaining;
+
+      if (response.status === 429) {
+        await response.body?.cancel().catch(() => {});
+        client.remaining = 0;
+        throw new RateLimited('Untappd rate limit reached');
+      }
+
+      const body = await response.json().catch(() => null);
+      if (!response.ok || body?.meta?.code !== 200) {
+        const detail = body?.meta?.error_detail || body?.meta?.error_type || `HTTP ${response.status}`;
+        throw new Error(`Untappd ${path}: ${detail}`);
+      }
+      return body.response;
+    },
+
+    canAfford(requests) {
+      return client.remaining === null || client.remaining - requests >= UNTAPPD_CONFIG.reserve;
+    },
+  };
+  return client;
+}
+
+function toRecord({ beer, brewery }, info) {
+  const label = beer.beer_label_hd || beer.beer_label;
+  return {
+    name: beer.beer_name,
+    brand: brewery?.brewery_name,
+    category: 'beer',
+    subcategory: beer.beer_style,
+    category_tags: [beer.beer_style],
+    country: brewery?.country_name,
+    region: brewery?.location?.brewery_state || null,
+    abv: beer.beer_abv,
+    ibu: beer.beer_ibu || null,
+    rating: info?.rating_score || null,
+    rating_count: info?.rating_count ?? null,
+    description: beer.beer_description,
+    image_url: label && !DEFAULT_LABEL.test(label) ? label : null,
+    source: 'untappd',
+    external_ids: { untappd_id: beer.bid },
+  };
+}
+
+export async function* scrapeUntappd(options = {}) {
+  if (!UNTAPPD_CONFIG.clientId || !UNTAPPD_CONFIG.clientSecret) {
+    console.log('[Untappd] Skipping - no credentials configured');
+    return;
+  }
+
+  const client = createClient(UNTAPPD_CONFIG);
+  const terms = UNTAPPD_CONFIG.terms;
+  const cursor = options.cursor;
+  const startIndex = cursor ? Math.max(0, terms.indexOf(cursor.term)) : 0;
+
+  for (let i = startIndex; i < terms.length; i++) {
+    const term = terms[i];
+    let offset = cursor && cursor.term === term ? cursor.offset : 0;
+
+    while (true) {
+      const here = { term, offset };
+      if (!client.canAfford(PAGE_SIZE + 1)) {
+        yield { records: [], cursor: here, pause: `Untappd rate budget spent (${client.remaining} requests left)` };
+        return;
+      }
+
+      let items;
+      try {
+        const found = await client.get('/search/beer', { q: term, offset, limit: PAGE_SIZE });
+        items = found?.beers?.items || [];
+      } catch (error) {
+        if (error instanceof RateLimited) {
+          yield { records: [], cursor: here, pause: error.message };
+          return;
+        }
+        throw error;
+      }
+
+      if (items.length === 0) break;
+
+      // Ratings are only on the beer itself; a beer whose info call fails
+      // is kept without them
+      const records = [];
+      for (const item of items) {
+        let info = null;
+        if (client.canAfford(1)) {
+          try {
+            info = (await client.get(`/beer/info/${item.beer.bid}`, { compact: 'true' }))?.beer;
+          } catch (error) {
+            if (!(error instanceof RateLimited)) {
+              console.error(`[Untappd] Info for beer ${item.beer.bid}:`, error.message);
+            }
+          }
+        }
+        records.push(toRecord(item, info));
+      }
+
+      offset += items.length;
+      yield { records, cursor: { term, offset } };
+
+      if (items.length < PAGE_SIZE) break;
+    }
+
+    const next = i + 1 < terms.length ? { term: terms[i + 1], offset: 0 } : null;
+    yield { records: [], cursor: next };
+  }
+}
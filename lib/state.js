@@ -0,0 +1,88 @@
+// Javari Scraper - Checkpoint State Store
+// ======================================
+// Persists each source's cursor between serverless invocations so large
+// sources can be scraped across many cron runs.
+//
+// Backed by the `scraper_state` table when Supabase is configured:
+//
+//   create table scraper_state (
+//     key        text primary key,      -- '<type>:<source>[:high_water]', 'http:<url>'
+//     cursor     jsonb,                 -- source-specific position, null = start
+//     updated_at timestamptz not null default now()
+//   );
+//
+// '<type>:<source>:high_water' holds the mark a source's last finished crawl
+// reached (e.g. TTB's last approval day), where incremental runs start.
+// 'http:<url>' holds a page's ETag / Last-Modified (see lib/http.js). Runs on
+// sinks other than Supabase prefix their keys with '<sink>/'.
+//
+// Falls back to an in-memory store (lost between invocations) otherwise, so
+// local dry runs still work.
+
+import { isSupabaseConfigured, supabaseRequest } from './supabase.js';
+
+const STATE_TABLE = 'scraper_state';
+
+// State belongs to the sink a crawl writes to: a jsonl run must not move the
+// Supabase crawl's cursor or high-water mark, and an ETag it saved must not
+// make a Supabase run skip pages Supabase never got. Supabase, where state
+// lived before there were other sinks, keeps the bare keys.
+const scopeKey = (key, sink) => (!sink || sink === 'supabase' ? key : `${sink}/${key}`);
+
+export function stateKey(type, source, sink) {
+  return scopeKey(`${type}:${source}`, sink);
+}
+
+export function highWaterKey(type, source, sink) {
+  return `${stateKey(type, source, sink)}:high_water`;
+}
+
+// A view of `store` whose keys belong to `sink` (HTTP validators)
+export function sinkStore(store, sink) {
+  return {
+    kind: store.kind,
+    get: (key) => store.get(scopeKey(key, sink)),
+    set: (key, value) => store.set(scopeKey(key, sink), value),
+  };
+}
+
+function createSupabaseStore() {
+  return {
+    kind: 'supabase',
+
+    async get(key) {
+      const rows = await supabaseRequest(
+        `${STATE_TABLE}?key=eq.${encodeURIComponent(key)}&select=cursor`
+      );
+      return rows?.[0]?.cursor ?? null;
+    },
+
+    async set(key, cursor) {
+      await supabaseRequest(`${STATE_TABLE}?on_conflict=key`, {
+        method: 'POST',
+        prefer: 'resolution=merge-duplicates,return=minimal',
+        body: [{ key, cursor, updated_at: new Date().toISOString() }],
+      });
+    },
+  };
+}
+
+const memory = new Map();
+
+function createMemoryStore() {
+  return {
+    kind: 'memory',
+
+    async get(key) {
+      return memory.has(key) ? memory.get(key) : null;
+    },
+
+    async set(key, cursor) {
+      memory.set(key, cursor);
+    },
+  };
+}
+
+export function createStateStore() {
+  return isSupabaseConfigured() ? createSupabaseStore() : createMemoryStore();
+}
@@ -0,0 +1,24 @@
+// Javari Scraper - Filesystem Object Store
+// ========================================
+// Objects are files under IMAGE_STORE_DIR (default <SCRAPER_OUTPUT_DIR>/images),
+// one per key. Serve that directory and set IMAGE_PUBLIC_URL to its address;
+// without it objects are addressed by file:// URL, which only suits local runs.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { outputDir } from '../sinks/files.js';
+
+export function createFsStore({
+  dir = process.env.IMAGE_STORE_DIR || path.join(outputDir(), 'images'),
+  baseUrl = process.env.IMAGE_PUBLIC_URL,
+} = {}) {
+  return {
+    async put(key, body) {
+      const file = path.join(dir, ...key.split('/'));
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+      return { key, url: baseUrl ? `${baseUrl.replace(/\/+$/, '')}/${key}` : pathToFileURL(file).href };
+    },
+  };
+}
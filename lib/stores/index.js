@@ -0,0 +1,28 @@
+// Javari Scraper - Object Stores
+// ==============================
+// Where mirrored images (lib/images.js) are kept. Every store exposes:
+//
+//   put(key, body, contentType) -> { key, url }
+//
+// Keys are content-addressed paths ("originals/ab/ab12...ef.jpg"), so
+// writing one twice is harmless. `url` is where apps load the object from:
+// IMAGE_PUBLIC_URL + key when set (a CDN or bucket website), otherwise the
+// store's own address.
+//
+// Chosen by IMAGE_STORE; leaving it unset turns image mirroring off.
+
+import { createFsStore } from './fs.js';
+import { createS3Store } from './s3.js';
+
+export const OBJECT_STORES = ['fs', 's3'];
+
+export function createObjectStore(name = process.env.IMAGE_STORE) {
+  switch (name) {
+    case 'fs':
+      return createFsStore();
+    case 's3':
+      return createS3Store();
+    default:
+      throw new Error(`Unknown image store: ${name} (expected ${OBJECT_STORES.join(' or ')})`);
+  }
+}
@@ -0,0 +1,107 @@
+// Javari Scraper - S3-Compatible Object Store
+// ===========================================
+// PUTs objects to any S3-compatible service (AWS S3, Cloudflare R2, MinIO,
+// Backblaze B2, ...) with path-style addressing:
+//
+//   <S3_ENDPOINT>/<S3_BUCKET>/<key>
+//
+// Requests are signed with AWS Signature Version 4 (no SDK needed). Objects
+// are addressed by that URL unless IMAGE_PUBLIC_URL is set, so make the
+// bucket publicly readable or front it with a CDN. Uploads go through the
+// shared HTTP scheduler; raise the endpoint's rate with HTTP_HOST_LIMITS.
+
+import crypto from 'node:crypto';
+import { fetchWithRetry } from '../http.js';
+
+// =============================================================================
+// SIGNATURE V4
+// =============================================================================
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// encodeURIComponent leaves !'()* alone; SigV4 wants them encoded
+export const encodeRfc3986 = (text) => encodeURIComponent(text)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// Returns `headers` plus host, x-amz-date, x-amz-content-sha256 and the
+// Authorization header for one request. `url` must already be encoded.
+export function signRequest({ method, url, headers = {}, body = '', region, service = 's3', accessKeyId, secretAccessKey, date = new Date() }) {
+  const parsed = new URL(url);
+  const amzDate = date.toISOString().replace(/[-:]|\.\d{3}/g, ''); // 20130524T000000Z
+  const day = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(body);
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)])),
+    host: parsed.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+  const names = Object.keys(signed).sort();
+
+  const query = [...parsed.searchParams]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a, x], [b, y]) => (a === b ? (x < y ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    parsed.pathname,
+    query,
+    names.map(name => `${name}:${signed[name].trim().replace(/\s+/g, ' ')}\n`).join(''),
+    names.join(';'),
+    payloadHash,
+  ].join('\n');
+
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), service), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`,
+  };
+}
+
+// =============================================================================
+// STORE
+// =============================================================================
+
+export function createS3Store({
+  endpoint = process.env.S3_ENDPOINT,
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  baseUrl = process.env.IMAGE_PUBLIC_URL,
+} = {}) {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('The s3 image store needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const objectUrl = (key) => `${endpoint.replace(/\/+$/, '')}/${encodeRfc3986(bucket)}/${key.split('/').map(encodeRfc3986).join('/')}`;
+
+  return {
+    async put(key, body, contentType = 'application/octet-stream') {
+      const url = objectUrl(key);
+      const headers = signRequest({
+        method: 'PUT',
+        url,
+        headers: { 'content-type': contentType },
+        body,
+        region,
+        accessKeyId,
+        secretAccessKey,
+      });
+      // host is set by fetch itself
+      delete headers.host;
+
+      const response = await fetchWithRetry(url, { method: 'PUT', headers, body });
+      await response.arrayBuffer();
+      return { key, url: baseUrl ? `${baseUrl.replace(/\/+$/, '')}/${key}` : url };
+    },
+  };
+}
@@ -0,0 +1,265 @@
+// Javari Scraper - Streaming Parsers
+// ==================================
+// Parsers for upstream dumps too large to hold in memory. They read any
+// async iterable of byte chunks (a fetch() response body, a file stream) and
+// yield one item at a time, so memory stays bounded by the largest item.
+// openDump() provides such chunks for a remote or local dump file, and
+// readTarEntries() splits an archive of many small files.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { Readable, pipeline } from 'node:stream';
+import zlib from 'node:zlib';
+import { fetchWithRetry } from './http.js';
+
+// Downloads of multi-gigabyte dumps run far past the default request timeout
+const DUMP_TIMEOUT_MS = 60 * 60 * 1000;
+
+// =============================================================================
+// DUMP FILES
+// =============================================================================
+
+// .gz and .zip dumps are decompressed as they are read
+export const isCompressed = (location) => /\.(gz|zip)$/i.test(location.split(/[?@]/)[0]);
+
+// Opens a dump from an http(s) URL or a local path as a stream of bytes,
+// gunzipped when the file ends in .gz, or the contents of its first entry
+// when it ends in .zip. `id` names the exact file - the URL
+// after redirects, or the path and modification time - so a resumed crawl
+// can tell whether the dump has been replaced since.
+//
+// `start` opens an uncompressed dump at that byte offset (a Range request
+// for a URL), so a resumed crawl doesn't read it again from the beginning.
+// Compressed dumps can only be read from the start.
+export async function openDump(location, { timeoutMs = DUMP_TIMEOUT_MS, start = 0 } = {}) {
+  if (start > 0 && isCompressed(location)) {
+    throw new Error(`Can't open compressed dump ${location} at byte ${start}`);
+  }
+
+  let stream;
+  let id;
+
+  if (/^https?:\/\//i.test(location)) {
+    const range = start > 0 ? { headers: { Range: `bytes=${start}-` } } : {};
+    const response = await fetchWithRetry(location, { timeoutMs, ...range });
+    stream = Readable.fromWeb(response.body);
+    // A server that ignores the range sends the whole file
+    if (start > 0 && response.status !== 206) stream = Readable.from(skipBytes(stream, start));
+    id = response.url || location;
+  } else {
+    const { mtime } = await fs.promises.stat(location);
+    stream = fs.createReadStream(location, { start });
+    id = `${path.resolve(location)}@${mtime.toISOString()}`;
+  }
+
+  // Errors on either side surface when the decompressed stream is read
+  const name = id.split(/[?@]/)[0];
+  if (/\.gz$/i.test(name)) {
+    stream = pipeline(stream, zlib.createGunzip(), () => {});
+  } else if (/\.zip$/i.test(name)) {
+    stream = pipeline(Readable.from(skipZipHeader(stream)), zlib.createInflateRaw(), () => {});
+  }
+  return { id, chunks: stream };
+}
+
+async function* skipBytes(chunks, count) {
+  for await (const chunk of chunks) {
+    if (count >= chunk.length) {
+      count -= chunk.length;
+      continue;
+    }
+    yield count > 0 ? chunk.subarray(count) : chunk;
+    count = 0;
+  }
+}
+
+// Yields the deflated data of a zip file's first entry, which starts right
+// after its local header. The inflater stops at the end of the entry and
+// ignores whatever follows.
+async function* skipZipHeader(chunks) {
+  let head = Buffer.alloc(0);
+  let started = false;
+
+  for await (const chunk of chunks) {
+    if (started) {
+      yield chunk;
+      continue;
+    }
+
+    head = Buffer.concat([head, chunk]);
+    if (head.length < 30) continue;
+    if (head.readUInt32LE(0) !== 0x04034b50) throw new Error('Not a zip file');
+    if (head.readUInt16LE(8) !== 8) throw new Error('Only deflated zip entries are supported');
+
+    const start = 30 + head.readUInt16LE(26) + head.readUInt16LE(28);
+    if (head.length < start) continue;
+    started = true;
+    yield head.subarray(start);
+  }
+}
+
+// =============================================================================
+// JSON ARRAYS
+// =============================================================================
+
+const WHITESPACE = new Set([' ', '\t', '\n', '\r']);
+
+// Yields the elements of a top-level JSON array ("[{...}, {...}]"). Only
+// nesting and string boundaries are tracked while scanning; each element's
+// text is handed to JSON.parse once it is complete. The first `skip` elements
+// are scanned past without being kept or parsed, for resuming part-way.
+export async function* parseJsonArray(chunks, { skip = 0 } = {}) {
+  const decoder = new TextDecoder();
+  let depth = 0;           // 1 = directly inside the top-level array
+  let inString = false;
+  let escaped = false;
+  let collecting = false;  // inside an element
+  let parts = [];          // text of the current element from earlier chunks
+  let index = 0;           // of the current element
+
+  const SKIPPED = Symbol('skipped');
+  const finish = (text) => {
+    collecting = false;
+    if (index++ < skip) return SKIPPED;
+    parts.push(text);
+    const element = JSON.parse(parts.join(''));
+    parts = [];
+    return element;
+  };
+
+  for await (const chunk of chunks) {
+    const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    let start = collecting ? 0 : -1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (depth === 0) {
+        if (char === '[') depth = 1;
+        else if (!WHITESPACE.has(char)) throw new Error('Expected a JSON array');
+        continue;
+      }
+
+      if (depth === 1 && !collecting) {
+        if (WHITESPACE.has(char) || char === ',') continue;
+        if (char === ']') return;
+        collecting = true;
+        start = i;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        if (depth === 1) {
+          // End of the array right after a scalar element
+          const element = finish(text.slice(start, i));
+          if (element !== SKIPPED) yield element;
+          return;
+        }
+        depth--;
+        if (depth === 1) {
+          const element = finish(text.slice(start, i + 1));
+          if (element !== SKIPPED) yield element;
+        }
+      } else if (char === ',' && depth === 1) {
+        const element = finish(text.slice(start, i));
+        if (element !== SKIPPED) yield element;
+      }
+    }
+
+    if (collecting && index >= skip) parts.push(text.slice(start));
+  }
+
+  if (depth > 0) throw new Error('Unexpected end of JSON array');
+}
+
+// =============================================================================
+// LINES
+// =============================================================================
+
+// Yields { text, end } for each line of a byte stream: the line without its
+// line break, and the byte offset right after the break - where reading can
+// resume later (see openDump). Offsets count from `start`, the offset of the
+// first chunk.
+export async function* readLines(chunks, { start = 0 } = {}) {
+  const decoder = new TextDecoder();
+  let rest = Buffer.alloc(0);
+  let offset = start;  // of rest[0]
+
+  for await (const chunk of chunks) {
+    const bytes = typeof chunk === 'string' ? Buffer.from(chunk) : chunk;
+    const buffer = rest.length > 0 ? Buffer.concat([rest, bytes]) : bytes;
+    let from = 0;
+
+    for (let i = buffer.indexOf(0x0a); i !== -1; i = buffer.indexOf(0x0a, from)) {
+      const end = i > from && buffer[i - 1] === 0x0d ? i - 1 : i;
+      yield { text: decoder.decode(buffer.subarray(from, end)), end: offset + i + 1 };
+      from = i + 1;
+    }
+
+    offset += from;
+    rest = buffer.subarray(from);
+  }
+
+  if (rest.length > 0) yield { text: decoder.decode(rest), end: offset + rest.length };
+}
+
+// =============================================================================
+// TAR ARCHIVES
+// =============================================================================
+
+const TAR_BLOCK = 512;
+
+const tarString = (block, start, length) => {
+  const end = block.indexOf(0, start);
+  return block.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+};
+
+// Yields { name, body } for every regular file of a tar stream. Each file is
+// buffered whole, so this suits archives of many small files.
+export async function* readTarEntries(chunks) {
+  let buffer = Buffer.alloc(0);
+  let longName = null;
+
+  for await (const chunk of chunks) {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (buffer.length >= TAR_BLOCK) {
+      const header = buffer.subarray(0, TAR_BLOCK);
+      // Two zero blocks end the archive; one is enough to know
+      if (header.every(byte => byte === 0)) return;
+
+      const size = parseInt(tarString(header, 124, 12).trim(), 8) || 0;
+      const total = TAR_BLOCK + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+      if (buffer.length < total) break;
+
+      const type = String.fromCharCode(header[156]);
+      const body = buffer.subarray(TAR_BLOCK, TAR_BLOCK + size);
+      buffer = buffer.subarray(total);
+
+      if (type === 'L') {
+        // GNU long name: the next entry's name is this entry's body
+        longName = tarString(body, 0, size);
+        continue;
+      }
+      if (type !== '0' && type !== '\0') {
+        longName = null;
+        continue;
+      }
+
+      const prefix = tarString(header, 345, 155);
+      const name = longName || (prefix ? `${prefix}/` : '') + tarString(header, 0, 100);
+      longName = null;
+      yield { name, body };
+    }
+  }
+}
@@ -0,0 +1,81 @@
+// Javari Scraper - Supabase REST Helper
+// =====================================
+// Thin wrapper around the PostgREST API exposed by Supabase, shared by the
+// scraper, state store and status endpoints. Requests go through the shared
+// host scheduler with timeouts and retries (lib/http.js), but aren't counted
+// in the sources' request metrics.
+
+import { HttpError, fetchWithRetry, registerHostLimits, withRequestMetrics } from './http.js';
+
+export const SUPABASE_CONFIG = {
+  url: process.env.SUPABASE_URL || 'https://kteobfyferrukqeolofj.supabase.co',
+  serviceKey: process.env.SUPABASE_SERVICE_KEY,
+  timeoutMs: parseInt(process.env.SUPABASE_TIMEOUT_MS) || 60000,
+  retries: 3,
+};
+
+registerHostLimits(new URL(SUPABASE_CONFIG.url).host, { rps: 20, concurrency: 4 });
+
+export function isSupabaseConfigured() {
+  return Boolean(SUPABASE_CONFIG.serviceKey);
+}
+
+// fetchWithRetry() against /rest/v1/<path>; a failed request's error carries
+// PostgREST's explanation
+async function restFetch(path, options) {
+  try {
+    return await withRequestMetrics(null, () => fetchWithRetry(`${SUPABASE_CONFIG.url}/rest/v1/${path}`, {
+      ...options,
+      timeoutMs: SUPABASE_CONFIG.timeoutMs,
+    }, SUPABASE_CONFIG.retries));
+  } catch (error) {
+    if (!(error instanceof HttpError)) throw error;
+    const detail = error.body ? ` - ${error.body}` : '';
+    throw new Error(`Supabase ${options.method} ${path.split('?')[0]}: ${error.status}${detail}`);
+  }
+}
+
+// Performs a PostgREST request against /rest/v1/<path>. Throws on non-2xx
+// responses (once retries are spent); returns parsed JSON (or null for empty bodies).
+export async function supabaseRequest(path, { method = 'GET', body, prefer } = {}) {
+  if (!SUPABASE_CONFIG.serviceKey) {
+    throw new Error('SUPABASE_SERVICE_KEY not configured');
+  }
+
+  const headers = {
+    'apikey': SUPABASE_CONFIG.serviceKey,
+    'Authorization': `Bearer ${SUPABASE_CONFIG.serviceKey}`,
+    'Content-Type': 'application/json',
+  };
+  if (prefer) headers['Prefer'] = prefer;
+
+  const response = await restFetch(path, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+// Returns the row count for a PostgREST filter (e.g. "cards?source=eq.scryfall")
+// without fetching rows. `count` is exact, planned or estimated.
+export async function supabaseCount(path, count = 'estimated') {
+  if (!SUPABASE_CONFIG.serviceKey) {
+    throw new Error('SUPABASE_SERVICE_KEY not configured');
+  }
+
+  const response = await restFetch(path, {
+    method: 'HEAD',
+    headers: {
+      'apikey': SUPABASE_CONFIG.serviceKey,
+      'Authorization': `Bearer ${SUPABASE_CONFIG.serviceKey}`,
+      'Prefer': `count=${count}`,
+    },
+  });
+
+  // Content-Range: 0-24/1234 (or */0 for no rows)
+  const total = response.headers.get('content-range')?.split('/')[1];
+  return total && total !== '*' ? parseInt(total) : null;
+}
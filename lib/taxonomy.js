@@ -0,0 +1,175 @@
+// Javari Scraper - Beverage Taxonomy
+// ==================================
+// Classifies bv_spirits records into the type -> style -> sub-style tree in
+// lib/taxonomy.json (e.g. whisky -> scotch -> single malt). The file holds:
+//
+//   types    the tree; every node lists its terms per language and may nest
+//            `styles`. Types are the allowed `category` values.
+//   ignore   phrases that only look like a drink ("ginger beer", "rum raisin")
+//   sources  per-source tag -> "type/style/sub-style" (OFF category tags, TTB
+//            class/type codes, Open Brewery DB brewery types, ...)
+//
+// Text is matched on whole words after accent folding and a plural strip, so
+// "gin" never matches "ginger" and "Bières" matches "biere". The longest
+// phrase wins at each position ("single malt scotch" over "scotch"). When the
+// matches disagree on the type the last one decides - the head noun in
+// "bourbon barrel aged stout" - and the confidence drops.
+//
+// Confidence (0-1, stored as category_confidence):
+//   1      a source tag mapping
+//   0.9    text matches that agree on the type
+//   0.5+   disagreeing matches, scaled by the share backing the chosen type
+//   0      nothing matched ('other', or 'spirits' without any text)
+
+import { createRequire } from 'node:module';
+import { normalizeText } from './resolve.js';
+
+const require = createRequire(import.meta.url);
+const TAXONOMY = require('./taxonomy.json');
+
+const TAG_CONFIDENCE = 1;
+const TERM_CONFIDENCE = 0.9;
+
+// =============================================================================
+// INDEX
+// =============================================================================
+
+function singular(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function tokenize(text) {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(' ').map(singular) : [];
+}
+
+// phrase -> path (['whisky', 'scotch']) or null for ignored phrases
+function buildIndex(taxonomy) {
+  const phrases = new Map();
+  let longest = 1;
+
+  const add = (term, path) => {
+    const words = tokenize(term);
+    if (words.length === 0) return;
+    const phrase = words.join(' ');
+    const known = phrases.get(phrase);
+    if (known !== undefined && String(known) !== String(path)) {
+      throw new Error(`Taxonomy term "${term}" maps to both ${known?.join('/') ?? 'ignore'} and ${path?.join('/') ?? 'ignore'}`);
+    }
+    phrases.set(phrase, path);
+    longest = Math.max(longest, words.length);
+  };
+
+  const walk = (nodes, parent) => {
+    for (const [name, node] of Object.entries(nodes || {})) {
+      const path = [...parent, name];
+      for (const terms of Object.values(node.terms || {})) {
+        for (const term of terms) add(term, path);
+      }
+      walk(node.styles, path);
+    }
+  };
+
+  walk(taxonomy.types, []);
+  for (const phrase of taxonomy.ignore || []) add(phrase, null);
+  return { phrases, longest };
+}
+
+function hasPath(taxonomy, path) {
+  let nodes = taxonomy.types;
+  for (const name of path) {
+    if (!nodes?.[name]) return false;
+    nodes = nodes[name].styles;
+  }
+  return true;
+}
+
+function buildSourceTags(taxonomy) {
+  const sources = {};
+  for (const [source, tags] of Object.entries(taxonomy.sources || {})) {
+    sources[source] = new Map();
+    for (const [tag, target] of Object.entries(tags)) {
+      const path = target.split('/');
+      if (!hasPath(taxonomy, path)) throw new Error(`Taxonomy ${source} tag "${tag}" maps to unknown ${target}`);
+      sources[source].set(tag.toLowerCase(), path);
+    }
+  }
+  return sources;
+}
+
+const INDEX = buildIndex(TAXONOMY);
+const SOURCE_TAGS = buildSourceTags(TAXONOMY);
+
+export const CATEGORY_TYPES = Object.keys(TAXONOMY.types);
+
+// =============================================================================
+// MATCHING
+// =============================================================================
+
+// Paths of the terms in `text`, left to right, longest phrase first
+function findTerms(text) {
+  const words = tokenize(text);
+  const found = [];
+
+  for (let i = 0; i < words.length;) {
+    let length = Math.min(INDEX.longest, words.length - i);
+    while (length > 0 && !INDEX.phrases.has(words.slice(i, i + length).join(' '))) length--;
+
+    if (length === 0) {
+      i++;
+      continue;
+    }
+    const path = INDEX.phrases.get(words.slice(i, i + length).join(' '));
+    if (path) found.push(path);
+    i += length;
+  }
+  return found;
+}
+
+const toResult = (path, confidence) => ({
+  category: path[0],
+  style: path[1] || null,
+  sub_style: path[2] || null,
+  confidence: Math.round(confidence * 100) / 100,
+});
+
+// Deepest path; `later` decides ties
+const deepest = (paths, later) => paths.reduce((best, path) => (
+  path.length > best.length || (later && path.length === best.length) ? path : best
+));
+
+// Returns { category, style, sub_style, confidence } for a record's source,
+// its category tags (source-specific codes or labels) and free text (a class
+// name, a style, ...). Tags are listed general to specific, as OFF does.
+export function classify({ source, tags, text } = {}) {
+  const tagList = [].concat(tags ?? []).filter(Boolean).map(String);
+  // Tags are text too: "en:bourbon-barrel-stouts" -> "bourbon barrel stouts"
+  const texts = [
+    ...[].concat(text ?? []),
+    ...tagList.map(tag => tag.replace(/^[a-z]{2,3}:/, '')),
+  ].filter(Boolean);
+  const matches = texts.flatMap(findTerms);
+
+  const known = SOURCE_TAGS[source];
+  const mapped = known ? tagList.map(tag => known.get(tag.toLowerCase())).filter(Boolean) : [];
+  if (mapped.length > 0) {
+    // A mapped "whisky" still takes "scotch" from an unmapped tag or the text
+    const path = deepest(mapped, true);
+    const finer = matches.filter(found => found.length > path.length && path.every((name, i) => found[i] === name));
+    return toResult(finer.length > 0 ? deepest(finer, false) : path, TAG_CONFIDENCE);
+  }
+
+  if (matches.length === 0) {
+    return { category: texts.length > 0 ? 'other' : 'spirits', style: null, sub_style: null, confidence: 0 };
+  }
+
+  const type = matches[matches.length - 1][0];
+  const agreeing = matches.filter(path => path[0] === type);
+  const confidence = agreeing.length === matches.length
+    ? TERM_CONFIDENCE
+    : 0.5 + (TERM_CONFIDENCE - 0.5) * (agreeing.length / matches.length);
+
+  return toResult(deepest(agreeing, false), confidence);
+}
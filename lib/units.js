@@ -0,0 +1,106 @@
+// Javari Scraper - Unit Normalization
+// ===================================
+// Parses the alcohol and volume formats sources report and converts them to
+// canonical units, keeping what the source said alongside:
+//
+//   parseAbv     40, "40%", "12,5 % vol", "ALC. 5.0% BY VOL", "40-45%",
+//                "80 proof" (US: ABV x 2), OFF g/100g      -> { abv, raw }
+//   parseVolume  "750 ml", "70cl", "1.75L", "12 fl oz", "6 x 330 ml",
+//                "1 gal"                                     -> { ml, raw }
+//
+// ABV is % by volume; ranges give their midpoint. Volumes are millilitres
+// per container. A value that can't be parsed or lands outside the plausible
+// range comes back null - with its raw text - rather than as a wrong number.
+
+// Plausible canonical values
+const ABV_RANGE = [0, 96]; // rectified spirit tops out around 96%
+const VOLUME_RANGE = [1, 60000]; // a miniature to a large keg
+
+// Grams of ethanol per 100 g -> % by volume, taking the drink as dense as
+// water (close enough for beer and wine; spirits read ~5% high)
+const ETHANOL_DENSITY = 0.789;
+
+// Matched at the start of the text after the number
+const VOLUME_UNITS = [
+  [/^(ml|millilit(re|er)s?)\b/, 1],
+  [/^(cl|centilit(re|er)s?)\b/, 10],
+  [/^(dl|decilit(re|er)s?)\b/, 100],
+  [/^(l|lt|ltr|lit(re|er)s?)\b/, 1000],
+  [/^(fl\.? ?oz|fluid ounces?|oz|ounces?)\b/, 29.5735],
+  [/^(pt|pints?)\b/, 473.176],
+  [/^(qt|quarts?)\b/, 946.353],
+  [/^(gal|gallons?)\b/, 3785.41],
+];
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+const within = (value, [min, max]) => value >= min && value <= max;
+
+function rawText(value, unit) {
+  if (value === null || value === undefined || value === '') return null;
+  return [String(value).trim(), unit].filter(Boolean).join(' ');
+}
+
+// "12,5" -> 12.5; the first number or range in the text: { value, rest }
+function readNumber(text) {
+  const match = text.replace(/(\d),(\d)/g, '$1.$2').match(/(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?/);
+  if (!match) return null;
+  const low = parseFloat(match[1]);
+  const high = match[2] === undefined ? low : parseFloat(match[2]);
+  return { value: (low + high) / 2, rest: text.slice(match.index + match[0].length) };
+}
+
+// =============================================================================
+// ALCOHOL
+// =============================================================================
+
+const NUMBER_OR_RANGE = String.raw`\d+(?:\.\d+)?(?:\s*(?:-|–|to)\s*\d+(?:\.\d+)?)?`;
+const PERCENT = new RegExp(`(${NUMBER_OR_RANGE})\\s*%`);
+const PROOF = new RegExp(`(${NUMBER_OR_RANGE})\\s*°?\\s*proof\\b`);
+
+// US labels often give both ("40% ALC/VOL (80 PROOF)"): the percentage wins,
+// and only the number in front of "proof" is proof
+function readAbvNumber(text) {
+  const percent = text.match(PERCENT);
+  if (percent) return readNumber(percent[1]);
+  const proof = text.match(PROOF);
+  if (proof) return { ...readNumber(proof[1]), proof: true };
+  return readNumber(text);
+}
+
+// `unit` is a separately reported unit, e.g. OFF's alcohol_unit ('% vol', 'g')
+export function parseAbv(value, { unit } = {}) {
+  const raw = rawText(value, unit);
+  if (raw === null) return { abv: null, raw: null };
+
+  const text = raw.toLowerCase().replace(/(\d),(\d)/g, '$1.$2');
+  const number = typeof value === 'number' && !unit ? { value, rest: '' } : readAbvNumber(text);
+  if (!number || !Number.isFinite(number.value)) return { abv: null, raw };
+
+  let abv = number.value;
+  if (number.proof) abv /= 2;
+  else if (/^g\b|g\s*\/\s*100|grams?/.test(`${unit || ''} ${number.rest}`.trim().toLowerCase())) abv /= ETHANOL_DENSITY;
+
+  abv = round(abv, 2);
+  return { abv: within(abv, ABV_RANGE) ? abv : null, raw };
+}
+
+// =============================================================================
+// VOLUME
+// =============================================================================
+
+export function parseVolume(value, { unit } = {}) {
+  const raw = rawText(value, unit);
+  if (raw === null) return { ml: null, raw: null };
+
+  // "6 x 330 ml" is six 330 ml containers
+  const text = raw.toLowerCase().replace(/^\s*\d+\s*[x×*]\s*/, '');
+  const number = readNumber(text);
+  if (!number) return { ml: null, raw };
+
+  const unitText = number.rest.trim();
+  const factor = VOLUME_UNITS.find(([pattern]) => pattern.test(unitText))?.[1];
+  if (!factor) return { ml: null, raw };
+
+  const ml = round(number.value * factor, 1);
+  return { ml: within(ml, VOLUME_RANGE) ? ml : null, raw };
+}
@@ -0,0 +1,9 @@
+// Javari Scraper - Version
+// ========================
+// Single source for the service version reported by /api and /api/status.
+
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+export const VERSION = require('../package.json').version;
@@ -0,0 +1,162 @@
+// Javari Scraper - Webhooks
+// =========================
+// Tells downstream apps what a run did by POSTing events to every URL in
+// WEBHOOK_URLS (comma-separated):
+//
+//   run.completed        a run finished (status completed or partial)
+//   run.failed           every source of a run failed
+//   records.created      a source inserted rows  (data.count)
+//   records.updated      a source updated rows   (data.count)
+//   source.zero_results  a source fetched content and scraped nothing from it
+//
+// WEBHOOK_EVENTS limits which events are sent (comma-separated, default all).
+// Dry runs send nothing.
+//
+// Body: { id, event, created_at, data }. With WEBHOOK_SECRET set, every
+// delivery is signed: X-Javari-Signature is "sha256=" + the hex HMAC-SHA256 of
+// "<X-Javari-Timestamp>.<raw body>" (see verifySignature). Failed deliveries
+// are retried with backoff (network errors, timeouts, 429 and 5xx only), and
+// every delivery is logged to `webhook_deliveries` when Supabase is
+// configured:
+//
+//   create table webhook_deliveries (
+//     id           bigint generated always as identity primary key,
+//     delivery_id  uuid not null,
+//     event_id     uuid not null,
+//     event        text not null,
+//     url          text not null,          -- host + path only
+//     status       text not null,          -- delivered | failed
+//     http_status  integer,
+//     attempts     integer not null,
+//     error        text,
+//     duration_ms  integer,
+//     payload      jsonb,
+//     created_at   timestamptz not null default now()
+//   );
+//
+// Like the run ledger, delivery is best-effort: nothing here fails a run.
+
+import crypto from 'node:crypto';
+import { fetchWithRetry } from './http.js';
+import { isSupabaseConfigured, supabaseRequest } from './supabase.js';
+
+export const WEBHOOK_EVENTS = [
+  'run.completed',
+  'run.failed',
+  'records.created',
+  'records.updated',
+  'source.zero_results',
+];
+
+const DELIVERIES_TABLE = 'webhook_deliveries';
+
+const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const WEBHOOK_CONFIG = {
+  urls: list(process.env.WEBHOOK_URLS),
+  events: process.env.WEBHOOK_EVENTS ? list(process.env.WEBHOOK_EVENTS) : WEBHOOK_EVENTS,
+  secret: process.env.WEBHOOK_SECRET || null,
+  retries: parseInt(process.env.WEBHOOK_RETRIES) || 4,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+};
+
+export function isWebhookConfigured() {
+  return WEBHOOK_CONFIG.urls.length > 0;
+}
+
+// =============================================================================
+// SIGNATURES
+// =============================================================================
+
+export function signPayload(body, timestamp, secret = WEBHOOK_CONFIG.secret) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`);
+  return `sha256=${hmac.digest('hex')}`;
+}
+
+// For receivers: checks the signature headers against the raw request body.
+// Deliveries older than `toleranceMs` are refused so they can't be replayed.
+export function verifySignature(body, headers, secret, toleranceMs = 5 * 60 * 1000) {
+  const get = (name) => typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  const signature = get('x-javari-signature');
+  const timestamp = get('x-javari-timestamp');
+  if (!signature || !timestamp) return false;
+  if (Math.abs(Date.now() - parseInt(timestamp) * 1000) > toleranceMs) return false;
+
+  const expected = Buffer.from(signPayload(body, timestamp, secret));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// =============================================================================
+// DELIVERY
+// =============================================================================
+
+// host + path only: webhook URLs often carry tokens
+function describeUrl(url) {
+  const { host, pathname } = new URL(url);
+  return `${host}${pathname}`;
+}
+
+async function logDelivery(delivery) {
+  if (!isSupabaseConfigured()) return;
+  try {
+    await supabaseRequest(DELIVERIES_TABLE, { method: 'POST', prefer: 'return=minimal', body: [delivery] });
+  } catch (error) {
+    console.error('[Webhooks] Could not log delivery:', error.message);
+  }
+}
+
+async function deliver(url, payload) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const deliveryId = crypto.randomUUID();
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'JavariScraper/1.0 (webhooks)',
+    'X-Javari-Event': payload.event,
+    'X-Javari-Delivery': deliveryId,
+    'X-Javari-Timestamp': timestamp,
+  };
+  if (WEBHOOK_CONFIG.secret) headers['X-Javari-Signature'] = signPayload(body, timestamp);
+
+  const started = Date.now();
+  const delivery = {
+    delivery_id: deliveryId,
+    event_id: payload.id,
+    event: payload.event,
+    url: describeUrl(url),
+    payload,
+  };
+
+  try {
+    const response = await fetchWithRetry(url, {
+      method: 'POST',
+      headers,
+      body,
+      timeoutMs: WEBHOOK_CONFIG.timeoutMs,
+    }, WEBHOOK_CONFIG.retries);
+    await response.body?.cancel();
+    Object.assign(delivery, { status: 'delivered', http_status: response.status, attempts: response.attempts, error: null });
+  } catch (error) {
+    console.error(`[Webhooks] ${payload.event} to ${delivery.url} failed:`, error.message);
+    Object.assign(delivery, { status: 'failed', http_status: error.status ?? null, attempts: error.attempts ?? 1, error: error.message });
+  }
+
+  delivery.duration_ms = Date.now() - started;
+  await logDelivery(delivery);
+  return delivery;
+}
+
+// Sends one event to every configured URL; resolves with the deliveries once
+// all of them succeeded or gave up (never rejects)
+export async function emitEvent(event, data) {
+  if (!isWebhookConfigured() || !WEBHOOK_CONFIG.events.includes(event)) return [];
+
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    created_at: new Date().toISOString(),
+    data,
+  };
+  return Promise.all(WEBHOOK_CONFIG.urls.map(url => deliver(url, payload)));
+}
@@ -0,0 +1,160 @@
+import './helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, test } from 'node:test';
+import handler from '../api/scrape.js';
+import { signQuery } from '../lib/auth.js';
+import { loadCassette } from './helpers/cassette.js';
+import { bearer, installTransport, invoke } from './helpers/http.js';
+import { createPostgrest } from './helpers/postgrest.js';
+
+const cassette = loadCassette('handler');
+const postgrest = createPostgrest();
+let restore;
+
+before(() => { restore = installTransport({ cassette, postgrest }); });
+after(() => { restore(); cassette.save(); });
+beforeEach(() => postgrest.reset());
+
+const signed = (scope, query) => signQuery({ ...query, scope, expires: String(Math.floor(Date.now() / 1000) + 600) });
+
+// =============================================================================
+// REQUEST VALIDATION
+// =============================================================================
+
+test('OPTIONS answers the CORS preflight', async () => {
+  const { status, headers } = await invoke(handler, { method: 'OPTIONS' });
+  assert.equal(status, 200);
+  assert.equal(headers['access-control-allow-origin'], '*');
+});
+
+test('requests without credentials are refused', async () => {
+  const { status, headers, body } = await invoke(handler, { query: { type: 'spirits', source: 'punkapi' } });
+  assert.equal(status, 401);
+  assert.match(headers['www-authenticate'], /^Bearer/);
+  assert.equal(body.error, 'Unauthorized');
+});
+
+test('a wrong bearer token is refused', async () => {
+  const { status, body } = await invoke(handler, { query: { type: 'spirits', source: 'punkapi' }, headers: bearer('nope') });
+  assert.equal(status, 401);
+  assert.equal(body.message, 'Invalid bearer token');
+});
+
+test('unknown types and sources list the valid ones', async () => {
+  const type = await invoke(handler, { query: { type: 'wines', source: 'all' }, headers: bearer() });
+  assert.equal(type.status, 400);
+  assert.ok(type.body.validTypes.includes('spirits'));
+
+  const source = await invoke(handler, { query: { type: 'cards', source: 'yugioh' }, headers: bearer() });
+  assert.equal(source.status, 400);
+  assert.deepEqual(source.body.validSources, ['pokemon', 'scryfall']);
+});
+
+test('scopes are enforced: uploads need scrape, admin-only sources need admin', async () => {
+  const upload = await invoke(handler, { query: signed('dry_run', { type: 'spirits', source: 'punkapi' }) });
+  assert.equal(upload.status, 403);
+  assert.equal(upload.body.requiredScope, 'scrape');
+
+  const admin = await invoke(handler, { query: signed('scrape', { type: 'spirits', source: 'ttb_cola' }) });
+  assert.equal(admin.status, 403);
+  assert.equal(admin.body.requiredScope, 'admin');
+});
+
+test('unknown modes and sinks are refused', async () => {
+  const mode = await invoke(handler, { query: { type: 'spirits', source: 'punkapi', mode: 'turbo' }, headers: bearer() });
+  assert.equal(mode.status, 400);
+  assert.deepEqual(mode.body.validModes, ['full', 'incremental']);
+
+  const sink = await invoke(handler, { query: { type: 'spirits', source: 'punkapi', sink: 'ftp' }, headers: bearer() });
+  assert.equal(sink.status, 400);
+  assert.ok(sink.body.validSinks.includes('jsonl'));
+});
+
+// =============================================================================
+// RUNS
+// =============================================================================
+
+test('a run upserts rows, records the run and reports unchanged rows next time', async () => {
+  const first = await invoke(handler, { query: { type: 'spirits', source: 'punkapi' }, headers: bearer() });
+
+  assert.equal(first.status, 200);
+  assert.equal(first.body.sources.punkapi.done, true);
+  assert.equal(first.body.totalInserted, 2);
+  assert.deepEqual(postgrest.tables.bv_spirits.map(row => row.name).sort(), ['Buzz', 'Punk IPA 2007 - 2010']);
+  assert.ok(postgrest.tables.bv_spirits.every(row => row.canonical_id && row.match_keys.length > 0));
+
+  const [run] = postgrest.tables.scrape_runs;
+  assert.equal(run.id, first.body.runId);
+  assert.equal(run.status, 'completed');
+
+  const second = await invoke(handler, { query: { type: 'spirits', source: 'punkapi' }, headers: bearer() });
+  assert.equal(second.body.totalInserted, 0);
+  assert.equal(second.body.totalUnchanged, 2);
+});
+
+test('rows failing validation are quarantined, the rest uploaded', async () => {
+  // Resume from the saved cursor so only the last letters are fetched
+  postgrest.tables.scraper_state = [{ key: 'spirits:cocktaildb', cursor: { letter: 'x' } }];
+
+  const { status, body } = await invoke(handler, { query: { type: 'spirits', source: 'cocktaildb', resume: 'true' }, headers: bearer() });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.sources.cocktaildb.resumedFrom, { letter: 'x' });
+  assert.equal(body.totalRejected, 1);
+  assert.deepEqual(body.sources.cocktaildb.rejectReasons, { 'name: required': 1 });
+  assert.deepEqual(postgrest.tables.bv_spirits.map(row => row.name).sort(), ['Xanadu', 'Yellow Bird']);
+
+  const [quarantined] = postgrest.tables.scrape_quarantine;
+  assert.deepEqual(quarantined.reasons, ['name: required']);
+  assert.equal(quarantined.external_id, '17222');
+});
+
+test('re-running a source whose rows have no brand or barcode updates the same products', async () => {
+  for (let run = 0; run < 2; run++) {
+    postgrest.tables.scraper_state = [{ key: 'spirits:cocktaildb', cursor: { letter: 'x' } }];
+    const { status } = await invoke(handler, { query: { type: 'spirits', source: 'cocktaildb', resume: 'true' }, headers: bearer() });
+    assert.equal(status, 200);
+  }
+
+  assert.deepEqual(postgrest.tables.bv_spirits.map(row => row.name).sort(), ['Xanadu', 'Yellow Bird']);
+  assert.ok(postgrest.tables.bv_spirits.every(row => row.match_keys[0].startsWith('src:cocktaildb|')));
+});
+
+test('dry runs scrape without writing rows or moving the cursor', async () => {
+  const { status, body } = await invoke(handler, { query: signed('dry_run', { type: 'spirits', source: 'punkapi', skip_upload: 'true' }) });
+
+  assert.equal(status, 200);
+  assert.equal(body.sink, null);
+  assert.equal(body.totalScraped, 2);
+  assert.equal(postgrest.tables.bv_spirits, undefined);
+  assert.equal(postgrest.tables.scraper_state, undefined);
+});
+
+test('HTTP validators saved by a run on another sink stay with that sink', async () => {
+  const validatorKeys = () => postgrest.tables.scraper_state.map(row => row.key).filter(key => key.includes('http:'));
+  const page1 = 'http:https://api.openbrewerydb.org/v1/breweries?page=1&per_page=200';
+
+  const jsonl = await invoke(handler, { query: { type: 'spirits', source: 'brewery', sink: 'jsonl' }, headers: bearer() });
+  assert.equal(jsonl.status, 200);
+  assert.equal(jsonl.body.totalScraped, 2);
+  assert.deepEqual(validatorKeys(), [`jsonl/${page1}`]);
+
+  // Supabase never got those rows, so its run fetches them unconditionally
+  const supabase = await invoke(handler, { query: { type: 'spirits', source: 'brewery' }, headers: bearer() });
+  assert.equal(supabase.body.totalInserted, 2);
+  assert.deepEqual(validatorKeys(), [`jsonl/${page1}`, page1]);
+});
+
+test('a run on another sink keeps its own cursor', async () => {
+  postgrest.tables.scraper_state = [{ key: 'spirits:brewery', cursor: { page: 9 } }];
+
+  const { status, body } = await invoke(handler, { query: { type: 'spirits', source: 'brewery', sink: 'jsonl', resume: 'true' }, headers: bearer() });
+  assert.equal(status, 200);
+  assert.equal(body.sources.brewery.resumedFrom, null);
+  assert.equal(body.totalScraped, 2);
+
+  const [supabase, ...others] = postgrest.tables.scraper_state;
+  assert.deepEqual(supabase, { key: 'spirits:brewery', cursor: { page: 9 } });
+  assert.ok(others.length > 0);
+  assert.ok(others.every(row => row.key.startsWith('jsonl/')), others.map(row => row.key).join(', '));
+});
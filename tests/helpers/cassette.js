@@ -0,0 +1,117 @@
+// Javari Scraper - Recorded Upstream Responses
+// ============================================
+// A cassette is tests/fixtures/<name>.json: the HTTP exchanges one test makes
+// with upstream services,
+//
+//   [{ method, url, status, headers: [[name, value], ...], json | body | base64 }]
+//
+// (`json` for JSON bodies so fixtures stay readable, `body` for other text,
+// `base64` for binary). In replay mode (the default) each request is answered
+// with the next unused exchange recorded for its method and URL - the last
+// one repeats once they run out - and a request nobody recorded fails the
+// test. With RECORD_FIXTURES=1 requests go to the network and save() writes
+// what came back, so fixtures can be refreshed from the live services.
+//
+// Credentials never reach a fixture: SECRET_PARAMS are redacted from recorded
+// URLs, and requests are matched on the redacted URL.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+const RECORDING = process.env.RECORD_FIXTURES === '1';
+const SECRET_PARAMS = ['client_id', 'client_secret', 'api_key', 'key', 'token'];
+
+function redact(url) {
+  const parsed = new URL(url);
+  for (const name of SECRET_PARAMS) {
+    if (parsed.searchParams.has(name)) parsed.searchParams.set(name, 'REDACTED');
+  }
+  return parsed.href;
+}
+
+const keyOf = (method, url) => `${(method || 'GET').toUpperCase()} ${redact(url)}`;
+
+function toResponse(exchange) {
+  const body = exchange.json !== undefined ? JSON.stringify(exchange.json)
+    : exchange.base64 !== undefined ? Buffer.from(exchange.base64, 'base64')
+    : exchange.body ?? null;
+  const headers = new Headers(exchange.headers || []);
+  if (exchange.json !== undefined && !headers.has('content-type')) headers.set('content-type', 'application/json');
+
+  const response = new Response([204, 304].includes(exchange.status) ? null : body, {
+    status: exchange.status,
+    headers,
+  });
+  Object.defineProperty(response, 'url', { value: exchange.url });
+  return response;
+}
+
+async function toExchange(method, url, response) {
+  const exchange = {
+    method,
+    url: redact(url),
+    status: response.status,
+    headers: [...response.headers].filter(([name]) => !['content-encoding', 'content-length', 'transfer-encoding'].includes(name)),
+  };
+  const type = response.headers.get('content-type') || '';
+  const bytes = Buffer.from(await response.arrayBuffer());
+
+  if (/json/.test(type)) {
+    try {
+      exchange.json = JSON.parse(bytes.toString('utf8'));
+      return exchange;
+    } catch {
+      // recorded as text below
+    }
+  }
+  if (/^text\/|xml|html|json/.test(type) || bytes.length === 0) exchange.body = bytes.toString('utf8');
+  else exchange.base64 = bytes.toString('base64');
+  return exchange;
+}
+
+// Returns { fetch, requests, save }. `fetch` is a transport for
+// setTransport(); `requests` lists "METHOD url" of everything it was asked.
+export function loadCassette(name) {
+  const file = path.join(FIXTURES_DIR, `${name}.json`);
+  const recorded = RECORDING || !fs.existsSync(file) ? [] : JSON.parse(fs.readFileSync(file, 'utf8'));
+  const requests = [];
+
+  const byKey = new Map();
+  for (const exchange of recorded) {
+    const key = keyOf(exchange.method, exchange.url);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(exchange);
+  }
+
+  return {
+    requests,
+
+    async fetch(url, options = {}) {
+      const method = (options.method || 'GET').toUpperCase();
+      const key = keyOf(method, url);
+      requests.push(key);
+
+      if (RECORDING) {
+        const response = await fetch(url, options);
+        const exchange = await toExchange(method, url, response);
+        recorded.push(exchange);
+        return toResponse(exchange);
+      }
+
+      const queue = byKey.get(key);
+      if (!queue) {
+        throw new Error(`No recorded response in ${name}.json for ${key} (record with RECORD_FIXTURES=1)`);
+      }
+      return toResponse(queue.length > 1 ? queue.shift() : queue[0]);
+    },
+
+    save() {
+      if (!RECORDING) return;
+      fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+      fs.writeFileSync(file, `${JSON.stringify(recorded, null, 2)}\n`);
+    },
+  };
+}
@@ -0,0 +1,37 @@
+// Javari Scraper - Test Environment
+// =================================
+// Imported first by every test file: modules read their configuration from
+// the environment once, at import time. Tests never touch the real services -
+// Supabase points at the PostgREST stand-in (helpers/postgrest.js) and
+// upstream hosts are answered from cassettes (helpers/cassette.js).
+
+import os from 'node:os';
+import path from 'node:path';
+
+const scratch = path.join(os.tmpdir(), `javari-scraper-test-${process.pid}`);
+
+Object.assign(process.env, {
+  SCRAPER_SECRET: 'test-secret',
+  SUPABASE_URL: 'http://postgrest.test',
+  SUPABASE_SERVICE_KEY: 'test-service-key',
+  SCRAPER_SINK: 'supabase',
+  SCRAPER_OUTPUT_DIR: scratch,
+  UNTAPPD_CLIENT_ID: 'test-client-id',
+  UNTAPPD_CLIENT_SECRET: 'test-client-secret',
+  UNTAPPD_SEARCH_TERMS: 'stout',
+  OPENLIBRARY_SUBJECTS: 'fantasy',
+  // Written by the tests that read it
+  OPENLIBRARY_WORKS_DUMP: path.join(scratch, 'ol_dump_works.txt.gz'),
+  OPENLIBRARY_EDITIONS_DUMP: path.join(scratch, 'ol_dump_editions.txt'),
+  WEBHOOK_URLS: '',
+  // Recorded responses need no politeness delays
+  HTTP_HOST_LIMITS: JSON.stringify(Object.fromEntries([
+    'www.ttbonline.gov', 'world.openfoodfacts.org', 'api.openbrewerydb.org', 'api.punkapi.com',
+    'www.thecocktaildb.com', 'api.untappd.com', 'api.pokemontcg.io', 'api.scryfall.com',
+    'openlibrary.org', 'gutendex.com', 'postgrest.test',
+  ].map(host => [host, { rps: 1000 }]))),
+});
+
+for (const name of ['CRON_SECRET', 'SCRYFALL_BULK_TYPE', 'OPENLIBRARY_MODE', 'GUTENBERG_MODE', 'SPIRIT_PRECEDENCE', 'TTB_START_DATE']) {
+  delete process.env[name];
+}
@@ -0,0 +1,42 @@
+// Javari Scraper - Test Transport and Handler Calls
+// =================================================
+
+import { setTransport } from '../../lib/http.js';
+
+// Routes every request: the PostgREST stand-in's host to it, anything else
+// to the cassette. Returns a function restoring the previous transport.
+export function installTransport({ postgrest, cassette }) {
+  const previous = setTransport((url, options) => {
+    if (postgrest && new URL(url).host === postgrest.host) return postgrest.fetch(url, options);
+    if (cassette) return cassette.fetch(url, options);
+    throw new Error(`Unexpected request to ${url}`);
+  });
+  return () => setTransport(previous);
+}
+
+// Calls a Vercel-style handler with a minimal req/res pair; resolves with
+// { status, headers, body }
+export async function invoke(handler, { method = 'GET', query = {}, headers = {} } = {}) {
+  const result = { status: null, headers: {}, body: undefined };
+  const res = {
+    setHeader(name, value) {
+      result.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      result.status = code;
+      return res;
+    },
+    json(body) {
+      result.body = JSON.parse(JSON.stringify(body));
+      return res;
+    },
+    end() {
+      return res;
+    },
+  };
+
+  await handler({ method, query, headers }, res);
+  return result;
+}
+
+export const bearer = (token = process.env.SCRAPER_SECRET) => ({ authorization: `Bearer ${token}` });
@@ -0,0 +1,27 @@
+// Javari Scraper - Source Page Helpers
+// ====================================
+
+// Drains a source generator: { pages, records } with every page it yielded
+// and their records in order
+export async function collectPages(generator, maxPages = 50) {
+  const pages = [];
+  for await (const page of generator) {
+    pages.push(page);
+    if (pages.length >= maxPages) throw new Error(`Source yielded more than ${maxPages} pages`);
+  }
+  return { pages, records: pages.flatMap(page => page.records) };
+}
+
+// An in-memory { get, set } store, standing in for the scraper_state store
+export function memoryStore(initial = {}) {
+  const values = new Map(Object.entries(initial));
+  return {
+    values,
+    async get(key) {
+      return values.has(key) ? values.get(key) : null;
+    },
+    async set(key, value) {
+      values.set(key, value);
+    },
+  };
+}
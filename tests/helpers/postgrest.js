@@ -0,0 +1,211 @@
+// Javari Scraper - PostgREST Stand-in
+// ===================================
+// An in-memory imitation of the slice of PostgREST that lib/supabase.js and
+// the Supabase sink use, served as a transport (see setTransport in
+// lib/http.js) for SUPABASE_URL=http://postgrest.test:
+//
+//   GET     filters eq, neq, gt, gte, lt, lte, in.(...), ov.{...}, cs.{...},
+//           is.null, or=(col.op.value,...); select=a,b; order=col.asc|desc;
+//           limit
+//   HEAD    Prefer: count=... -> Content-Range
+//   POST    insert; on_conflict + Prefer: resolution=merge-duplicates upserts,
+//           resolution=ignore-duplicates skips known rows;
+//           Prefer: return=representation returns the rows
+//   PATCH   updates the filtered rows
+//   DELETE  removes the filtered rows
+//
+// Tables are created on first use and every row gets an identity `id`.
+// Filters may name JSON paths (col->a->>b).
+
+const REST_PREFIX = '/rest/v1/';
+
+// 'a,"b,c",d' -> ['a', 'b,c', 'd']
+function parseList(text) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '\\') current += text[++i];
+      else if (char === '"') quoted = false;
+      else current += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (text.length > 0) values.push(current);
+  return values;
+}
+
+const compare = (a, b) => (a > b) - (a < b);
+const sameValue = (value, text) => value !== null && value !== undefined && String(value) === text;
+
+// 'source_results->punkapi->>error' reads row.source_results.punkapi.error
+function columnValue(row, column) {
+  const [name, ...path] = column.split(/->>?/);
+  return path.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), row[name]);
+}
+
+function matches(row, column, filter) {
+  const dot = filter.indexOf('.');
+  const operator = filter.slice(0, dot);
+  const operand = filter.slice(dot + 1);
+  const value = columnValue(row, column);
+
+  switch (operator) {
+    case 'eq': return sameValue(value, operand);
+    case 'neq': return !sameValue(value, operand);
+    case 'gt': return value != null && compare(String(value), operand) > 0;
+    case 'gte': return value != null && compare(String(value), operand) >= 0;
+    case 'lt': return value != null && compare(String(value), operand) < 0;
+    case 'lte': return value != null && compare(String(value), operand) <= 0;
+    case 'in': return parseList(operand.slice(1, -1)).some(item => sameValue(value, item));
+    case 'ov': return Array.isArray(value) && parseList(operand.slice(1, -1)).some(item => value.includes(item));
+    case 'cs': return Array.isArray(value) && parseList(operand.slice(1, -1)).every(item => value.includes(item));
+    case 'is': return operand === 'null' ? value == null : String(value) === operand;
+    default: throw new Error(`Unsupported filter ${filter}`);
+  }
+}
+
+const RESERVED = new Set(['select', 'order', 'limit', 'offset', 'on_conflict']);
+
+function filterRows(rows, params) {
+  let found = rows;
+  for (const [column, filter] of params) {
+    if (RESERVED.has(column)) continue;
+    if (column === 'or') {
+      const conditions = parseList(filter.slice(1, -1)).map(condition => {
+        const dot = condition.indexOf('.');
+        return [condition.slice(0, dot), condition.slice(dot + 1)];
+      });
+      found = found.filter(row => conditions.some(([name, condition]) => matches(row, name, condition)));
+      continue;
+    }
+    found = found.filter(row => matches(row, column, filter));
+  }
+  return found;
+}
+
+function shape(rows, params) {
+  let result = [...rows];
+
+  const order = params.get('order');
+  if (order) {
+    const [column, direction] = order.split('.');
+    result.sort((a, b) => compare(a[column] ?? '', b[column] ?? '') * (direction === 'desc' ? -1 : 1));
+  }
+  const limit = parseInt(params.get('limit'));
+  if (limit >= 0) result = result.slice(0, limit);
+
+  const select = params.get('select');
+  if (select && select !== '*') {
+    const columns = select.split(',');
+    result = result.map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? null])));
+  }
+  return result;
+}
+
+const json = (status, body, headers = {}) => new Response(body === undefined ? null : JSON.stringify(body), {
+  status,
+  headers: { 'content-type': 'application/json', ...headers },
+});
+
+// Returns { host, tables, requests, fetch, reset }. `tables` maps table name
+// -> rows and may be seeded or inspected directly.
+export function createPostgrest({ host = 'postgrest.test', tables = {} } = {}) {
+  const requests = [];
+  let nextId = 1;
+
+  const table = (name) => {
+    tables[name] ||= [];
+    return tables[name];
+  };
+
+  return {
+    host,
+    tables,
+    requests,
+
+    reset() {
+      for (const name of Object.keys(tables)) delete tables[name];
+      requests.length = 0;
+    },
+
+    async fetch(url, options = {}) {
+      const parsed = new URL(url);
+      const method = (options.method || 'GET').toUpperCase();
+      const headers = new Headers(options.headers);
+      requests.push(`${method} ${parsed.pathname.slice(REST_PREFIX.length)}${parsed.search}`);
+
+      if (!headers.get('apikey')) return json(401, { message: 'No API key found in request' });
+      if (!parsed.pathname.startsWith(REST_PREFIX)) return json(404, { message: 'Not found' });
+
+      const name = decodeURIComponent(parsed.pathname.slice(REST_PREFIX.length));
+      const rows = table(name);
+      const params = parsed.searchParams;
+      const prefer = headers.get('prefer') || '';
+
+      switch (method) {
+        case 'GET':
+          return json(200, shape(filterRows(rows, params), params));
+
+        case 'HEAD': {
+          const count = filterRows(rows, params).length;
+          return new Response(null, {
+            status: 200,
+            headers: { 'content-range': count > 0 ? `0-${count - 1}/${count}` : '*/0' },
+          });
+        }
+
+        case 'POST': {
+          const body = JSON.parse(options.body);
+          const conflict = params.get('on_conflict')?.split(',');
+          const merge = conflict && prefer.includes('resolution=merge-duplicates');
+          const ignore = conflict && prefer.includes('resolution=ignore-duplicates');
+          const written = [];
+
+          for (const incoming of Array.isArray(body) ? body : [body]) {
+            const row = JSON.parse(JSON.stringify(incoming));
+            const existing = conflict && rows.find(other => conflict.every(column => sameValue(other[column], String(row[column]))));
+            if (existing && ignore) continue;
+            if (existing && !merge) {
+              return json(409, { code: '23505', message: `duplicate key value violates unique constraint on ${conflict.join(',')}` });
+            }
+            if (existing) {
+              Object.assign(existing, row);
+              written.push(existing);
+            } else {
+              const inserted = { id: nextId++, ...row };
+              rows.push(inserted);
+              written.push(inserted);
+            }
+          }
+          return prefer.includes('return=representation') ? json(201, written) : new Response(null, { status: 201 });
+        }
+
+        case 'PATCH': {
+          const changes = JSON.parse(options.body);
+          const matched = filterRows(rows, params);
+          for (const row of matched) Object.assign(row, JSON.parse(JSON.stringify(changes)));
+          return prefer.includes('return=representation') ? json(200, matched) : new Response(null, { status: 204 });
+        }
+
+        case 'DELETE': {
+          const matched = new Set(filterRows(rows, params));
+          tables[name] = rows.filter(row => !matched.has(row));
+          return new Response(null, { status: 204 });
+        }
+
+        default:
+          return json(405, { message: `Unsupported method ${method}` });
+      }
+    },
+  };
+}
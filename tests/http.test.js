@@ -0,0 +1,67 @@
+import './helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, test } from 'node:test';
+import { HostPausedError, delay, fetchWithRetry, registerHostLimits, withDeadline } from '../lib/http.js';
+import { installTransport } from './helpers/http.js';
+
+// Answers every request from `respond(url)`, counting them
+const upstream = {
+  requests: [],
+  respond: () => new Response('ok'),
+  async fetch(url) {
+    this.requests.push(url);
+    return this.respond(url);
+  },
+};
+
+let restore;
+before(() => { restore = installTransport({ cassette: upstream }); });
+after(() => restore());
+beforeEach(() => {
+  upstream.requests = [];
+  upstream.respond = () => new Response('ok');
+});
+
+test('a request holds its host slot until its body is read', async () => {
+  registerHostLimits('slots.test', { rps: 1000, concurrency: 1 });
+
+  const first = await fetchWithRetry('https://slots.test/1');
+  const second = fetchWithRetry('https://slots.test/2');
+  await delay(20);
+  assert.deepEqual(upstream.requests, ['https://slots.test/1']);
+
+  assert.equal(await first.text(), 'ok');
+  await (await second).body.cancel();
+  assert.deepEqual(upstream.requests, ['https://slots.test/1', 'https://slots.test/2']);
+});
+
+test('the caller\'s abort listener is removed once the exchange is over', async () => {
+  const listeners = new Set();
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+  };
+
+  const response = await fetchWithRetry('https://listeners.test/', { signal });
+  assert.equal(listeners.size, 1);
+  await response.text();
+  assert.equal(listeners.size, 0);
+});
+
+test('a host paused past the deadline fails fast instead of waiting', async () => {
+  upstream.respond = () => new Response('slow down', { status: 429, headers: { 'retry-after': '3600' } });
+
+  await assert.rejects(
+    fetchWithRetry('https://paused.test/a', { deadline: Date.now() + 60_000 }),
+    HostPausedError,
+  );
+  assert.equal(upstream.requests.length, 1);
+
+  // withDeadline sets it for every request inside
+  await assert.rejects(
+    withDeadline(Date.now() + 60_000, () => fetchWithRetry('https://paused.test/b')),
+    /paused\.test is paused until .*, past the deadline/,
+  );
+  assert.equal(upstream.requests.length, 1);
+});
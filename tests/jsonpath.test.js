@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { JSONPathError, compilePath, query, queryAll } from '../lib/jsonpath.js';
+
+const doc = {
+  data: [
+    { id: 1, name: 'Punk IPA', tags: ['ipa', 'hoppy'], 'brew date': '2007' },
+    { id: 2, name: 'Dead Pony', tags: ['pale'], meta: { sku: 'DP-1' } },
+  ],
+  meta: { next: 'abc', sku: 'root' },
+};
+
+test('query reads members, quoted names and indexes', () => {
+  assert.equal(query(doc, '$.meta.next'), 'abc');
+  assert.equal(query(doc, '$.data[0].name'), 'Punk IPA');
+  assert.equal(query(doc, "$.data[0]['brew date']"), '2007');
+  assert.equal(query(doc, '$["meta"]["next"]'), 'abc');
+  assert.equal(query(doc, '$.data[-1].id'), 2);
+  assert.equal(query(doc, '$'), doc);
+});
+
+test('query returns undefined for a missing definite path', () => {
+  assert.equal(query(doc, '$.data[5].name'), undefined);
+  assert.equal(query(doc, '$.meta.next.deeper'), undefined);
+  assert.equal(query(null, '$.a'), undefined);
+});
+
+test('wildcards and recursive descent return every match', () => {
+  assert.deepEqual(query(doc, '$.data[*].id'), [1, 2]);
+  assert.deepEqual(query(doc, '$.data[*].tags[*]'), ['ipa', 'hoppy', 'pale']);
+  assert.deepEqual(query(doc, '$.meta.*'), ['abc', 'root']);
+  assert.deepEqual(query(doc, '$..sku'), ['DP-1', 'root']);
+  assert.deepEqual(queryAll(doc, '$.nothing[*]'), []);
+});
+
+test('compilePath marks definite paths and rejects unsupported syntax', () => {
+  assert.equal(compilePath('$.a[0].b').definite, true);
+  assert.equal(compilePath('$.a[*]').definite, false);
+  assert.equal(compilePath('$..a').definite, false);
+
+  assert.throws(() => compilePath('data.items'), JSONPathError);
+  assert.throws(() => compilePath('$.items[?(@.id > 1)]'), /Invalid JSONPath \$\.items\[\?\(@\.id > 1\)\]/);
+  assert.throws(() => compilePath('$.items[1:3]'), JSONPathError);
+});
@@ -0,0 +1,84 @@
+import './helpers/env.js';
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import pgUtils from 'pg/lib/utils.js';
+import { SCRAPERS } from '../api/scrape.js';
+import { createPostgresSink } from '../lib/sinks/postgres.js';
+
+// Records every query and answers an upsert as if its (single) row were
+// inserted. Params are what pg itself would put on the wire (prepareValue).
+function recordingPool() {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params = []) {
+      queries.push({ sql, params: params.map(pgUtils.prepareValue) });
+      return { rows: /RETURNING/.test(sql) ? [{ inserted: true }] : [] };
+    },
+    async end() {},
+  };
+}
+
+// column -> value sent for the first row of the last query
+function sentRow(pool) {
+  const { sql, params } = pool.queries.at(-1);
+  const columns = [...sql.match(/\(([^)]*)\)\s*VALUES/)[1].matchAll(/"([^"]+)"/g)].map(match => match[1]);
+  return Object.fromEntries(columns.map((column, i) => [column, params[i]]));
+}
+
+test('card rows send jsonb columns as JSON and text[] columns as arrays', async () => {
+  const pool = recordingPool();
+  const sink = await createPostgresSink({ pool });
+  const row = {
+    ...SCRAPERS.cards.transform({
+      game: 'pokemon',
+      name: 'Pikachu',
+      colors: ['Lightning'],
+      attacks: [{ name: 'Tackle', cost: ['Colorless'], damage: '10' }],
+      image_uris: { small: 'https://images.test/pikachu.png' },
+      source: 'pokemon',
+    }),
+    external_id: 'base1-58',
+  };
+
+  const result = await sink.upsert([row], 'cards', { conflictKey: ['source', 'external_id'] });
+  assert.equal(result.errors, 0);
+
+  const sent = sentRow(pool);
+  assert.deepEqual(JSON.parse(sent.attacks), [{ name: 'Tackle', cost: ['Colorless'], damage: '10' }]);
+  assert.deepEqual(JSON.parse(sent.image_uris), { small: 'https://images.test/pikachu.png' });
+  assert.equal(sent.colors, '{"Lightning"}');
+});
+
+test('Gutenberg author_details go over as a JSON array', async () => {
+  const pool = recordingPool();
+  const sink = await createPostgresSink({ pool });
+  const row = {
+    ...SCRAPERS.books.transform({
+      name: 'Moby Dick',
+      author: 'Herman Melville',
+      authors: ['Herman Melville'],
+      author_details: [{ name: 'Melville, Herman', birth_year: 1819, death_year: 1891 }],
+      source: 'gutenberg',
+    }),
+    external_id: '2701',
+  };
+
+  await sink.upsert([row], 'books', { conflictKey: ['source', 'external_id'] });
+
+  const sent = sentRow(pool);
+  assert.deepEqual(JSON.parse(sent.author_details), [{ name: 'Melville, Herman', birth_year: 1819, death_year: 1891 }]);
+  assert.equal(sent.authors, '{"Herman Melville"}');
+});
+
+test('an empty jsonb array stays an array', async () => {
+  const pool = recordingPool();
+  const sink = await createPostgresSink({ pool });
+  const row = { title: 'Anonymous', authors: [], author_details: [], source: 'gutenberg', external_id: '1' };
+
+  await sink.upsert([row], 'books', { conflictKey: ['source', 'external_id'] });
+
+  const sent = sentRow(pool);
+  assert.equal(sent.author_details, '[]');
+  assert.equal(sent.authors, '{}');
+});
@@ -0,0 +1,66 @@
+import './helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, test } from 'node:test';
+import { lastSuccessfulRun } from '../lib/runs.js';
+import { installTransport } from './helpers/http.js';
+import { createPostgrest } from './helpers/postgrest.js';
+
+const postgrest = createPostgrest();
+let restore;
+
+before(() => { restore = installTransport({ postgrest }); });
+after(() => restore());
+beforeEach(() => postgrest.reset());
+
+const run = (id, finishedAt, { skipUpload = false, sink = 'supabase', result = { scraped: 10, uploaded: 10 } } = {}) => ({
+  id,
+  type: 'spirits',
+  sources: ['untappd'],
+  options: { skip_upload: skipUpload, sink },
+  status: 'completed',
+  finished_at: finishedAt,
+  source_results: { untappd: result },
+});
+
+test('lastSuccessfulRun ignores dry runs', async () => {
+  postgrest.tables.scrape_runs = [
+    run(1, '2026-10-01T03:00:00Z'),
+    run(2, '2026-10-02T03:00:00Z', { skipUpload: true }),
+  ];
+
+  assert.deepEqual(await lastSuccessfulRun('spirits', 'untappd'), { id: 1, finished_at: '2026-10-01T03:00:00Z' });
+});
+
+test('lastSuccessfulRun ignores runs that skipped the source', async () => {
+  postgrest.tables.scrape_runs = [
+    run(1, '2026-10-01T03:00:00Z'),
+    run(2, '2026-10-02T03:00:00Z', { result: { skipped: true, reason: 'Requires authentication' } }),
+  ];
+
+  assert.deepEqual(await lastSuccessfulRun('spirits', 'untappd'), { id: 1, finished_at: '2026-10-01T03:00:00Z' });
+
+  postgrest.tables.scrape_runs = [postgrest.tables.scrape_runs[1]];
+  assert.equal(await lastSuccessfulRun('spirits', 'untappd'), null);
+});
+
+test('lastSuccessfulRun ignores runs where the source failed', async () => {
+  postgrest.tables.scrape_runs = [
+    run(1, '2026-10-01T03:00:00Z'),
+    { ...run(2, '2026-10-02T03:00:00Z', { result: { scraped: 0, error: 'HTTP 500' } }), status: 'partial' },
+  ];
+
+  assert.equal((await lastSuccessfulRun('spirits', 'untappd')).id, 1);
+});
+
+test('lastSuccessfulRun only counts runs into the given sink', async () => {
+  postgrest.tables.scrape_runs = [
+    run(1, '2026-10-01T03:00:00Z', { sink: null }),
+    run(2, '2026-10-02T03:00:00Z', { sink: 'postgres' }),
+    run(3, '2026-10-03T03:00:00Z', { sink: 'jsonl' }),
+  ];
+
+  // Runs from before sinks were recorded went to Supabase
+  assert.equal((await lastSuccessfulRun('spirits', 'untappd')).id, 1);
+  assert.equal((await lastSuccessfulRun('spirits', 'untappd', 'postgres')).id, 2);
+  assert.equal(await lastSuccessfulRun('spirits', 'untappd', 'sqlite'), null);
+});
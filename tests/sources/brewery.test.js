@@ -0,0 +1,49 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { loadCassette } from '../helpers/cassette.js';
+import { installTransport } from '../helpers/http.js';
+import { collectPages, memoryStore } from '../helpers/pages.js';
+import { loadSourceDefinitions } from '../../lib/sources/declarative.js';
+
+// Defined in lib/sources/definitions/brewery.yaml
+const { fn: scrapeOpenBreweryDB } = loadSourceDefinitions().find(({ key }) => key === 'brewery').source;
+const cassette = loadCassette('brewery');
+let restore;
+before(() => { restore = installTransport({ cassette }); });
+after(() => { restore(); cassette.save(); });
+
+test('scrapeOpenBreweryDB maps breweries page by page', async () => {
+  const { pages, records } = await collectPages(scrapeOpenBreweryDB({}));
+
+  assert.equal(pages.length, 1);
+  assert.deepEqual(pages[0].cursor, { page: 2 });
+  assert.deepEqual(records[0], {
+    name: 'Russian River Brewing Co',
+    brand: 'Russian River Brewing Co',
+    category: 'beer',
+    subcategory: 'brewpub',
+    category_tags: ['brewpub'],
+    country: 'United States',
+    region: 'California',
+    description: 'brewpub brewery in Santa Rosa, California',
+    source: 'openbrewerydb',
+    external_ids: { brewery_id: '5128df48-79fc-4f0f-8b52-d06be54d0cec' },
+  });
+  assert.equal(records.length, 2);
+});
+
+test('scrapeOpenBreweryDB skips unchanged pages with conditional requests', async () => {
+  const validators = memoryStore();
+
+  // First crawl: pages are stored, so their validators are saved
+  for (const page of (await collectPages(scrapeOpenBreweryDB({ validators }))).pages) await page.commit();
+  assert.deepEqual(validators.values.get('http:https://api.openbrewerydb.org/v1/breweries?page=1&per_page=200'), {
+    etag: 'W/"brewery-page-1"',
+    last_modified: null,
+  });
+
+  // Second crawl: page 1 answers 304 and yields nothing
+  const { pages } = await collectPages(scrapeOpenBreweryDB({ validators }));
+  assert.deepEqual(pages[0], { records: [], cursor: { page: 2 } });
+});
@@ -0,0 +1,30 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { loadCassette } from '../helpers/cassette.js';
+import { installTransport } from '../helpers/http.js';
+import { collectPages } from '../helpers/pages.js';
+import { scrapeCocktailDB } from '../../lib/sources/cocktaildb.js';
+
+const cassette = loadCassette('cocktaildb');
+let restore;
+before(() => { restore = installTransport({ cassette }); });
+after(() => { restore(); cassette.save(); });
+
+test('scrapeCocktailDB reads one letter a page and lists ingredients', async () => {
+  const { pages, records } = await collectPages(scrapeCocktailDB({ cursor: { letter: 'y' } }));
+
+  assert.deepEqual(pages.map(page => page.cursor), [{ letter: 'z' }, null]);
+  assert.deepEqual(records, [{
+    name: 'Yellow Bird',
+    brand: null,
+    category: 'cocktail',
+    subcategory: 'Ordinary Drink',
+    category_tags: ['Ordinary Drink'],
+    description: 'Shake and strain into a chilled cocktail glass.',
+    image_url: 'https://www.thecocktaildb.com/images/media/drink/2t9r6w1504374811.jpg',
+    tasting_notes: 'White Rum, Galliano, Triple Sec, Lime Juice',
+    source: 'cocktaildb',
+    external_ids: { cocktaildb_id: '17220' },
+  }]);
+});
@@ -0,0 +1,262 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, test } from 'node:test';
+import { installTransport } from '../helpers/http.js';
+import { collectPages } from '../helpers/pages.js';
+import { defineSource, loadSourceDefinitions } from '../../lib/sources/declarative.js';
+
+// A catalog API answering from `routes`: URL -> { json, headers }
+const catalog = {
+  routes: {},
+  requests: [],
+  async fetch(url, options = {}) {
+    this.requests.push({ url, headers: options.headers });
+    const route = this.routes[url];
+    if (!route) return new Response('Not found', { status: 404 });
+    return new Response(JSON.stringify(route.json), {
+      status: 200,
+      headers: { 'content-type': 'application/json', ...route.headers },
+    });
+  },
+};
+
+let restore;
+before(() => { restore = installTransport({ cassette: catalog }); });
+after(() => restore());
+beforeEach(() => {
+  catalog.routes = {};
+  catalog.requests = [];
+});
+
+const define = (overrides) => defineSource({
+  type: 'spirits',
+  key: 'catalog',
+  name: 'Test Catalog',
+  idField: 'catalog_id',
+  request: { url: 'https://catalog.test/v1/items' },
+  rateLimit: { rps: 1000 },
+  pagination: { style: 'page', param: 'page', sizeParam: 'size', size: 2 },
+  id: '$.id',
+  fields: { name: '$.name' },
+  ...overrides,
+});
+
+const scrape = (overrides, options = {}) => collectPages(define(overrides).source.fn(options));
+const urls = () => catalog.requests.map(request => request.url);
+
+// =============================================================================
+// FIELDS
+// =============================================================================
+
+test('fields map paths, literals, transforms, defaults and templates', async () => {
+  catalog.routes['https://catalog.test/v1/items?page=1&size=2'] = {
+    json: {
+      data: [{
+        id: 7,
+        name: '  Lagavulin 16 ',
+        abv: '43,0',
+        country: '',
+        tags: [' Islay', 'PEATED '],
+        notes: '<p>Smoke &amp; <b>sea</b></p>',
+        region: { name: 'Islay', country: 'Scotland' },
+      }],
+    },
+  };
+
+  const { records } = await scrape({
+    key: 'whisky',
+    source: 'whiskybase',
+    items: '$.data[*]',
+    stop: { short: true },
+    fields: {
+      name: { path: '$.name', transform: 'trim' },
+      brand: 'Lagavulin',
+      category: { value: '$literal' },
+      abv: { path: '$.abv', transform: 'number' },
+      country: { path: '$.country', default: 'Unknown' },
+      category_tags: { path: '$.tags[*]', transform: ['trim', 'lower'] },
+      tasting_notes: { path: '$.notes', transform: 'strip_html' },
+      description: { template: '{$.region.name}, {$.region.country}' },
+      barcode: '$.barcode',
+      details: { origin: '$.region.name', tags: { path: '$.tags[*]', transform: ['trim', 'join:/'] } },
+      external_ids: { legacy_id: { path: '$.id', transform: 'string' } },
+    },
+  });
+
+  assert.deepEqual(records, [{
+    name: 'Lagavulin 16',
+    brand: 'Lagavulin',
+    category: '$literal',
+    abv: 43,
+    country: 'Unknown',
+    category_tags: ['islay', 'peated'],
+    tasting_notes: 'Smoke &amp; sea',
+    description: 'Islay, Scotland',
+    barcode: null,
+    details: { origin: 'Islay', tags: 'Islay/PEATED' },
+    source: 'whiskybase',
+    external_ids: { legacy_id: '7', catalog_id: 7 },
+  }]);
+});
+
+test('a definition with a separate record source registers its recordSource', () => {
+  assert.equal(define({ source: 'whiskybase' }).source.recordSource, 'whiskybase');
+  assert.equal(define({ source: 'catalog' }).source.recordSource, undefined);
+  assert.deepEqual(
+    Object.keys(define({ schedule: 'weekly', estimated: 10, adminOnly: true }).source).sort(),
+    ['adminOnly', 'estimated', 'fn', 'idField', 'name', 'schedule'],
+  );
+});
+
+// =============================================================================
+// PAGINATION
+// =============================================================================
+
+test('page pagination stops at an empty page and resumes from the cursor', async () => {
+  catalog.routes['https://catalog.test/v1/items?page=1&size=2'] = { json: [{ id: 1 }, { id: 2 }] };
+  catalog.routes['https://catalog.test/v1/items?page=2&size=2'] = { json: [{ id: 3 }] };
+  catalog.routes['https://catalog.test/v1/items?page=3&size=2'] = { json: [] };
+
+  const { pages, records } = await scrape({});
+  assert.deepEqual(pages.map(page => page.cursor), [{ page: 2 }, { page: 3 }]);
+  assert.deepEqual(records.map(record => record.external_ids.catalog_id), [1, 2, 3]);
+
+  catalog.requests = [];
+  const resumed = await scrape({}, { cursor: { page: 2 } });
+  assert.deepEqual(resumed.records.map(record => record.external_ids.catalog_id), [3]);
+  assert.equal(urls()[0], 'https://catalog.test/v1/items?page=2&size=2');
+});
+
+test('stop.short ends after a page under the page size', async () => {
+  catalog.routes['https://catalog.test/v1/items?page=1&size=2'] = { json: [{ id: 1 }, { id: 2 }] };
+  catalog.routes['https://catalog.test/v1/items?page=2&size=2'] = { json: [{ id: 3 }] };
+
+  const { records } = await scrape({ stop: { short: true } });
+  assert.equal(records.length, 3);
+  assert.equal(catalog.requests.length, 2);
+});
+
+test('offset pagination advances by the items received until stop.total', async () => {
+  const page = (offset, ids) => {
+    catalog.routes[`https://catalog.test/v1/items?offset=${offset}&limit=2&country=ie`] = {
+      json: { total: 3, results: ids.map(id => ({ id })) },
+    };
+  };
+  page(0, [1, 2]);
+  page(2, [3]);
+
+  const { pages, records } = await scrape({
+    request: { url: 'https://catalog.test/v1/items', query: { country: 'ie' } },
+    pagination: { style: 'offset', param: 'offset', sizeParam: 'limit', size: 2 },
+    items: '$.results[*]',
+    stop: { total: '$.total' },
+  });
+
+  assert.deepEqual(pages.map(page => page.cursor), [{ offset: 2 }, { offset: 3 }]);
+  assert.equal(records.length, 3);
+  assert.equal(catalog.requests.length, 2);
+});
+
+test('cursor pagination follows the next token until there is none', async () => {
+  catalog.routes['https://catalog.test/v1/items'] = { json: { items: [{ id: 1 }], next_cursor: 'b2' } };
+  catalog.routes['https://catalog.test/v1/items?cursor=b2'] = { json: { items: [{ id: 2 }], next_cursor: null } };
+
+  const { pages, records } = await scrape({
+    pagination: { style: 'cursor', param: 'cursor', next: '$.next_cursor' },
+    items: '$.items',
+  });
+
+  assert.deepEqual(pages.map(page => page.cursor), [{ cursor: 'b2' }, null]);
+  assert.deepEqual(records.map(record => record.external_ids.catalog_id), [1, 2]);
+});
+
+test('next-link pagination follows the Link header or a JSONPath', async () => {
+  catalog.routes['https://catalog.test/v1/items'] = {
+    json: [{ id: 1 }],
+    headers: { link: '</v1/items?after=1>; rel="next", </v1/items?after=9>; rel="last"' },
+  };
+  catalog.routes['https://catalog.test/v1/items?after=1'] = { json: [{ id: 2 }] };
+
+  const linked = await scrape({ pagination: { style: 'next' } });
+  assert.deepEqual(linked.pages.map(page => page.cursor), [{ url: 'https://catalog.test/v1/items?after=1' }, null]);
+  assert.equal(linked.records.length, 2);
+
+  catalog.routes['https://catalog.test/v1/items'] = { json: { data: [{ id: 1 }], links: { next: 'https://catalog.test/v1/items?after=1' } } };
+  catalog.routes['https://catalog.test/v1/items?after=1'] = { json: { data: [{ id: 2 }], links: {} } };
+  const bodyLinked = await scrape({ pagination: { style: 'next', next: '$.links.next' }, items: '$.data' });
+  assert.equal(bodyLinked.records.length, 2);
+});
+
+// =============================================================================
+// REQUESTS
+// =============================================================================
+
+test('${NAME} in the URL, query and headers reads the environment', async () => {
+  process.env.CATALOG_TEST_KEY = 'k-123';
+  catalog.routes['https://catalog.test/v1/items?page=1&size=2&key=k-123'] = { json: [] };
+
+  try {
+    await scrape({
+      request: { url: 'https://catalog.test/v1/items', query: { key: '${CATALOG_TEST_KEY}' }, headers: { 'x-api-key': '${CATALOG_TEST_KEY}' } },
+    });
+    assert.deepEqual(catalog.requests[0].headers, { 'x-api-key': 'k-123' });
+  } finally {
+    delete process.env.CATALOG_TEST_KEY;
+  }
+
+  await assert.rejects(
+    scrape({ request: { url: 'https://catalog.test/v1/items', headers: { authorization: 'Bearer ${CATALOG_TEST_KEY}' } } }),
+    /Source catalog needs CATALOG_TEST_KEY/,
+  );
+});
+
+// =============================================================================
+// DEFINITIONS
+// =============================================================================
+
+test('malformed definitions are refused with the reason', () => {
+  assert.throws(() => define({ pagination: { style: 'scroll' } }), /catalog: pagination.style must be page, offset, cursor, next/);
+  assert.throws(() => define({ pagination: { style: 'cursor', param: 'cursor' } }), /cursor pagination needs pagination.next/);
+  assert.throws(() => define({ fields: { name: { path: '$.name', transform: 'titlecase' } } }), /catalog.fields.name: unknown transform "titlecase"/);
+  assert.throws(() => define({ fields: { name: { path: '$.name', value: 'x' } } }), /needs exactly one of path, value or template/);
+  assert.throws(() => define({ items: 'data' }), /Invalid JSONPath data/);
+  assert.throws(() => define({ itemz: '$' }), /unknown field itemz/);
+  assert.throws(() => define({ idField: undefined }), /idField is required/);
+  assert.throws(() => define({ request: { url: 'https://catalog.test', conditional: true }, pagination: { style: 'next' } }), /conditional requests need/);
+});
+
+test('loadSourceDefinitions reads JSON and YAML files and names a broken one', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'javari-definitions-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify({
+      type: 'books', key: 'a', name: 'A', idField: 'a_id', id: '$.id', fields: { name: '$.title' },
+      request: { url: 'https://catalog.test/a' }, pagination: { style: 'next' },
+    }));
+    fs.writeFileSync(path.join(dir, 'b.yml'), [
+      'type: cards',
+      'key: b',
+      'name: B',
+      'idField: b_id',
+      'id: $.id',
+      'request: { url: "https://catalog.test/b" }',
+      'pagination: { style: page, param: p }',
+      'fields:',
+      '  name: $.name',
+    ].join('\n'));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+    assert.deepEqual(loadSourceDefinitions(dir).map(({ type, key }) => [type, key]), [['books', 'a'], ['cards', 'b']]);
+
+    fs.writeFileSync(path.join(dir, 'c.yaml'), 'type: cards\nkey: c\n');
+    assert.throws(() => loadSourceDefinitions(dir), /^Error: c\.yaml: Source definition c: name is required/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the shipped definitions load', () => {
+  assert.deepEqual(loadSourceDefinitions().map(({ type, key }) => `${type}/${key}`), ['spirits/brewery', 'spirits/punkapi']);
+});
@@ -0,0 +1,50 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { loadCassette } from '../helpers/cassette.js';
+import { installTransport } from '../helpers/http.js';
+import { collectPages } from '../helpers/pages.js';
+import { scrapeGutenberg } from '../../lib/sources/gutenberg.js';
+
+const cassette = loadCassette('gutenberg');
+let restore;
+before(() => { restore = installTransport({ cassette }); });
+after(() => { restore(); cassette.save(); });
+
+test('scrapeGutenberg follows next links and keeps every format', async () => {
+  const { pages, records } = await collectPages(scrapeGutenberg({}));
+
+  assert.deepEqual(pages.map(page => page.cursor), [
+    { next: 'https://gutendex.com/books/?page=2', since: undefined, high_water: 1342 },
+    null,
+  ]);
+  assert.deepEqual(records[0], {
+    name: 'Frankenstein; Or, The Modern Prometheus',
+    author: 'Shelley, Mary Wollstonecraft',
+    authors: ['Shelley, Mary Wollstonecraft'],
+    author_details: [{ name: 'Shelley, Mary Wollstonecraft', birth_year: 1797, death_year: 1851 }],
+    subject: 'Frankenstein\'s monster (Fictitious character) -- Fiction, Science fiction',
+    languages: ['en'],
+    bookshelves: ['Gothic Fiction', 'Science Fiction by Women'],
+    download_count: 82713,
+    copyright: false,
+    formats: {
+      epub: 'https://www.gutenberg.org/ebooks/84.epub3.images',
+      kindle: 'https://www.gutenberg.org/ebooks/84.kf8.images',
+      html: 'https://www.gutenberg.org/ebooks/84.html.images',
+      text: 'https://www.gutenberg.org/ebooks/84.txt.utf-8',
+    },
+    download_url: 'https://www.gutenberg.org/ebooks/84.txt.utf-8',
+    cover_url: 'https://www.gutenberg.org/cache/epub/84/pg84.cover.medium.jpg',
+    source: 'gutenberg',
+    external_ids: { gutenberg_id: 84 },
+  });
+  assert.equal(pages[1].highWater, 2701);
+});
+
+test('scrapeGutenberg stops at the first book at or below since', async () => {
+  const { records, pages } = await collectPages(scrapeGutenberg({ since: 2000 }));
+
+  assert.deepEqual(records.map(record => record.external_ids.gutenberg_id), [2701]);
+  assert.equal(pages[0].cursor, null);
+});
@@ -0,0 +1,46 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { loadCassette } from '../helpers/cassette.js';
+import { installTransport } from '../helpers/http.js';
+import { collectPages } from '../helpers/pages.js';
+import { scrapeOpenFoodFacts } from '../../lib/sources/openfoodfacts.js';
+
+const cassette = loadCassette('openfoodfacts');
+let restore;
+before(() => { restore = installTransport({ cassette }); });
+after(() => { restore(); cassette.save(); });
+
+test('scrapeOpenFoodFacts reads categories until an empty page', async () => {
+  const { pages, records } = await collectPages(scrapeOpenFoodFacts({ cursor: { category: 'en:brandies', page: 1 } }));
+
+  assert.deepEqual(records.map(record => record.barcode), ['3049197110106', '3035542004206', '8000440000107', '5011013100156']);
+  assert.deepEqual(records[0], {
+    name: 'Courvoisier VS',
+    brand: 'Courvoisier',
+    category_tags: ['en:alcoholic-beverages', 'en:spirits', 'en:brandies', 'en:cognacs'],
+    description: 'Cognac',
+    image_url: 'https://images.openfoodfacts.org/images/products/304/919/711/0106/front_en.3.400.jpg',
+    barcode: '3049197110106',
+    origin: 'France',
+    alcohol_content: '40',
+    alcohol_unit: null,
+    quantity: null,
+    source: 'openfoodfacts',
+    external_ids: { off_id: '3049197110106' },
+  });
+  assert.equal(pages.at(-1).cursor, null);
+  assert.equal(pages.at(-1).highWater, 1735000000);
+});
+
+test('scrapeOpenFoodFacts stops a category at the first product older than since', async () => {
+  const since = 1720000000;
+  const requested = cassette.requests.length;
+  const { pages, records } = await collectPages(scrapeOpenFoodFacts({ cursor: { category: 'en:liqueurs', page: 1, since } }));
+
+  assert.deepEqual(records.map(record => record.barcode), ['8000440000107']);
+  assert.equal(pages.length, 2);
+  assert.deepEqual(cassette.requests.slice(requested), [
+    'GET https://world.openfoodfacts.org/category/en:liqueurs.json?page=1&page_size=100&sort_by=last_modified_t',
+  ]);
+});
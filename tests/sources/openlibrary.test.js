@@ -0,0 +1,109 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { after, before, test } from 'node:test';
+import { loadCassette } from '../helpers/cassette.js';
+import { installTransport } from '../helpers/http.js';
+import { collectPages } from '../helpers/pages.js';
+import { scrapeOpenLibrary, scrapeOpenLibraryEditions } from '../../lib/sources/openlibrary.js';
+
+const cassette = loadCassette('openlibrary');
+let restore;
+before(() => { restore = installTransport({ cassette }); });
+after(() => { restore(); cassette.save(); });
+
+test('scrapeOpenLibrary maps search results with every author and ISBN', async () => {
+  const { pages, records } = await collectPages(scrapeOpenLibrary({}));
+
+  assert.deepEqual(pages.map(page => page.cursor), [{ subject: 'fantasy', offset: 2 }, null]);
+  assert.deepEqual(records[0], {
+    name: 'The Hobbit',
+    subtitle: 'There and Back Again',
+    author: 'J.R.R. Tolkien',
+    authors: ['J.R.R. Tolkien'],
+    author_keys: ['OL26320A'],
+    subject: 'Fantasy, Dragons',
+    first_publish_year: 1937,
+    publishers: ['Allen & Unwin', 'Houghton Mifflin'],
+    page_count: 310,
+    // ISBN-10s are kept and converted, hyphens dropped, junk ignored
+    isbn_10: ['0261102214'],
+    isbn_13: ['9780261102217', '9780547928227'],
+    cover_url: 'https://covers.openlibrary.org/b/id/6979861-M.jpg',
+    source: 'openlibrary',
+    external_ids: { ol_key: '/works/OL262758W' },
+  });
+  assert.equal(records[1].cover_url, null);
+});
+
+// =============================================================================
+// DUMPS
+// =============================================================================
+
+const editionsDump = process.env.OPENLIBRARY_EDITIONS_DUMP;
+
+function writeEditionsDump(count) {
+  const line = (n) => `/type/edition\t/books/OL${n}M\t3\t2024-01-01T00:00:00.000000\t${JSON.stringify({
+    key: `/books/OL${n}M`, title: `Edition ${n}`, works: [{ key: `/works/OL${n}W` }], isbn_13: ['9780261102354'],
+  })}`;
+  const lines = Array.from({ length: count }, (_, i) => line(i + 1));
+  lines.splice(1, 0, '/type/author\t/authors/OL1A\t1\t2024-01-01T00:00:00.000000\t{"key": "/authors/OL1A", "name": "A"}');
+  fs.mkdirSync(path.dirname(editionsDump), { recursive: true });
+  fs.writeFileSync(editionsDump, `${lines.join('\n')}\n`);
+}
+
+test('scrapeOpenLibraryEditions resumes an uncompressed dump at the byte it stopped at', async () => {
+  writeEditionsDump(1001);
+  const { pages, records } = await collectPages(scrapeOpenLibraryEditions({}));
+
+  assert.equal(records.length, 1001);
+  assert.equal(records[1000].edition_key, '/books/OL1001M');
+  const [{ cursor }] = pages;
+  assert.equal(cursor.line, 1001);
+  assert.equal(cursor.offset, fs.readFileSync(editionsDump).indexOf('/type/edition\t/books/OL1001M'));
+  assert.equal(pages[1].cursor, null);
+
+  // Blank out what was read (keeping the file's identity): a resumed crawl
+  // that read it again would lose count of the lines
+  const { atime, mtime } = fs.statSync(editionsDump);
+  const bytes = fs.readFileSync(editionsDump);
+  bytes.fill('x', 0, cursor.offset - 1);
+  fs.writeFileSync(editionsDump, bytes);
+  fs.utimesSync(editionsDump, atime, mtime);
+
+  const resumed = await collectPages(scrapeOpenLibraryEditions({ cursor }));
+  assert.deepEqual(resumed.records.map(record => record.edition_key), ['/books/OL1001M']);
+});
+
+test('scrapeOpenLibraryEditions starts over when the dump was replaced', async () => {
+  writeEditionsDump(1001);
+  const [{ cursor }] = (await collectPages(scrapeOpenLibraryEditions({}))).pages;
+
+  writeEditionsDump(2);
+  fs.utimesSync(editionsDump, new Date(), new Date(Date.now() + 60_000));
+  const { records } = await collectPages(scrapeOpenLibraryEditions({ cursor }));
+  assert.deepEqual(records.map(record => record.edition_key), ['/books/OL1M', '/books/OL2M']);
+});
+
+test('scrapeOpenLibrary pauses with the same cursor when the deadline passes re-reading a compressed dump', async () => {
+  const worksDump = process.env.OPENLIBRARY_WORKS_DUMP;
+  const line = (n) => `/type/work\t/works/OL${n}W\t1\t2024-01-01T00:00:00.000000\t${JSON.stringify({
+    key: `/works/OL${n}W`, title: `Work ${n}`,
+  })}`;
+  fs.mkdirSync(path.dirname(worksDump), { recursive: true });
+  fs.writeFileSync(worksDump, zlib.gzipSync(`${Array.from({ length: 1001 }, (_, i) => line(i + 1)).join('\n')}\n`));
+
+  // A cursor from another dump starts the crawl in dump mode, from the top
+  const [{ cursor }] = (await collectPages(scrapeOpenLibrary({ cursor: { dump: 'ol_dump_works_old.txt.gz' } }))).pages;
+  assert.equal(cursor.line, 1000);
+
+  const paused = await collectPages(scrapeOpenLibrary({ cursor, deadline: Date.now() - 1 }));
+  assert.equal(paused.records.length, 0);
+  assert.deepEqual(paused.pages.map(page => page.cursor), [cursor]);
+  assert.match(paused.pages[0].pause, /Deadline reached reading .* past line 1000/);
+
+  const resumed = await collectPages(scrapeOpenLibrary({ cursor, deadline: Date.now() + 60_000 }));
+  assert.deepEqual(resumed.records.map(record => record.name), ['Work 1001']);
+});
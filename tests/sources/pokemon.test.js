@@ -0,0 +1,55 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { loadCassette } from '../helpers/cassette.js';
+import { installTransport } from '../helpers/http.js';
+import { collectPages } from '../helpers/pages.js';
+import { scrapePokemonTCG } from '../../lib/sources/pokemon.js';
+
+const cassette = loadCassette('pokemon');
+let restore;
+before(() => { restore = installTransport({ cassette }); });
+after(() => { restore(); cassette.save(); });
+
+test('scrapePokemonTCG maps cards with their set and prices', async () => {
+  const { pages, records } = await collectPages(scrapePokemonTCG({}));
+
+  assert.equal(pages.length, 1);
+  assert.deepEqual(pages[0].cursor, { page: 2, since: undefined, high_water: '2023/08/11 15:00:00' });
+  assert.equal(pages[0].highWater, '2023/08/11 15:00:00');
+
+  const [card] = records;
+  assert.equal(card.game, 'pokemon');
+  assert.equal(card.name, 'Charizard ex');
+  assert.equal(card.set_code, 'sv3');
+  assert.equal(card.collector_number, '125');
+  assert.equal(card.release_date, '2023-08-11');
+  assert.equal(card.type_line, 'Pokémon — Stage 2 ex');
+  assert.equal(card.hp, 330);
+  assert.deepEqual(card.set_info, {
+    code: 'sv3',
+    name: 'Obsidian Flames',
+    series: 'Scarlet & Violet',
+    set_type: null,
+    parent_code: null,
+    release_date: '2023-08-11',
+    card_count: 230,
+    printed_total: 197,
+    symbol_url: 'https://images.pokemontcg.io/sv3/symbol.png',
+    logo_url: 'https://images.pokemontcg.io/sv3/logo.png',
+  });
+  assert.deepEqual(card.prices.tcgplayer.holofoil, { market: 21.5 });
+  assert.deepEqual(card.external_ids, { pokemon_id: 'sv3-125' });
+  // No prices at all -> null, not an empty object
+  assert.equal(records[1].prices, null);
+});
+
+test('scrapePokemonTCG only asks for sets updated or released since the mark in incremental runs', async () => {
+  const requested = cassette.requests.length;
+  const { pages } = await collectPages(scrapePokemonTCG({ since: '2023/08/11 15:00:00' }));
+
+  assert.deepEqual(cassette.requests.slice(requested), [
+    'GET https://api.pokemontcg.io/v2/cards?page=1&pageSize=250&q=(set.updatedAt%3A%5B2023%2F08%2F11%20TO%20*%5D%20OR%20set.releaseDate%3A%5B2023%2F08%2F11%20TO%20*%5D)',
+  ]);
+  assert.equal(pages[0].highWater, '2023/08/11 15:00:00');
+});
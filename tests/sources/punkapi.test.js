@@ -0,0 +1,34 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { loadCassette } from '../helpers/cassette.js';
+import { installTransport } from '../helpers/http.js';
+import { collectPages } from '../helpers/pages.js';
+import { loadSourceDefinitions } from '../../lib/sources/declarative.js';
+
+// Defined in lib/sources/definitions/punkapi.yaml
+const { fn: scrapePunkAPI } = loadSourceDefinitions().find(({ key }) => key === 'punkapi').source;
+const cassette = loadCassette('punkapi');
+let restore;
+before(() => { restore = installTransport({ cassette }); });
+after(() => { restore(); cassette.save(); });
+
+test('scrapePunkAPI maps BrewDog beers until an empty page', async () => {
+  const { pages, records } = await collectPages(scrapePunkAPI({}));
+
+  assert.deepEqual(pages.map(page => page.cursor), [{ page: 2 }]);
+  assert.deepEqual(records[0], {
+    name: 'Punk IPA 2007 - 2010',
+    brand: 'BrewDog',
+    category: 'beer',
+    subcategory: 'Post Modern Classic. Spiky. Tropical. Hoppy.',
+    abv: 6,
+    ibu: 60,
+    description: 'Our flagship beer that kick started the craft beer revolution.',
+    image_url: 'https://images.punkapi.com/v2/192.png',
+    tasting_notes: 'While it may surprise you, this version of Punk IPA isn\'t dry hopped but still packs a punch!',
+    source: 'punkapi',
+    external_ids: { punkapi_id: 192 },
+  });
+  assert.deepEqual(records.map(record => record.external_ids.punkapi_id), [192, 1]);
+});
@@ -0,0 +1,66 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { loadCassette } from '../helpers/cassette.js';
+import { installTransport } from '../helpers/http.js';
+import { collectPages } from '../helpers/pages.js';
+import { scrapeScryfall } from '../../lib/sources/scryfall.js';
+
+const cassette = loadCassette('scryfall');
+let restore;
+before(() => { restore = installTransport({ cassette }); });
+after(() => { restore(); cassette.save(); });
+
+test('scrapeScryfall maps search results, including double-faced cards', async () => {
+  const { pages, records } = await collectPages(scrapeScryfall({}));
+
+  assert.equal(pages.length, 1);
+  assert.equal(pages[0].cursor, null);
+  assert.equal(pages[0].highWater, '2025-03-04T09:12:44.000+00:00');
+
+  const [bolt, delver] = records;
+  assert.equal(bolt.name, 'Lightning Bolt');
+  assert.equal(bolt.mana_cost, '{R}');
+  assert.deepEqual(bolt.colors, ['R']);
+  assert.equal(bolt.image_url, 'https://cards.scryfall.io/normal/front/7/7/77c6fa74.jpg');
+  assert.equal(bolt.set_info.set_type, 'masters');
+  assert.deepEqual(bolt.external_ids, {
+    scryfall_id: '77c6fa74-5543-42ac-9ead-0e890b188e99',
+    oracle_id: '4457ed35-7c10-48c8-9776-456485fdf070',
+  });
+
+  // Faces carry the cost, text and art of double-faced cards
+  assert.equal(delver.mana_cost, '{U}');
+  assert.equal(delver.oracle_text, 'At the beginning of your upkeep, look at the top card of your library.\n//\nFlying');
+  assert.deepEqual(delver.colors, ['U']);
+  assert.deepEqual(delver.image_uris.map(image => image.face), ['Delver of Secrets', 'Insectile Aberration']);
+  assert.equal(delver.set_info.name, 'Innistrad');
+});
+
+test('scrapeScryfall stops at once when the bulk data has not changed', async () => {
+  const requested = cassette.requests.length;
+  const { pages } = await collectPages(scrapeScryfall({ since: '2025-03-04T09:12:44.000+00:00' }));
+
+  assert.deepEqual(pages, []);
+  assert.deepEqual(cassette.requests.slice(requested), ['GET https://api.scryfall.com/bulk-data/default-cards']);
+});
+
+test('scrapeScryfall reads the rebuilt bulk file in incremental runs, old printings included', async () => {
+  const requested = cassette.requests.length;
+  const { pages, records } = await collectPages(scrapeScryfall({ since: '2025-03-03T09:10:02.000+00:00' }));
+
+  assert.equal(cassette.requests.slice(requested).at(-1), 'GET https://data.scryfall.io/default-cards/default-cards-20250304091244.json');
+  assert.deepEqual(pages.map(page => page.cursor), [null]);
+  assert.equal(pages[0].highWater, '2025-03-04T09:12:44.000+00:00');
+  // Released in 2022, but its price moved with the rebuild
+  assert.equal(records[0].name, 'Lightning Bolt');
+  assert.equal(records[0].prices.usd, '2.45');
+});
+
+test('scrapeScryfall resumes the bulk file after the cards already read', async () => {
+  const cursor = { bulk_type: 'default_cards', offset: 1, high_water: '2025-03-04T09:12:44.000+00:00' };
+  const { pages, records } = await collectPages(scrapeScryfall({ cursor }));
+
+  assert.deepEqual(records.map(record => record.name), ['Delver of Secrets // Insectile Aberration']);
+  assert.deepEqual(pages.map(page => page.cursor), [null]);
+});
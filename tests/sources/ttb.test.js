@@ -0,0 +1,87 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { loadCassette } from '../helpers/cassette.js';
+import { installTransport } from '../helpers/http.js';
+import { collectPages } from '../helpers/pages.js';
+import { fetchTTBColaDetails, parseLabeledFields, scrapeTTBCOLA } from '../../lib/sources/ttb.js';
+
+const cassette = loadCassette('ttb');
+let restore;
+before(() => { restore = installTransport({ cassette }); });
+after(() => { restore(); cassette.save(); });
+
+test('parseLabeledFields pairs label cells with the cell after them', () => {
+  const fields = parseLabeledFields(`
+    <table>
+      <tr><td><strong>Brand Name:</strong></td><td>OLD FORESTER</td></tr>
+      <tr><td>Class/Type Code:</td><td>101 - STRAIGHT BOURBON WHISKY</td></tr>
+      <tr><td>Empty:</td><td>  </td></tr>
+    </table>`);
+
+  assert.deepEqual(fields, {
+    'brand name': 'OLD FORESTER',
+    'class type code': '101 - STRAIGHT BOURBON WHISKY',
+  });
+});
+
+test('fetchTTBColaDetails parses a detail page and its label images', async () => {
+  const record = await fetchTTBColaDetails('23001001000001');
+
+  assert.equal(record.ttb_id, '23001001000001');
+  assert.equal(record.brand_name, 'OLD FORESTER');
+  assert.equal(record.fanciful_name, '1920 PROHIBITION STYLE');
+  assert.equal(record.class_type, 'STRAIGHT BOURBON WHISKY');
+  assert.equal(record.origin, 'KENTUCKY');
+  assert.equal(record.alcohol_content, '57.5% ALC/VOL');
+  assert.equal(record.permit_number, 'DSP-KY-414');
+  assert.equal(record.date_approved, '2025-03-04');
+  assert.equal(record.image_url, 'https://www.ttbonline.gov/colasonline/publicViewAttachment.do?filename=front.jpg&filetype=l');
+  assert.deepEqual(record.ttb_details.label_images, [
+    'https://www.ttbonline.gov/colasonline/publicViewAttachment.do?filename=front.jpg&filetype=l',
+    'https://www.ttbonline.gov/colasonline/publicViewAttachment.do?filename=back.jpg&filetype=l',
+  ]);
+  assert.equal(record.ttb_details.class_type_code, '101');
+  assert.deepEqual(record.category_tags, ['101']);
+  assert.equal(record.ttb_details.origin_code, '22');
+  assert.equal(record.ttb_details.status, 'APPROVED');
+});
+
+test('fetchTTBColaDetails returns null for an unknown id', async () => {
+  assert.equal(await fetchTTBColaDetails('99999999999999'), null);
+});
+
+test('scrapeTTBCOLA pages through one approval day', async () => {
+  const day = '2025-03-04';
+  const { pages, records } = await collectPages(scrapeTTBCOLA({
+    cursor: { from: day, to: day, date: day, page: 1 },
+  }));
+
+  assert.deepEqual(records.map(record => record.ttb_id), ['23001001000001', '23001001000002', '23001001000003']);
+  assert.deepEqual(pages.map(page => page.cursor), [{ from: day, to: day, date: day, page: 2 }, null]);
+  assert.equal(pages[1].highWater, day);
+});
+
+test('scrapeTTBCOLA resumes part-way through a result page', async () => {
+  const day = '2025-03-04';
+  const { pages, records } = await collectPages(scrapeTTBCOLA({
+    cursor: { from: day, to: day, date: day, page: 1, index: 1 },
+  }));
+
+  assert.deepEqual(records.map(record => record.ttb_id), ['23001001000002', '23001001000003']);
+  assert.deepEqual(pages.map(page => page.cursor), [{ from: day, to: day, date: day, page: 2 }, null]);
+});
+
+test('scrapeTTBCOLA counts labels whose details or label images could not be fetched', async () => {
+  const day = '2025-03-05';
+  const { pages, records } = await collectPages(scrapeTTBCOLA({
+    cursor: { from: day, to: day, date: day, page: 1 },
+  }));
+
+  // 23001001000005's detail page failed; 23001001000004's form did
+  assert.deepEqual(records.map(record => record.ttb_id), ['23001001000004']);
+  assert.equal(records[0].ttb_details.label_images, null);
+  assert.equal(records[0].image_url, null);
+  assert.deepEqual(pages.map(page => page.errors), [2]);
+  assert.equal(pages[0].cursor, null);
+});
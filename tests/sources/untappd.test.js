@@ -0,0 +1,49 @@
+import '../helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { loadCassette } from '../helpers/cassette.js';
+import { installTransport } from '../helpers/http.js';
+import { collectPages } from '../helpers/pages.js';
+import { scrapeUntappd } from '../../lib/sources/untappd.js';
+
+const cassette = loadCassette('untappd');
+let restore;
+before(() => { restore = installTransport({ cassette }); });
+after(() => { restore(); cassette.save(); });
+
+test('scrapeUntappd searches each term and adds ratings from beer info', async () => {
+  const { pages, records } = await collectPages(scrapeUntappd({}));
+
+  assert.deepEqual(pages.map(page => page.cursor), [{ term: 'stout', offset: 2 }, null]);
+  assert.deepEqual(records[0], {
+    name: 'Kentucky Brunch Brand Stout',
+    brand: 'Toppling Goliath Brewing Co.',
+    category: 'beer',
+    subcategory: 'Stout - Imperial / Double',
+    category_tags: ['Stout - Imperial / Double'],
+    country: 'United States',
+    region: 'IA',
+    abv: 12,
+    ibu: 75,
+    rating: 4.75,
+    rating_count: 20345,
+    description: 'A huge imperial stout aged in maple bourbon barrels.',
+    image_url: 'https://assets.untappd.com/site/beer_logos_hd/beer-228409_hd.jpeg',
+    source: 'untappd',
+    external_ids: { untappd_id: 228409 },
+  });
+
+  // A failed info call keeps the beer without its rating; the placeholder
+  // label is dropped
+  assert.equal(records[1].rating, null);
+  assert.equal(records[1].image_url, null);
+
+  // Credentials never appear in what was requested or recorded
+  assert.ok(cassette.requests.every(request => request.includes('client_secret=REDACTED')));
+});
+
+test('scrapeUntappd pauses on the rate limit, keeping its place', async () => {
+  const { pages } = await collectPages(scrapeUntappd({ cursor: { term: 'stout', offset: 25 } }));
+
+  assert.deepEqual(pages, [{ records: [], cursor: { term: 'stout', offset: 25 }, pause: 'Untappd rate limit reached' }]);
+});
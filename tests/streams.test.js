@@ -0,0 +1,69 @@
+import './helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, test } from 'node:test';
+import { installTransport } from './helpers/http.js';
+import { openDump, parseJsonArray, readLines } from '../lib/streams.js';
+
+const DUMP = 'line one\r\nligne deux é\nthree';
+
+// A file server that honours Range requests unless `ranges` is off
+const server = {
+  ranges: true,
+  requests: [],
+  async fetch(url, options = {}) {
+    const range = options.headers?.Range;
+    this.requests.push(range || null);
+    const body = Buffer.from(DUMP);
+    if (range && this.ranges) {
+      const start = Number(range.match(/^bytes=(\d+)-$/)[1]);
+      return new Response(body.subarray(start), { status: 206 });
+    }
+    return new Response(body, { status: 200 });
+  },
+};
+
+let restore;
+before(() => { restore = installTransport({ cassette: server }); });
+after(() => restore());
+beforeEach(() => {
+  server.ranges = true;
+  server.requests = [];
+});
+
+const lines = async (chunks, options) => {
+  const read = [];
+  for await (const line of readLines(chunks, options)) read.push(line);
+  return read;
+};
+
+test('readLines reports the byte offset after each line', async () => {
+  assert.deepEqual(await lines([Buffer.from('line one\r\nligne de'), Buffer.from('ux é\nthree')]), [
+    { text: 'line one', end: 10 },
+    { text: 'ligne deux é', end: 24 },
+    { text: 'three', end: 29 },
+  ]);
+  assert.deepEqual(await lines([Buffer.from('three')], { start: 24 }), [{ text: 'three', end: 29 }]);
+});
+
+test('openDump opens an uncompressed dump at a byte offset', async () => {
+  const { chunks } = await openDump('https://dumps.test/items.txt', { start: 10 });
+  assert.deepEqual((await lines(chunks, { start: 10 })).map(line => line.text), ['ligne deux é', 'three']);
+  assert.deepEqual(server.requests, ['bytes=10-']);
+
+  // A server ignoring the range sends everything; the skipped bytes are dropped
+  server.ranges = false;
+  const whole = await openDump('https://dumps.test/items.txt', { start: 24 });
+  assert.deepEqual(await lines(whole.chunks, { start: 24 }), [{ text: 'three', end: 29 }]);
+});
+
+test('openDump refuses to seek into a compressed dump', async () => {
+  await assert.rejects(openDump('https://dumps.test/items.txt.gz', { start: 10 }), /Can't open compressed dump/);
+  assert.deepEqual(server.requests, []);
+});
+
+test('parseJsonArray scans past skipped elements without parsing them', async () => {
+  const elements = [];
+  const chunks = ['[{"id": 1, "name": "a,]"}, {not json', ' at all}, ', '{"id": 3}, 4]'];
+  for await (const element of parseJsonArray(chunks, { skip: 2 })) elements.push(element);
+  assert.deepEqual(elements, [{ id: 3 }, 4]);
+});
@@ -0,0 +1,102 @@
+import './helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, test } from 'node:test';
+import { createSupabaseSink } from '../lib/sinks/supabase.js';
+import { supabaseRequest } from '../lib/supabase.js';
+import { installTransport } from './helpers/http.js';
+import { createPostgrest } from './helpers/postgrest.js';
+
+const postgrest = createPostgrest();
+let restore;
+
+before(() => { restore = installTransport({ postgrest }); });
+after(() => restore());
+beforeEach(() => postgrest.reset());
+
+const conflictKey = ['source', 'external_id'];
+const book = (id, title) => ({ title, source: 'gutenberg', external_id: String(id) });
+
+test('upsert inserts new rows and reports them', async () => {
+  const sink = createSupabaseSink();
+  const result = await sink.upsert([book(1, 'A'), book(2, 'B')], 'books', { conflictKey });
+
+  assert.deepEqual(result, { uploaded: 2, inserted: 2, updated: 0, unchanged: 0, errors: 0 });
+  assert.deepEqual(postgrest.tables.books.map(row => row.title), ['A', 'B']);
+});
+
+test('upsert updates changed rows and skips unchanged ones', async () => {
+  const sink = createSupabaseSink();
+  await sink.upsert([book(1, 'A'), book(2, 'B')], 'books', { conflictKey });
+
+  const writes = postgrest.requests.length;
+  const result = await sink.upsert([book(1, 'A'), book(2, 'B, revised'), book(3, 'C')], 'books', { conflictKey });
+
+  assert.deepEqual(result, { uploaded: 2, inserted: 1, updated: 1, unchanged: 1, errors: 0 });
+  assert.deepEqual(postgrest.tables.books.map(row => row.title), ['A', 'B, revised', 'C']);
+
+  // One read of the batch's keys, one write of only the changed rows
+  const [read, write] = postgrest.requests.slice(writes);
+  assert.match(decodeURIComponent(read), /^GET books\?select=\*&source=eq\.gutenberg&external_id=in\.\("1","2","3"\)$/);
+  assert.equal(write, 'POST books?on_conflict=source,external_id');
+});
+
+test('upsert counts rows without a natural key as errors and dedupes the batch', async () => {
+  const sink = createSupabaseSink();
+  const result = await sink.upsert([book(1, 'A'), { title: 'no id', source: 'gutenberg' }, book(1, 'A again')], 'books', { conflictKey });
+
+  assert.equal(result.errors, 1);
+  assert.equal(result.inserted, 1);
+  assert.equal(postgrest.tables.books.length, 1);
+});
+
+test('upsert reports a failed batch as errors instead of throwing', async () => {
+  const sink = createSupabaseSink();
+  const fetch = postgrest.fetch;
+  postgrest.fetch = async (url, options) => options?.method === 'POST'
+    ? new Response('{"message":"permission denied for table books"}', { status: 403 })
+    : fetch(url, options);
+
+  try {
+    const result = await sink.upsert([book(1, 'A'), book(2, 'B')], 'books', { conflictKey });
+    assert.deepEqual(result, { uploaded: 0, inserted: 0, updated: 0, unchanged: 0, errors: 2 });
+  } finally {
+    postgrest.fetch = fetch;
+  }
+});
+
+test('requests are retried after a 5xx and fail with PostgREST\'s explanation', async () => {
+  const fetch = postgrest.fetch;
+  let failures = 1;
+  postgrest.fetch = async (url, options) => {
+    if (options?.method === 'POST') return new Response('{"message":"permission denied for table books"}', { status: 403 });
+    return failures-- > 0 ? new Response('', { status: 503 }) : fetch(url, options);
+  };
+
+  try {
+    assert.deepEqual(await supabaseRequest('books?select=*'), []);
+    await assert.rejects(
+      supabaseRequest('books', { method: 'POST', body: [book(1, 'A')] }),
+      /^Error: Supabase POST books: 403 - \{"message":"permission denied for table books"\}$/,
+    );
+  } finally {
+    postgrest.fetch = fetch;
+  }
+});
+
+test('findByColumn and findByMatchKeys read back existing rows', async () => {
+  const sink = createSupabaseSink();
+  postgrest.tables.price_latest = [
+    { series_key: 'cards:scryfall:1:usd', price: 1 },
+    { series_key: 'cards:scryfall:2:usd', price: 2 },
+  ];
+  postgrest.tables.bv_spirits = [
+    { canonical_id: 'a', match_keys: ['upc:1', 'name:x'] },
+    { canonical_id: 'b', match_keys: ['name:y'] },
+  ];
+
+  const prices = await sink.findByColumn('price_latest', 'series_key', ['cards:scryfall:2:usd', 'missing']);
+  assert.deepEqual(prices.map(row => row.price), [2]);
+
+  const spirits = await sink.findByMatchKeys('bv_spirits', ['name:x', 'name:z']);
+  assert.deepEqual(spirits.map(row => row.canonical_id), ['a']);
+});
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { classify } from '../lib/taxonomy.js';
+
+const path = ({ category, style, sub_style }) => [category, style, sub_style].filter(Boolean).join('/');
+const text = (value) => path(classify({ text: value }));
+
+test('terms match whole words, not substrings', () => {
+  assert.equal(text('ginger beer'), 'other');
+  assert.equal(text('Rum Raisin Ice Cream'), 'other');
+  assert.equal(text('Gin'), 'gin');
+  assert.equal(text('Red Stripe'), 'other');
+});
+
+test('the longest phrase wins and places the record in the tree', () => {
+  assert.equal(text('Scotch Whisky'), 'whisky/scotch');
+  assert.equal(text('Single Malt Scotch Whisky'), 'whisky/scotch/single malt');
+  assert.equal(text('STRAIGHT BOURBON WHISKY'), 'whisky/bourbon/straight bourbon');
+  assert.equal(text('Rye'), 'whisky/rye');
+  assert.equal(text('SPARKLING WINE/CHAMPAGNE'), 'wine/sparkling/champagne');
+  assert.equal(text('Whiskey Sour'), 'cocktail');
+  assert.equal(text('Hazy IPA'), 'beer/ipa/new england ipa');
+});
+
+test('accents, plurals and other languages are matched', () => {
+  assert.equal(text('Bières blondes'), 'beer');
+  assert.equal(text('Ron Añejo'), 'rum/dark');
+  assert.equal(text('Vino Tinto'), 'wine/red');
+  assert.equal(text('whiskies'), 'whisky');
+});
+
+test('confidence reflects how the category was found', () => {
+  assert.equal(classify({ text: 'Cognac' }).confidence, 0.9);
+  assert.equal(classify({ text: 'nothing to see' }).confidence, 0);
+  assert.deepEqual(classify({}), { category: 'spirits', style: null, sub_style: null, confidence: 0 });
+
+  // The head noun decides, with less confidence
+  assert.deepEqual(classify({ text: 'Bourbon Barrel Aged Stout' }), { category: 'beer', style: 'stout', sub_style: null, confidence: 0.7 });
+});
+
+test('source tags map straight onto the tree', () => {
+  assert.deepEqual(classify({ source: 'openfoodfacts', tags: ['en:alcoholic-beverages', 'en:ciders'] }), {
+    category: 'cider', style: null, sub_style: null, confidence: 1,
+  });
+  assert.equal(path(classify({ source: 'openfoodfacts', tags: ['en:wines', 'en:red-wines'] })), 'wine/red');
+  assert.equal(path(classify({ source: 'openfoodfacts', tags: ['en:sakes'] })), 'sake');
+  assert.equal(path(classify({ source: 'ttb_cola', tags: ['101'], text: 'whatever' })), 'whisky/bourbon/straight bourbon');
+  assert.equal(path(classify({ source: 'openbrewerydb', tags: ['cidery'], text: 'beer' })), 'cider');
+
+  // Unmapped tags still refine a mapped one
+  assert.equal(path(classify({ source: 'openfoodfacts', tags: ['en:whiskies', 'en:islay-single-malts'] })), 'whisky/scotch');
+  // ... and are matched as text for sources without a mapping
+  assert.equal(path(classify({ source: 'untappd', tags: ['Cider - Dry'], text: 'beer' })), 'cider');
+});
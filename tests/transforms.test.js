@@ -0,0 +1,237 @@
+import './helpers/env.js';
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { SCRAPERS } from '../api/scrape.js';
+import { BOOK_SCHEMA, CARD_SCHEMA, SPIRIT_SCHEMA, validateRow } from '../lib/schema.js';
+
+const { spirits, cards, books, editions } = SCRAPERS;
+
+// =============================================================================
+// SPIRITS
+// =============================================================================
+
+test('spirits: a TTB label becomes brand + fanciful name with its permit and details', () => {
+  const row = spirits.transform({
+    ttb_id: '23001001000001',
+    brand_name: 'OLD FORESTER',
+    fanciful_name: '1920 PROHIBITION STYLE',
+    class_type: 'STRAIGHT BOURBON WHISKY',
+    origin: 'KENTUCKY',
+    alcohol_content: '57.5% ALC/VOL',
+    permit_number: 'DSP-KY-414',
+    category: 'STRAIGHT BOURBON WHISKY',
+    category_tags: ['101'],
+    ttb_details: { status: 'APPROVED' },
+    source: 'ttb_cola',
+  });
+
+  assert.equal(row.name, 'OLD FORESTER 1920 PROHIBITION STYLE');
+  assert.equal(row.brand, 'OLD FORESTER');
+  assert.equal(row.category, 'whisky');
+  assert.equal(row.style, 'bourbon');
+  assert.equal(row.sub_style, 'straight bourbon');
+  assert.equal(row.category_confidence, 1);
+  assert.equal(row.subcategory, 'STRAIGHT BOURBON WHISKY');
+  assert.equal(row.country, 'KENTUCKY');
+  assert.equal(row.abv, 57.5);
+  assert.equal(row.abv_raw, '57.5% ALC/VOL');
+  assert.equal(row.ttb_permit, 'DSP-KY-414');
+  assert.deepEqual(row.ttb_details, { status: 'APPROVED' });
+  // Without external_ids the TTB id is the external id
+  assert.equal(row.external_ids, '{"ttb_id":"23001001000001"}');
+});
+
+test('spirits: categories are classified with the taxonomy', () => {
+  const classified = (record) => {
+    const row = spirits.transform({ name: 'x', source: 's', ...record });
+    return [row.category, row.style, row.sub_style, row.category_confidence];
+  };
+
+  assert.deepEqual(classified({ category: 'Scotch Whisky' }), ['whisky', 'scotch', null, 0.9]);
+  assert.deepEqual(classified({ category: 'Mezcal' }), ['agave', 'mezcal', null, 0.9]);
+  assert.deepEqual(classified({ category: 'beer', source: 'openbrewerydb', category_tags: ['cidery'] }), ['cider', null, null, 1]);
+  assert.deepEqual(classified({ category: 'sake' }), ['sake', null, null, 0.9]);
+  assert.deepEqual(classified({ category: 'ginger beer' }), ['other', null, null, 0]);
+  assert.deepEqual(classified({ category: null }), ['spirits', null, null, 0]);
+});
+
+test('spirits: OFF alcohol and quantity are converted, keeping what the source said', () => {
+  const row = spirits.transform({
+    name: 'Cidre Brut',
+    alcohol_content: '5,5',
+    alcohol_unit: '% vol',
+    quantity: '75 cl',
+    source: 'openfoodfacts',
+  });
+
+  assert.equal(row.abv, 5.5);
+  assert.equal(row.abv_raw, '5,5 % vol');
+  assert.equal(row.volume_ml, 750);
+  assert.equal(row.volume_raw, '75 cl');
+
+  const implausible = spirits.transform({ name: 'x', alcohol_content: '400', quantity: 'a bottle', source: 'openfoodfacts' });
+  assert.equal(implausible.abv, null);
+  assert.equal(implausible.abv_raw, '400');
+  assert.equal(implausible.volume_ml, null);
+  assert.equal(implausible.volume_raw, 'a bottle');
+});
+
+test('spirits: numeric abv wins over alcohol_content and external_ids are serialized', () => {
+  const row = spirits.transform({
+    name: 'Punk IPA',
+    brand: 'BrewDog',
+    category: 'beer',
+    abv: 5.4,
+    alcohol_content: '99',
+    ibu: 35,
+    source: 'punkapi',
+    external_ids: { punkapi_id: 192 },
+  });
+
+  assert.equal(row.abv, 5.4);
+  assert.equal(row.abv_raw, '5.4');
+  assert.equal(row.ibu, 35);
+  assert.equal(row.external_ids, '{"punkapi_id":192}');
+  assert.equal(row.rating, null);
+});
+
+// =============================================================================
+// CARDS
+// =============================================================================
+
+test('cards: MTG prices are parsed and legalities kept', () => {
+  const row = cards.transform({
+    game: 'mtg',
+    name: 'Lightning Bolt',
+    set: 'Double Masters 2022',
+    set_code: '2x2',
+    rarity: 'uncommon',
+    legalities: { modern: 'legal', standard: 'not_legal' },
+    prices: { usd: '2.10', usd_foil: null, usd_etched: '5.00', eur: '1.80', eur_foil: null, tix: '0.02' },
+    source: 'scryfall',
+    external_ids: { scryfall_id: 'abc' },
+  });
+
+  assert.equal(row.set_name, 'Double Masters 2022');
+  assert.equal(row.rarity, 'uncommon');
+  assert.equal(row.rarity_raw, 'uncommon');
+  assert.deepEqual(row.legalities, { modern: 'legal', standard: 'not_legal' });
+  // Etched prices stand in for a missing foil price
+  assert.deepEqual(row.prices, { usd: 2.1, usd_foil: 5, eur: 1.8, eur_foil: null, tix: 0.02 });
+});
+
+test('cards: Pokemon rarities, legalities and TCGplayer prices are normalized', () => {
+  const row = cards.transform({
+    game: 'pokemon',
+    name: 'Charizard ex',
+    rarity: 'Double Rare',
+    legalities: { standard: 'Legal', expanded: 'Not Legal' },
+    prices: {
+      tcgplayer: { normal: { market: 1.25 }, reverseHolofoil: { mid: 3 } },
+      cardmarket: { trendPrice: 1.1, reverseHoloTrend: 2.4 },
+    },
+    source: 'pokemontcg',
+  });
+
+  assert.equal(row.rarity, 'ultra_rare');
+  assert.equal(row.rarity_raw, 'Double Rare');
+  assert.deepEqual(row.legalities, { standard: 'legal', expanded: 'not_legal' });
+  assert.deepEqual(row.prices, { usd: 1.25, usd_foil: 3, eur: 1.1, eur_foil: 2.4, tix: null });
+});
+
+test('cards: rarities map onto the shared scale', () => {
+  const rarity = (value) => cards.transform({ game: 'pokemon', name: 'x', rarity: value, source: 's' }).rarity;
+
+  assert.equal(rarity('Common'), 'common');
+  assert.equal(rarity('mythic'), 'mythic');
+  assert.equal(rarity('Rare Holo'), 'rare');
+  assert.equal(rarity('Rare Holo VMAX'), 'ultra_rare');
+  assert.equal(rarity('Special Illustration Rare'), 'secret_rare');
+  assert.equal(rarity('Promo'), 'promo');
+  assert.equal(rarity('bonus'), 'special');
+  assert.equal(rarity(undefined), null);
+});
+
+test('cards: a card without any price has null prices', () => {
+  const row = cards.transform({ game: 'mtg', name: 'x', prices: { usd: null, eur: null }, source: 'scryfall' });
+  assert.equal(row.prices, null);
+});
+
+// =============================================================================
+// BOOKS
+// =============================================================================
+
+test('books: every column is carried over, empty formats become null', () => {
+  const row = books.transform({
+    name: 'Frankenstein',
+    author: 'Shelley, Mary',
+    authors: ['Shelley, Mary'],
+    author_details: [{ name: 'Shelley, Mary', birth_year: 1797, death_year: 1851 }],
+    subject: 'Science fiction',
+    languages: ['en'],
+    download_count: 0,
+    copyright: false,
+    formats: {},
+    source: 'gutenberg',
+    external_ids: { gutenberg_id: 84 },
+  });
+
+  assert.equal(row.title, 'Frankenstein');
+  assert.deepEqual(row.authors, ['Shelley, Mary']);
+  assert.equal(row.download_count, 0);
+  assert.equal(row.copyright, false);
+  assert.equal(row.formats, null);
+  assert.equal(row.isbn_13, null);
+  assert.equal(row.external_ids, '{"gutenberg_id":84}');
+});
+
+test('editions: editions keep their work and ISBNs', () => {
+  const row = editions.transform({
+    name: 'The Hobbit',
+    work_key: '/works/OL262758W',
+    isbn_10: ['0261102214'],
+    isbn_13: ['9780261102217'],
+    publish_date: '1995',
+    source: 'openlibrary',
+    external_ids: { edition_key: '/books/OL1M' },
+  });
+
+  assert.equal(row.title, 'The Hobbit');
+  assert.equal(row.work_key, '/works/OL262758W');
+  assert.deepEqual(row.isbn_13, ['9780261102217']);
+  assert.equal(row.external_ids, '{"edition_key":"/books/OL1M"}');
+});
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+test('validateRow rejects missing required columns and placeholder names', () => {
+  assert.deepEqual(validateRow({ name: 'Unknown', category: 'rum', source: 's' }, SPIRIT_SCHEMA).errors, ['name: required']);
+  assert.deepEqual(validateRow({ name: 'x', category: 'rum' }, SPIRIT_SCHEMA).errors, ['source: required']);
+});
+
+test('validateRow coerces, truncates and range-checks values', () => {
+  const { row, errors } = validateRow({
+    name: `  ${'a'.repeat(300)}  `,
+    category: 'rum',
+    abv: '40.5',
+    rating: 7,
+    image_url: 'not a url',
+    source: 's',
+  }, SPIRIT_SCHEMA);
+
+  assert.equal(row.name.length, 255);
+  assert.equal(row.abv, 40.5);
+  assert.deepEqual(errors, ['rating: above max 5', 'image_url: not an http(s) url']);
+});
+
+test('validateRow enforces enums, arrays, integers and booleans', () => {
+  assert.deepEqual(validateRow({ game: 'yugioh', name: 'x', source: 's' }, CARD_SCHEMA).errors, ['game: not one of mtg|pokemon']);
+  assert.deepEqual(validateRow({ game: 'mtg', name: 'x', colors: 'R', hp: 1.5, source: 's' }, CARD_SCHEMA).errors, [
+    'colors: not an array',
+    'hp: not an integer',
+  ]);
+  assert.deepEqual(validateRow({ title: 'x', copyright: 'no', source: 's' }, BOOK_SCHEMA).errors, ['copyright: not a boolean']);
+  assert.deepEqual(validateRow({ title: 'x', external_ids: '{bad', source: 's' }, BOOK_SCHEMA).errors, ['external_ids: invalid json']);
+});
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { parseAbv, parseVolume } from '../lib/units.js';
+
+const abv = (value, options) => parseAbv(value, options).abv;
+const ml = (value, options) => parseVolume(value, options).ml;
+
+test('parseAbv reads percentages, ranges and proof', () => {
+  assert.equal(abv(40), 40);
+  assert.equal(abv('40%'), 40);
+  assert.equal(abv('12,5 % vol'), 12.5);
+  assert.equal(abv('ALC. 5.0% BY VOL'), 5);
+  assert.equal(abv('40-45%'), 42.5);
+  assert.equal(abv('80 proof'), 40);
+  assert.equal(abv(0), 0);
+});
+
+test('parseAbv prefers the percentage when a label also gives proof', () => {
+  assert.equal(abv('40% ALC/VOL (80 PROOF)'), 40);
+  assert.equal(abv('ALC. 45% BY VOL., 90 PROOF'), 45);
+  assert.equal(abv('90 PROOF (45% ALC/VOL)'), 45);
+  assert.equal(abv('OLD NO. 7, 80 PROOF'), 40);
+  assert.equal(abv('Barrel proof 123.4 proof'), 61.7);
+});
+
+test('parseAbv converts OFF grams per 100 g by its unit', () => {
+  assert.deepEqual(parseAbv('40', { unit: '% vol' }), { abv: 40, raw: '40 % vol' });
+  assert.deepEqual(parseAbv('10', { unit: 'g' }), { abv: 12.67, raw: '10 g' });
+});
+
+test('parseAbv rejects implausible and unreadable values but keeps them raw', () => {
+  assert.deepEqual(parseAbv('400'), { abv: null, raw: '400' });
+  assert.deepEqual(parseAbv('200 proof'), { abv: null, raw: '200 proof' });
+  assert.deepEqual(parseAbv('n/a'), { abv: null, raw: 'n/a' });
+  assert.deepEqual(parseAbv(null), { abv: null, raw: null });
+  assert.deepEqual(parseAbv(''), { abv: null, raw: null });
+});
+
+test('parseVolume converts metric and US units to millilitres', () => {
+  assert.equal(ml('750 ml'), 750);
+  assert.equal(ml('70cl'), 700);
+  assert.equal(ml('1.75L'), 1750);
+  assert.equal(ml('1,5 litres'), 1500);
+  assert.equal(ml('12 fl oz'), 354.9);
+  assert.equal(ml('12 fl. oz.'), 354.9);
+  assert.equal(ml('1 gal'), 3785.4);
+  assert.equal(ml(750, { unit: 'ml' }), 750);
+});
+
+test('parseVolume reads one container of a multipack and ignores trailing text', () => {
+  assert.equal(ml('6 x 330 ml'), 330);
+  assert.equal(ml('33 cl (11.2 fl oz)'), 330);
+  assert.equal(ml('750ml bottle'), 750);
+});
+
+test('parseVolume rejects weights, bare numbers and implausible sizes', () => {
+  assert.deepEqual(parseVolume('500 g'), { ml: null, raw: '500 g' });
+  assert.deepEqual(parseVolume(750), { ml: null, raw: '750' });
+  assert.deepEqual(parseVolume('5000 l'), { ml: null, raw: '5000 l' });
+  assert.deepEqual(parseVolume(undefined), { ml: null, raw: null });
+});
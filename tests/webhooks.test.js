@@ -0,0 +1,63 @@
+import './helpers/env.js';
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, test } from 'node:test';
+import { bearer, installTransport, invoke } from './helpers/http.js';
+import { createPostgrest } from './helpers/postgrest.js';
+
+// Configuration is read at import time, so the handler is loaded once the
+// webhook URL is set
+process.env.WEBHOOK_URLS = 'https://hooks.test/javari';
+const { default: handler } = await import('../api/scrape.js');
+
+const COCKTAILS = 'https://www.thecocktaildb.com/api/json/v1/1/search.php?f=z';
+
+// CocktailDB answers `cocktails` (a 304 when the request is conditional and
+// nothing changed); the hook accepts every delivery
+const upstream = {
+  cocktails: null,
+  events: [],
+  async fetch(url, options = {}) {
+    if (url.startsWith('https://hooks.test/')) {
+      this.events.push(JSON.parse(options.body).event);
+      return new Response(null, { status: 204 });
+    }
+    if (url !== COCKTAILS) return new Response('Not found', { status: 404 });
+    if (options.headers?.['If-None-Match'] === '"z-1"') return new Response(null, { status: 304 });
+    return new Response(JSON.stringify(this.cocktails), { headers: { 'content-type': 'application/json', etag: '"z-1"' } });
+  },
+};
+
+const postgrest = createPostgrest();
+let restore;
+before(() => { restore = installTransport({ cassette: upstream, postgrest }); });
+after(() => restore());
+beforeEach(() => {
+  postgrest.reset();
+  upstream.events = [];
+  upstream.cocktails = { drinks: null };
+});
+
+const scrapeLastLetter = () => invoke(handler, {
+  query: { type: 'spirits', source: 'cocktaildb', resume: 'true' },
+  headers: bearer(),
+});
+
+test('source.zero_results is sent when a source fetched content and found nothing', async () => {
+  postgrest.tables.scraper_state = [{ key: 'spirits:cocktaildb', cursor: { letter: 'z' } }];
+
+  const { status } = await scrapeLastLetter();
+  assert.equal(status, 200);
+  assert.deepEqual(upstream.events, ['source.zero_results', 'run.completed']);
+});
+
+test('source.zero_results is not sent when the upstream answers 304', async () => {
+  postgrest.tables.scraper_state = [
+    { key: 'spirits:cocktaildb', cursor: { letter: 'z' } },
+    { key: `http:${COCKTAILS}`, cursor: { etag: '"z-1"', last_modified: null } },
+  ];
+
+  const { status, body } = await scrapeLastLetter();
+  assert.equal(status, 200);
+  assert.equal(body.sources.cocktaildb.http.notModified, 1);
+  assert.deepEqual(upstream.events, ['run.completed']);
+});